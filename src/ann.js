@@ -0,0 +1,214 @@
+/**
+ * IVF approximate nearest-neighbour index over the embeddings table
+ *
+ * Vectors are clustered with spherical k-means; each embedding row records
+ * the list (cluster) it belongs to in `embeddings.list_id`. A query scores
+ * only the rows in the `probes` lists whose centroids are closest to it, so
+ * more probes trade speed for recall. Rows not yet assigned to a list are
+ * always scanned, which keeps results correct between rebuilds.
+ */
+
+import { encodeVector, decodeVector, normalize } from './vectors.js';
+
+// Below this many vectors an exact scan is already fast enough
+export const MIN_ANN_VECTORS = 500;
+export const DEFAULT_PROBES = 8;
+
+const MAX_LISTS = 1024;
+const SAMPLE_PER_LIST = 64;
+const ITERATIONS = 10;
+
+// Small seeded PRNG so the same corpus always trains the same centroids
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export class IvfIndex {
+  constructor(db) {
+    this.db = db;
+    this.meta = null;
+    this.centroids = [];
+  }
+
+  async load() {
+    this.meta = await this.db.getSetting('ann');
+    const rows = this.meta
+      ? await this.db.all('SELECT list_id, centroid FROM ann_centroids ORDER BY list_id')
+      : [];
+    this.centroids = rows.map(row => decodeVector(row.centroid));
+    return this.centroids.length > 0;
+  }
+
+  // Only use an index trained on the same model as the query vector
+  isUsable(model, dimensions) {
+    return this.centroids.length > 0 &&
+      this.meta?.model === model &&
+      this.meta?.dimensions === dimensions;
+  }
+
+  // Lists to scan for a query, or null when the exact scan should be used
+  probe(vector, probes = DEFAULT_PROBES) {
+    if (!probes || probes >= this.centroids.length) return null;
+
+    const query = normalize(vector);
+    return this.centroids
+      .map((centroid, listId) => ({ listId, similarity: dot(query, centroid) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, probes)
+      .map(entry => entry.listId);
+  }
+
+  nearestList(vector) {
+    let best = 0;
+    let bestSimilarity = -Infinity;
+    this.centroids.forEach((centroid, listId) => {
+      const similarity = dot(vector, centroid);
+      if (similarity > bestSimilarity) {
+        bestSimilarity = similarity;
+        best = listId;
+      }
+    });
+    return best;
+  }
+
+  // Called after embedding: rebuild when forced, untrained, for another model,
+  // or when the corpus has doubled or halved; otherwise just assign new rows.
+  async update({ model, dimensions }, force = false) {
+    await this.load();
+    const { count } = await this.db.get(
+      'SELECT COUNT(*) as count FROM embeddings WHERE model = ? AND dimensions = ?',
+      [model, dimensions]
+    );
+
+    if (count < MIN_ANN_VECTORS) {
+      await this.clear();
+      return { action: 'none', vectors: count };
+    }
+
+    const stale = !this.isUsable(model, dimensions) ||
+      count > this.meta.trainedOn * 2 ||
+      count < this.meta.trainedOn / 2;
+    if (force || stale) {
+      await this.build({ model, dimensions }, count);
+      return { action: 'built', vectors: count, lists: this.centroids.length };
+    }
+
+    const assigned = await this.assignPending();
+    return { action: 'assigned', vectors: assigned, lists: this.centroids.length };
+  }
+
+  async build({ model, dimensions }, count) {
+    const lists = Math.max(1, Math.min(MAX_LISTS, Math.round(Math.sqrt(count))));
+    const sample = await this.sampleVectors(model, dimensions, lists * SAMPLE_PER_LIST);
+    this.centroids = this.train(sample, lists);
+
+    await this.db.transaction(async () => {
+      await this.db.run('DELETE FROM ann_centroids');
+      for (let listId = 0; listId < this.centroids.length; listId++) {
+        await this.db.run(
+          'INSERT INTO ann_centroids (list_id, centroid) VALUES (?, ?)',
+          [listId, encodeVector(this.centroids[listId])]
+        );
+      }
+      await this.db.run('UPDATE embeddings SET list_id = NULL');
+
+      this.meta = { model, dimensions, lists: this.centroids.length, trainedOn: count };
+      await this.db.setSetting('ann', this.meta);
+      await this.assignPending();
+    });
+  }
+
+  // Reservoir-sample vectors without holding the whole table in memory
+  async sampleVectors(model, dimensions, size) {
+    const random = mulberry32(size);
+    const sample = [];
+    let seen = 0;
+
+    await this.db.each(
+      'SELECT embedding FROM embeddings WHERE model = ? AND dimensions = ?',
+      [model, dimensions],
+      (row) => {
+        seen++;
+        if (sample.length < size) {
+          sample.push(normalize(decodeVector(row.embedding)));
+          return;
+        }
+        const slot = Math.floor(random() * seen);
+        if (slot < size) sample[slot] = normalize(decodeVector(row.embedding));
+      }
+    );
+
+    return sample;
+  }
+
+  // Spherical k-means (cosine similarity) with deterministic seeding
+  train(vectors, lists) {
+    // Seed with a Fisher-Yates shuffle of the sample
+    const random = mulberry32(vectors.length);
+    const shuffled = vectors.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    let centroids = shuffled.slice(0, lists);
+
+    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+      const sums = centroids.map(centroid => new Array(centroid.length).fill(0));
+      const sizes = new Array(centroids.length).fill(0);
+
+      this.centroids = centroids;
+      for (const vector of vectors) {
+        const listId = this.nearestList(vector);
+        sizes[listId]++;
+        for (let i = 0; i < vector.length; i++) sums[listId][i] += vector[i];
+      }
+
+      // Keep the previous centroid for an empty list
+      centroids = sums.map((sum, listId) => (sizes[listId] ? normalize(sum) : centroids[listId]));
+    }
+
+    return centroids;
+  }
+
+  // Give every unassigned embedding row its nearest list; returns how many
+  async assignPending() {
+    const assignments = [];
+    await this.db.each(
+      'SELECT chunk_id, embedding FROM embeddings WHERE list_id IS NULL AND model = ? AND dimensions = ?',
+      [this.meta?.model ?? null, this.meta?.dimensions ?? null],
+      (row) => {
+        assignments.push([this.nearestList(normalize(decodeVector(row.embedding))), row.chunk_id]);
+      }
+    );
+
+    await this.db.transaction(async () => {
+      for (const [listId, chunkId] of assignments) {
+        await this.db.run('UPDATE embeddings SET list_id = ? WHERE chunk_id = ?', [listId, chunkId]);
+      }
+    });
+    return assignments.length;
+  }
+
+  async clear() {
+    await this.db.transaction(async () => {
+      await this.db.run('DELETE FROM ann_centroids');
+      await this.db.run('UPDATE embeddings SET list_id = NULL WHERE list_id IS NOT NULL');
+      await this.db.run("DELETE FROM settings WHERE key = 'ann'");
+    });
+    this.meta = null;
+    this.centroids = [];
+  }
+}
+
+export default IvfIndex;
@@ -0,0 +1,104 @@
+/**
+ * Heading-aware markdown chunker
+ *
+ * Splits a document into sections at markdown headings, then caps each
+ * section at `maxChars` with `overlapChars` of trailing context carried into
+ * the next piece. Line numbers are 1-based and refer to the original file.
+ */
+
+import { frontmatterEnd } from './metadata.js';
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+export function chunkMarkdown(text, options = {}) {
+  const { maxChars = 2000, overlapChars = 200 } = options;
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  // Skip YAML frontmatter but keep line numbering intact
+  const bodyStart = frontmatterEnd(lines) + 1;
+
+  const sections = [];
+  const headings = [];
+  let current = { heading: '', start: bodyStart, lines: [] };
+  let inFence = false;
+
+  for (let i = bodyStart; i < lines.length; i++) {
+    const line = lines[i];
+    if (FENCE.test(line)) inFence = !inFence;
+
+    const match = !inFence && line.match(HEADING);
+    if (!match) {
+      current.lines.push(line);
+      continue;
+    }
+
+    sections.push(current);
+
+    const level = match[1].length;
+    while (headings.length && headings[headings.length - 1].level >= level) {
+      headings.pop();
+    }
+    headings.push({ level, text: match[2] });
+
+    current = {
+      heading: headings.map(h => h.text).join(' > '),
+      start: i,
+      lines: [line]
+    };
+  }
+  sections.push(current);
+
+  const chunks = [];
+  for (const section of sections) {
+    for (const piece of splitSection(section, maxChars, overlapChars)) {
+      chunks.push({ index: chunks.length, ...piece });
+    }
+  }
+  return chunks;
+}
+
+// Break one section into pieces no longer than maxChars (a single longer line stays whole)
+function splitSection(section, maxChars, overlapChars) {
+  const pieces = [];
+  let from = 0;
+
+  while (from < section.lines.length) {
+    let to = from;
+    let size = 0;
+    while (to < section.lines.length && (to === from || size + section.lines[to].length + 1 <= maxChars)) {
+      size += section.lines[to].length + 1;
+      to++;
+    }
+
+    const piece = trimBlankLines(section, from, to);
+    if (piece) pieces.push(piece);
+    if (to >= section.lines.length) break;
+
+    // Step back over trailing lines for overlap, always making progress
+    let next = to;
+    let overlap = 0;
+    while (next - 1 > from && overlap + section.lines[next - 1].length + 1 <= overlapChars) {
+      overlap += section.lines[next - 1].length + 1;
+      next--;
+    }
+    from = next;
+  }
+
+  return pieces;
+}
+
+function trimBlankLines(section, from, to) {
+  while (from < to && !section.lines[from].trim()) from++;
+  while (to > from && !section.lines[to - 1].trim()) to--;
+  if (from === to) return null;
+
+  return {
+    heading: section.heading,
+    content: section.lines.slice(from, to).join('\n'),
+    startLine: section.start + from + 1,
+    endLine: section.start + to
+  };
+}
+
+export default chunkMarkdown;
@@ -1,9 +1,13 @@
 import { DatabaseManager } from './db.js';
+import { chunkMarkdown } from './chunker.js';
 import { glob } from 'glob';
+import { minimatch } from 'minimatch';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import os from 'os';
+import { createIgnoreFilter, globIgnore } from './ignore.js';
+import { parseFrontmatter, documentDate } from './metadata.js';
 
 export class CollectionManager {
   constructor(dbPath = null) {
@@ -16,7 +20,7 @@ export class CollectionManager {
   }
 
   // Add a new collection
-  async add(name, collectionPath, mask = '**/*.{md,txt}') {
+  async add(name, collectionPath, mask = '**/*.{md,txt}', exclude = []) {
     await this.initialize();
     
     const absolutePath = path.resolve(collectionPath);
@@ -31,19 +35,19 @@ export class CollectionManager {
     }
 
     // Add collection to database
-    this.db.addCollection(name, absolutePath, mask);
+    await this.db.addCollection(name, absolutePath, mask, exclude);
 
     // Index files in the collection
-    await this.indexCollection(name);
+    const { failed } = await this.indexCollection(name);
     
-    return { name, path: absolutePath, mask };
+    return { name, path: absolutePath, mask, exclude, failed };
   }
 
   // Remove a collection
   async remove(name) {
     await this.initialize();
     
-    const result = this.db.removeCollection(name);
+    const result = await this.db.removeCollection(name);
     if (result.changes === 0) {
       throw new Error(`Collection "${name}" not found`);
     }
@@ -55,205 +59,292 @@ export class CollectionManager {
   async list() {
     await this.initialize();
     
-    const collections = this.db.getCollections();
-    return collections.map(col => ({
-      name: col.name,
-      path: col.path,
-      mask: col.mask,
-      files: col.file_count,
-      createdAt: new Date(col.created_at * 1000),
-      updatedAt: new Date(col.updated_at * 1000)
-    }));
+    const collections = await this.db.getCollections();
+    return collections.map(col => this.toCollection(col));
+  }
+
+  toCollection(row) {
+    return {
+      name: row.name,
+      path: row.path,
+      mask: row.mask,
+      exclude: row.exclude_patterns ? JSON.parse(row.exclude_patterns) : [],
+      files: row.file_count,
+      createdAt: new Date(row.created_at * 1000),
+      updatedAt: new Date(row.updated_at * 1000)
+    };
+  }
+
+  // .gitignore, .opensearchignore and --exclude rules for one collection
+  ignoreFilter(collection) {
+    return createIgnoreFilter(collection.path, collection.exclude);
   }
 
   // Update all collections (re-index)
   async update() {
     await this.initialize();
     
-    const collections = this.db.getCollections();
+    const collections = await this.db.getCollections();
+    const failed = [];
     
     for (const collection of collections) {
       console.log(`Updating collection: ${collection.name}`);
-      await this.indexCollection(collection.name);
+      const result = await this.indexCollection(collection.name);
+      failed.push(...result.failed);
     }
     
     // Clean up orphaned records
-    this.db.cleanup();
+    await this.db.cleanup();
+    
+    return { failed };
   }
 
   // Index files in a specific collection
   async indexCollection(collectionName) {
-    await this.initialize();
-    
-    const collections = this.db.getCollections();
-    const collection = collections.find(c => c.name === collectionName);
-    
-    if (!collection) {
-      throw new Error(`Collection "${collectionName}" not found`);
-    }
+    const collection = await this.getCollection(collectionName);
 
     console.log(`Indexing collection: ${collection.name} (${collection.path})`);
     
     // Find all matching files
     const pattern = path.join(collection.path, collection.mask);
     const files = await glob(pattern, { 
-      ignore: ['**/node_modules/**', '**/.git/**', '**/.*/**'],
+      ignore: globIgnore(this.ignoreFilter(collection)),
       nodir: true 
     });
 
     console.log(`Found ${files.length} files to index`);
     
     // Get existing documents for this collection
-    const existingDocs = this.db.getDocumentsByCollection(collection.name);
-    const existingPaths = new Set(existingDocs.map(doc => doc.path));
+    const existingByPath = await this.getExistingDocuments(collection.name);
     
     // Track processed files
     const processedPaths = new Set();
+    const failed = [];
     let indexed = 0;
     let skipped = 0;
     
-    // Index each file
-    const indexTransaction = this.db.transaction((files) => {
-      for (const filePath of files) {
-        try {
-          processedPaths.add(filePath);
-          
-          const stat = fs.statSync(filePath);
-          const modifiedTime = Math.floor(stat.mtimeMs);
-          
-          // Check if file needs re-indexing
-          const existingDoc = existingDocs.find(doc => doc.path === filePath);
-          if (existingDoc && existingDoc.modified_at >= modifiedTime) {
-            skipped++;
-            continue;
-          }
-          
-          // Read and parse file
-          const content = fs.readFileSync(filePath, 'utf8');
-          const { title, cleanContent } = this.parseMarkdownFile(content, filePath);
-          
-          // Generate document ID
-          const docId = this.generateDocumentId(filePath, modifiedTime);
-          
-          // Store document
-          this.db.addDocument(
-            docId,
-            filePath,
-            title,
-            cleanContent,
-            collection.name,
-            stat.size,
-            modifiedTime
-          );
-          
-          indexed++;
-          
-          if (indexed % 10 === 0) {
-            process.stdout.write('.');
-          }
-          
-        } catch (error) {
-          console.error(`\nError indexing ${filePath}: ${error.message}`);
+    // Each file in its own transaction, so a bad file rolls back alone
+    for (const filePath of files) {
+      processedPaths.add(filePath);
+      try {
+        const changed = await this.db.transaction(() => this.indexFile(collection, filePath, existingByPath.get(filePath)));
+        if (!changed) {
+          skipped++;
+          continue;
         }
+        
+        indexed++;
+        
+        if (indexed % 10 === 0) {
+          process.stdout.write('.');
+        }
+      } catch (error) {
+        console.error(`\nError indexing ${filePath}: ${error.message}`);
+        failed.push({ path: filePath, error: error.message });
       }
-    });
-    
-    // Execute indexing transaction
-    indexTransaction(files);
+    }
     
     // Remove documents that no longer exist
-    const removedPaths = Array.from(existingPaths).filter(p => !processedPaths.has(p));
+    const removedPaths = Array.from(existingByPath.keys()).filter(p => !processedPaths.has(p));
     if (removedPaths.length > 0) {
-      const removeTransaction = this.db.transaction((paths) => {
-        for (const filePath of paths) {
-          const doc = existingDocs.find(d => d.path === filePath);
-          if (doc) {
-            this.db.removeDocument(doc.id);
-          }
+      await this.db.transaction(async () => {
+        for (const filePath of removedPaths) {
+          await this.db.removeDocument(existingByPath.get(filePath).id);
         }
       });
       
-      removeTransaction(removedPaths);
       console.log(`\nRemoved ${removedPaths.length} deleted files`);
     }
     
-    console.log(`\n✅ Indexed ${indexed} files, skipped ${skipped} unchanged`);
+    console.log(`\n✅ Indexed ${indexed} files, skipped ${skipped} unchanged${failed.length ? `, ${failed.length} failed` : ''}`);
+    
+    return { indexed, skipped, removed: removedPaths.length, failed };
+  }
+
+  // Re-index only the given paths (used by the watcher). A directory stands
+  // for every file below it; paths that are gone or no longer match the
+  // collection's mask are removed from the index.
+  async indexFiles(collectionName, changedPaths) {
+    const collection = await this.getCollection(collectionName);
+    const existingByPath = await this.getExistingDocuments(collection.name);
+    const ignored = this.ignoreFilter(collection);
+    
+    const targets = new Set();
+    for (const changedPath of changedPaths) {
+      targets.add(changedPath);
+      const prefix = changedPath + path.sep;
+      for (const existingPath of existingByPath.keys()) {
+        if (existingPath.startsWith(prefix)) targets.add(existingPath);
+      }
+      if (isDirectory(changedPath)) {
+        const files = await glob(path.join(changedPath, '**/*'), { ignore: globIgnore(ignored), nodir: true });
+        files.forEach(file => targets.add(file));
+      }
+    }
+    
+    const failed = [];
+    let indexed = 0;
+    let skipped = 0;
+    let removed = 0;
+    
+    for (const filePath of targets) {
+      const existingDoc = existingByPath.get(filePath);
+      
+      if (!this.matchesCollection(collection, filePath, ignored) || !isFile(filePath)) {
+        if (existingDoc) {
+          await this.db.removeDocument(existingDoc.id);
+          removed++;
+        }
+        continue;
+      }
+      
+      try {
+        if (await this.db.transaction(() => this.indexFile(collection, filePath, existingDoc))) {
+          indexed++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        console.error(`Error indexing ${filePath}: ${error.message}`);
+        failed.push({ path: filePath, error: error.message });
+      }
+    }
+    
+    return { indexed, skipped, removed, failed };
+  }
+
+  // Store one file and its chunks; returns false when the content is unchanged
+  async indexFile(collection, filePath, existingDoc) {
+    const stat = fs.statSync(filePath);
+    const modifiedTime = Math.floor(stat.mtimeMs);
+    
+    // Read the file; the stored text keeps the file's line numbering
+    const content = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+    const contentHash = this.hashContent(content);
+    const docId = this.generateDocumentId(collection.name, filePath);
+    
+    // Unchanged content is skipped whatever the mtime says (touch, checkout, copy)
+    if (existingDoc && existingDoc.id === docId && existingDoc.content_hash === contentHash) {
+      if (existingDoc.modified_at !== modifiedTime) {
+        await this.db.touchDocument(docId, modifiedTime);
+      }
+      return false;
+    }
+    
+    const { title, metadata } = this.parseMarkdownFile(content, filePath);
+    
+    // Documents indexed before ids were stable are replaced once
+    if (existingDoc && existingDoc.id !== docId) {
+      await this.db.removeDocument(existingDoc.id);
+    }
+    
+    // Store document
+    await this.db.addDocument(
+      docId,
+      filePath,
+      title,
+      content,
+      collection.name,
+      stat.size,
+      modifiedTime,
+      contentHash,
+      metadata,
+      documentDate(filePath, metadata)
+    );
+    
+    // Split into heading-aware chunks; unchanged chunks keep their embeddings
+    // unless the title they may be embedded with has changed
+    await this.db.replaceChunks(docId, chunkMarkdown(content), {
+      reuse: !existingDoc || existingDoc.title === title
+    });
+    
+    return true;
+  }
+
+  // Whether a path falls under the collection's directory, mask and ignore list
+  matchesCollection(collection, filePath, ignored = this.ignoreFilter(collection)) {
+    const relative = path.relative(collection.path, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return false;
+    }
     
-    return { indexed, skipped, removed: removedPaths.length };
+    if (ignored(filePath)) {
+      return false;
+    }
+    return minimatch(relative.split(path.sep).join('/'), collection.mask);
   }
 
-  // Parse markdown file to extract title and content
+  async getCollection(name) {
+    await this.initialize();
+    
+    const collections = await this.db.getCollections();
+    const collection = collections.find(c => c.name === name);
+    
+    if (!collection) {
+      throw new Error(`Collection "${name}" not found`);
+    }
+    return this.toCollection(collection);
+  }
+
+  async getExistingDocuments(collectionName) {
+    const existingDocs = await this.db.getDocumentsByCollection(collectionName);
+    return new Map(existingDocs.map(doc => [doc.path, doc]));
+  }
+
+  // Parse markdown file to extract title and frontmatter metadata
   parseMarkdownFile(content, filePath) {
-    const lines = content.split('\n');
+    const { metadata, bodyStart } = parseFrontmatter(content);
+    const lines = content.replace(/\r\n/g, '\n').split('\n').slice(bodyStart);
     let title = null;
-    let contentStart = 0;
     
-    // Look for title in various formats
+    // Look for a heading at the top of the body
     for (let i = 0; i < Math.min(5, lines.length); i++) {
       const line = lines[i].trim();
       
       // H1 markdown header
       if (line.startsWith('# ')) {
         title = line.substring(2).trim();
-        contentStart = i + 1;
         break;
       }
       
       // Setext-style header
       if (i < lines.length - 1 && lines[i + 1].trim().match(/^=+$/)) {
         title = line;
-        contentStart = i + 2;
         break;
       }
-      
-      // YAML frontmatter title
-      if (line.match(/^title:\s*(.+)$/i)) {
-        title = line.replace(/^title:\s*/i, '').replace(/['"]/g, '');
-        // Don't set contentStart here, let frontmatter be processed
-      }
     }
     
-    // Fallback to filename if no title found
+    // Then the frontmatter title, then the filename
+    if (!title && typeof metadata.title === 'string' && metadata.title.trim()) {
+      title = metadata.title.trim();
+    }
     if (!title) {
       title = path.basename(filePath, path.extname(filePath))
         .replace(/[-_]/g, ' ')
         .replace(/\b\w/g, l => l.toUpperCase());
     }
     
-    // Clean content (remove frontmatter, excessive whitespace)
-    let cleanContent = lines.slice(contentStart).join('\n');
-    
-    // Remove YAML frontmatter if present
-    if (cleanContent.startsWith('---')) {
-      const endIndex = cleanContent.indexOf('\n---', 3);
-      if (endIndex !== -1) {
-        cleanContent = cleanContent.substring(endIndex + 4);
-      }
-    }
-    
-    // Clean up whitespace and normalize
-    cleanContent = cleanContent
-      .replace(/\r\n/g, '\n')  // Normalize line endings
-      .replace(/\n{3,}/g, '\n\n')  // Collapse excessive newlines
-      .replace(/[ \t]+$/gm, '')  // Remove trailing whitespace
-      .trim();
-    
-    return { title, cleanContent };
+    return { title, metadata };
   }
 
-  // Generate consistent document ID
-  generateDocumentId(filePath, modifiedTime) {
+  // Document IDs depend only on the collection and path, so #id references
+  // survive edits and a file shared by two collections is two documents.
+  // 64 bits keeps collisions unlikely on large corpora.
+  generateDocumentId(collectionName, filePath) {
     const hash = crypto.createHash('sha256');
-    hash.update(filePath);
-    hash.update(modifiedTime.toString());
-    return hash.digest('hex').substring(0, 8);
+    hash.update(`${collectionName}\0${filePath}`);
+    return hash.digest('hex').substring(0, 16);
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
   }
 
   // Get collection statistics
   async getCollectionStats(name) {
     await this.initialize();
     
-    const stats = this.db.prepare(`
+    const stats = await this.db.get(`
       SELECT 
         COUNT(*) as documents,
         AVG(size) as avg_size,
@@ -262,7 +353,7 @@ export class CollectionManager {
         MIN(modified_at) as earliest_modified
       FROM documents 
       WHERE collection = ?
-    `).get(name);
+    `, [name]);
     
     if (!stats.documents) {
       return null;
@@ -303,6 +394,22 @@ export class CollectionManager {
 
   // Close database connection
   close() {
-    this.db.close();
+    return this.db.close();
+  }
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (error) {
+    return false;
   }
-}
\ No newline at end of file
+}
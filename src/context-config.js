@@ -0,0 +1,143 @@
+/**
+ * Per-workspace settings for `opensearch context`
+ *
+ * Read from the `context` section of `.opensearch.json` in the workspace:
+ *
+ *   {
+ *     "context": {
+ *       "identityFiles": ["IDENTITY.md", "SOUL.md"],
+ *       "contextFiles": ["MEMORY.md", "notes/*.md"],
+ *       "limits": { "identity": 800, "search": 3000, "total": 4000 },
+ *       "tokenizer": "bpe",
+ *       "profiles": {
+ *         "research": { "contextFiles": ["papers/*.md"], "limits": { "total": 8000 } }
+ *       }
+ *     }
+ *   }
+ *
+ * A profile replaces the file lists it names and merges its limits over the
+ * base ones. Every configured glob must match at least one file, so a typo
+ * fails loudly instead of silently returning less context.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+
+export const CONFIG_FILE = '.opensearch.json';
+
+export const DEFAULT_CONTEXT_CONFIG = {
+  // Core files that define agent identity (small, always relevant)
+  identityFiles: ['IDENTITY.md', 'SOUL.md', 'USER.md'],
+  // Files to search for context (not loaded fully)
+  contextFiles: ['MEMORY.md', 'AGENTS.md', 'TOOLS.md', 'memory/*.md'],
+  // Maximum tokens for different context types
+  limits: {
+    identity: 1000,      // Core identity is small
+    search: 2000,        // Search results
+    total: 4000          // Total context limit
+  },
+  tokenizer: null
+};
+
+const SETTINGS = ['identityFiles', 'contextFiles', 'limits', 'tokenizer'];
+const LIMITS = Object.keys(DEFAULT_CONTEXT_CONFIG.limits);
+
+function readConfigFile(workspaceDir) {
+  const configPath = path.join(workspaceDir, CONFIG_FILE);
+  if (!fs.existsSync(configPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+function validateSection(section, where) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`${CONFIG_FILE}: ${where} must be an object`);
+  }
+
+  for (const key of Object.keys(section)) {
+    if (!SETTINGS.includes(key) && !(key === 'profiles' && where === 'context')) {
+      throw new Error(`${CONFIG_FILE}: unknown setting "${key}" in ${where} (expected ${SETTINGS.join(', ')})`);
+    }
+  }
+
+  for (const key of ['identityFiles', 'contextFiles']) {
+    const files = section[key];
+    if (files !== undefined && (!Array.isArray(files) || files.some(file => typeof file !== 'string' || !file))) {
+      throw new Error(`${CONFIG_FILE}: ${where}.${key} must be a list of file names or globs`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(section.limits || {})) {
+    if (!LIMITS.includes(key)) {
+      throw new Error(`${CONFIG_FILE}: unknown limit "${key}" in ${where}.limits (expected ${LIMITS.join(', ')})`);
+    }
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`${CONFIG_FILE}: ${where}.limits.${key} must be a positive whole number of tokens`);
+    }
+  }
+}
+
+// Configured globs that match no file in the workspace
+function unmatchedPatterns(workspaceDir, patterns) {
+  return patterns.filter(pattern => glob.sync(pattern, { cwd: workspaceDir, nodir: true }).length === 0);
+}
+
+// Settings for a workspace and optional profile; defaults when there is no config
+export function loadContextConfig(workspaceDir, profile = null) {
+  const file = readConfigFile(workspaceDir);
+  const section = file?.context;
+
+  if (!section) {
+    if (profile) {
+      throw new Error(`Profile "${profile}" not found: ${path.join(workspaceDir, CONFIG_FILE)} has no context section`);
+    }
+    return { ...DEFAULT_CONTEXT_CONFIG, limits: { ...DEFAULT_CONTEXT_CONFIG.limits }, profile: null };
+  }
+
+  validateSection(section, 'context');
+  const layers = [section];
+  if (profile) {
+    const overrides = section.profiles?.[profile];
+    if (!overrides) {
+      const available = Object.keys(section.profiles || {});
+      throw new Error(
+        `Profile "${profile}" not found in ${CONFIG_FILE}` +
+        (available.length ? ` (available: ${available.join(', ')})` : '')
+      );
+    }
+    validateSection(overrides, `context.profiles.${profile}`);
+    layers.push(overrides);
+  }
+
+  const config = { ...DEFAULT_CONTEXT_CONFIG, limits: { ...DEFAULT_CONTEXT_CONFIG.limits }, profile };
+  const configured = new Set();
+  for (const layer of layers) {
+    for (const key of ['identityFiles', 'contextFiles', 'tokenizer']) {
+      if (layer[key] !== undefined) {
+        config[key] = layer[key];
+        configured.add(key);
+      }
+    }
+    Object.assign(config.limits, layer.limits);
+  }
+
+  // Only patterns the config names are checked; the defaults may be absent
+  for (const key of ['identityFiles', 'contextFiles']) {
+    const missing = configured.has(key) ? unmatchedPatterns(workspaceDir, config[key]) : [];
+    if (missing.length > 0) {
+      throw new Error(
+        `${CONFIG_FILE}: ${key} ${missing.map(pattern => `"${pattern}"`).join(', ')} ` +
+        `match${missing.length === 1 ? 'es' : ''} no files in ${workspaceDir}`
+      );
+    }
+  }
+
+  return config;
+}
+
+export default loadContextConfig;
@@ -7,30 +7,55 @@
  * reduces token usage by returning only relevant snippets instead of full files.
  *
  * Expected token savings: 90-95% compared to loading full files
+ *
+ * Relevant context comes from grep over the workspace's context files, or,
+ * with a search mode or collections, from ranked chunks of the SQLite index
+ * (text, vector or hybrid search over the registered collections).
  */
 
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import os from 'os';
 import { glob } from 'glob';
+import { searchFiles } from './grep.js';
+import { createIgnoreFilter, globIgnore } from './ignore.js';
+import { parseQuery, matchesQuery } from './query.js';
+import { fileTitle } from './simple-search.js';
+import { parseFrontmatter, documentDate, matchesFilters } from './metadata.js';
+import { createTokenizer, TokenCountCache } from './tokenizer.js';
+import { loadContextConfig } from './context-config.js';
+import { SearchEngine } from './search.js';
+import { IdentityCache, allocateBudget } from './identity.js';
+import { computeSavings, formatPercent } from './savings.js';
+
+export const CONTEXT_MODES = ['text', 'vector', 'hybrid'];
 
 export class ContextRetriever {
-  constructor(workspaceDir) {
+  constructor(workspaceDir, options = {}) {
     this.workspaceDir = path.resolve(workspaceDir || process.cwd());
     this.collectionsFile = path.join(this.workspaceDir, '.opensearch-collections.json');
 
-    // Core files that define agent identity (small, always relevant)
-    this.identityFiles = ['IDENTITY.md', 'SOUL.md', 'USER.md'];
-
-    // Files to search for context (not loaded fully)
-    this.contextFiles = ['MEMORY.md', 'AGENTS.md', 'TOOLS.md', 'memory/*.md'];
-
-    // Maximum tokens for different context types
-    this.limits = {
-      identity: 1000,      // Core identity is small
-      search: 2000,        // Search results
-      total: 4000          // Total context limit
-    };
+    // Identity and context file globs and token limits, from .opensearch.json
+    // (optionally one of its profiles) or the built-in defaults
+    const config = loadContextConfig(this.workspaceDir, options.profile);
+    this.profile = config.profile;
+    this.identityFiles = config.identityFiles;
+    this.contextFiles = config.contextFiles;
+    this.limits = config.limits;
+    this.tokenizer = createTokenizer(options.tokenizer || config.tokenizer || undefined);
+
+    // Identity summaries and corpus token counts are cached under ~/.cache/opensearch
+    const cacheDir = options.cacheDir || path.join(os.homedir(), '.cache', 'opensearch');
+    this.identityCache = new IdentityCache(path.join(cacheDir, 'identity'));
+    this.tokenCounts = new TokenCountCache(path.join(cacheDir, 'token-counts.json'));
+
+    // Context files follow the workspace's .gitignore and .opensearchignore,
+    // as indexing and grep searches do
+    this.ignored = createIgnoreFilter(this.workspaceDir);
+
+    // Index-backed context opens the default index unless an engine is given
+    this.searchEngine = options.searchEngine || null;
+    this.ownsSearchEngine = false;
   }
 
   /**
@@ -41,182 +66,410 @@ export class ContextRetriever {
     const {
       includeIdentity = true,
       maxTokens = this.limits.total,
-      searchLimit = 5
+      searchLimit = 5,
+      regex = false,
+      filters = null,
+      mode = null,
+      collections = []
     } = options;
 
     const context = {
       identity: '',
       relevant: '',
       tokenEstimate: 0,
+      tokenizer: this.tokenizer.name,
       sources: [],
       savings: {}
     };
 
+    // An explicit maxTokens is the whole budget; otherwise search gets at
+    // most limits.search of limits.total
+    const searchBudget = options.maxTokens ? Infinity : this.limits.search;
     let tokensUsed = 0;
+    const sourceFiles = new Set();
 
-    // 1. Always include compact identity (it's small and essential)
+    // 1. Always include compact identity (it's small and essential), within
+    // limits.identity and never more than the whole budget
     if (includeIdentity) {
-      const identity = await this.getCompactIdentity();
+      const identity = await this.getCompactIdentity(Math.min(this.limits.identity, maxTokens));
       context.identity = identity.content;
       tokensUsed += identity.tokens;
       context.sources.push(...identity.sources);
+      identity.files.forEach(file => sourceFiles.add(file));
     }
 
     // 2. Search for relevant context based on query
     if (query && tokensUsed < maxTokens) {
       const searchResults = await this.searchContext(query, {
-        maxTokens: maxTokens - tokensUsed,
-        limit: searchLimit
+        maxTokens: Math.min(searchBudget, maxTokens - tokensUsed),
+        limit: searchLimit,
+        regex,
+        filters,
+        mode,
+        collections
       });
       context.relevant = searchResults.content;
       tokensUsed += searchResults.tokens;
       context.sources.push(...searchResults.sources);
+      searchResults.files.forEach(file => sourceFiles.add(file));
     }
 
-    // 3. Calculate savings
-    const fullFileTokens = await this.estimateFullFileTokens();
+    // 3. Calculate savings against the files used and everything searchable
+    const corpus = await this.measureCorpus({ useIndex: Boolean(mode) || collections.length > 0, collections });
+    const sources = new Map([...sourceFiles].map(file => [file, corpus.get(file) ?? this.countFileTokens(file)]));
     context.tokenEstimate = tokensUsed;
-    context.savings = {
-      fullFileTokens,
-      actualTokens: tokensUsed,
-      saved: fullFileTokens - tokensUsed,
-      percentSaved: Math.round((1 - tokensUsed / fullFileTokens) * 100)
-    };
+    context.savings = computeSavings(tokensUsed, { sources, corpus });
 
     return context;
   }
 
   /**
    * Get compact identity information
-   * Only includes essential files that are small
+   * Files that fit their share of `budget` (limits.identity unless the whole
+   * context budget is smaller) are included whole; larger
+   * ones are summarised (headings, key: value lines, bullets) to fit, and
+   * their entry in `sources` says so
    */
-  async getCompactIdentity() {
+  async getCompactIdentity(budget = this.limits.identity) {
     const parts = [];
     const sources = [];
-    let totalTokens = 0;
+    const used = [];
 
-    for (const file of this.identityFiles) {
+    const files = this.identityFiles.flatMap(pattern => glob.sync(pattern, { cwd: this.workspaceDir, nodir: true }).sort());
+    const entries = [];
+    for (const file of [...new Set(files)]) {
       const filePath = path.join(this.workspaceDir, file);
-      if (fs.existsSync(filePath)) {
-        try {
-          const content = fs.readFileSync(filePath, 'utf8').trim();
-          const tokens = Math.round(content.length / 4);
-
-          if (totalTokens + tokens <= this.limits.identity) {
-            parts.push(`<!-- ${file} -->\n${content}`);
-            sources.push(file);
-            totalTokens += tokens;
-          }
-        } catch (e) {
-          // Skip unreadable files
-        }
+      try {
+        const content = fs.readFileSync(filePath, 'utf8').trim();
+        const part = `<!-- ${file} -->\n${content}`;
+        entries.push({ file, filePath, content, part, tokens: this.tokenizer.count(part) });
+      } catch (e) {
+        // Skip unreadable files
       }
     }
 
+    // Blank lines between files come out of the budget first
+    const separators = Math.max(0, entries.length - 1) * this.tokenizer.count('\n\n');
+    const budgets = allocateBudget(entries.map(entry => entry.tokens), budget - separators);
+
+    entries.forEach((entry, index) => {
+      if (entry.tokens <= budgets[index]) {
+        parts.push(entry.part);
+        sources.push(entry.file);
+        used.push(entry.filePath);
+        return;
+      }
+
+      const header = `<!-- ${entry.file} (summary) -->\n`;
+      const summary = this.identityCache.summarize(
+        entry.filePath,
+        entry.content,
+        budgets[index] - this.tokenizer.count(header),
+        this.tokenizer
+      );
+      if (summary.content) {
+        parts.push(header + summary.content);
+        used.push(entry.filePath);
+        sources.push(`${entry.file} (truncated: summary of ${summary.tokens} of ${entry.tokens} tokens)`);
+      } else {
+        sources.push(`${entry.file} (omitted: no room in the ${budget}-token identity budget)`);
+      }
+    });
+
+    const content = parts.join('\n\n');
     return {
-      content: parts.join('\n\n'),
-      tokens: totalTokens,
-      sources
+      content,
+      tokens: this.tokenizer.count(content),
+      sources,
+      files: used
     };
   }
 
   /**
-   * Search for relevant context using ripgrep/grep
+   * Search for relevant context using ripgrep/grep, or the index when a
+   * mode or collections are given. Blocks are ranked, then packed best-first
+   * into the token budget; overlapping and adjacent blocks of a file are merged.
    */
   async searchContext(query, options = {}) {
-    const { maxTokens = 2000, limit = 5 } = options;
+    const { maxTokens = 2000, limit = 5, regex = false, filters = null, mode = null, collections = [] } = options;
 
-    const results = [];
-    const sources = [];
-    let totalChars = 0;
-    const maxChars = maxTokens * 4; // Approximate chars per token
+    const useIndex = Boolean(mode) || collections.length > 0;
+    if (useIndex && regex) {
+      throw new Error('--regex only applies to grep context; drop --mode and --collection to use it');
+    }
+    const candidates = useIndex
+      ? await this.indexCandidates(query, { limit, filters, mode: mode || 'hybrid', collections })
+      : await this.findCandidates(query, { limit, regex, filters });
+    const selected = this.packCandidates(candidates, maxTokens, query);
+
+    // Count what is actually returned, headers included; a notice that does
+    // not fit the budget is left out
+    let content = selected.length === 0 && candidates.length > 0
+      ? `<!-- No match for: ${query} fits in ${maxTokens} tokens -->`
+      : this.formatSearchResults(selected, query);
+    if (selected.length === 0 && this.tokenizer.count(content) > maxTokens) {
+      content = '';
+    }
+    const sources = [...new Set(selected.map(block => block.source))];
 
-    // Search in memory files
-    const searchPaths = this.contextFiles.map(f => path.join(this.workspaceDir, f));
+    return {
+      content,
+      tokens: this.tokenizer.count(content),
+      sources,
+      files: [...new Set(selected.map(block => block.file))],
+      matchCount: selected.length
+    };
+  }
 
-    for (const pattern of searchPaths) {
-      if (totalChars >= maxChars) break;
+  /**
+   * Context files that exist and pass the date filters, each listed once
+   */
+  listContextFiles(filters = null) {
+    const files = new Map();
 
-      try {
-        // Use glob to find matching files
-        const files = glob.sync(pattern, { nodir: true });
+    this.contextFiles.forEach((pattern, order) => {
+      for (const file of this.globContextFiles(pattern)) {
+        if (files.has(file)) continue;
 
-        for (const file of files) {
-          if (totalChars >= maxChars) break;
-          if (!fs.existsSync(file)) continue;
+        const { metadata, date } = this.fileMetadata(file);
+        if (matchesFilters(filters, metadata, date)) {
+          files.set(file, { file, source: path.relative(this.workspaceDir, file), date, order });
+        }
+      }
+    });
 
-          // Search within this file
-          const matches = await this.searchInFile(file, query, {
-            contextLines: 3,
-            maxMatches: limit
-          });
+    return [...files.values()];
+  }
 
-          for (const match of matches) {
-            if (totalChars >= maxChars) break;
+  // Absolute paths of the identity files that exist
+  listIdentityFiles() {
+    return this.identityFiles.flatMap(pattern => glob.sync(path.join(this.workspaceDir, pattern), { nodir: true }));
+  }
 
-            results.push(match);
-            totalChars += match.content.length;
+  // Absolute paths matching a context file pattern, minus ignored files
+  globContextFiles(pattern) {
+    return glob.sync(path.join(this.workspaceDir, pattern), {
+      nodir: true,
+      ignore: globIgnore(this.ignored)
+    }).sort();
+  }
 
-            if (!sources.includes(match.source)) {
-              sources.push(match.source);
-            }
-          }
-        }
-      } catch (e) {
-        // Skip errors
+  /**
+   * Match blocks from every context file, best first. Each plain term is
+   * grepped on its own; a block must satisfy the title:/path: and -excluded
+   * terms, and scores one point per matched line plus the share of the plain
+   * terms (or OR-ed alternatives) it contains.
+   */
+  async findCandidates(query, { limit = 5, regex = false, filters = null } = {}) {
+    const files = this.listContextFiles(filters);
+    if (files.length === 0) return [];
+
+    const parsed = regex ? null : parseQuery(query);
+    const scored = parsed ? parsed.groups.filter(group => group.every(term => !term.field)) : [];
+    const required = parsed && {
+      groups: parsed.groups.filter(group => !scored.includes(group)),
+      excluded: parsed.excluded
+    };
+    const patterns = regex ? [query] : scored.flat().map(term => term.text);
+    if (patterns.length === 0) return [];
+
+    const byFile = new Map(files.map(entry => [entry.file, entry]));
+    const usesTitle = parsed && [...parsed.terms, ...parsed.excluded].some(term => term.field === 'title');
+    const titles = new Map();
+    const blocks = (await searchFiles(patterns, files.map(entry => entry.file), { contextLines: 3, regex }))
+      .filter(block => {
+        if (!required) return true;
+        if (usesTitle && !titles.has(block.file)) titles.set(block.file, fileTitle(block.file));
+        return matchesQuery(required, {
+          text: block.lines.map(line => line.text).join('\n'),
+          title: titles.get(block.file) || '',
+          path: block.file
+        });
+      });
+
+    const candidates = blocks.map(block => {
+      const { file, source, date, order } = byFile.get(block.file);
+      const text = block.lines.map(line => line.text).join('\n');
+      const covered = scored.filter(group => matchesQuery({ groups: [group], excluded: [] }, { text }));
+      const coverage = scored.length ? covered.length / scored.length : 0;
+
+      return {
+        file,
+        source,
+        date,
+        order,
+        lines: block.lines,
+        startLine: block.lines[0].number,
+        endLine: block.lines[block.lines.length - 1].number,
+        score: block.lines.filter(line => line.match).length + coverage
+      };
+    });
+
+    return this.rankCandidates(candidates, limit);
+  }
+
+  /**
+   * Chunks from the index, ranked by the search engine's score. Each chunk
+   * becomes a block whose lines containing a query word are marked as matches;
+   * sources read `collection/relative/path.md`.
+   */
+  async indexCandidates(query, { limit = 5, filters = null, mode = 'hybrid', collections = [] } = {}) {
+    if (!CONTEXT_MODES.includes(mode)) {
+      throw new Error(`Unknown context mode "${mode}" (expected one of: ${CONTEXT_MODES.join(', ')})`);
+    }
+
+    const engine = await this.openSearchEngine();
+    const roots = new Map((await engine.db.getCollections()).map(collection => [collection.name, collection.path]));
+    for (const name of collections) {
+      if (!roots.has(name)) {
+        throw new Error(`Collection "${name}" not found`);
       }
     }
 
-    // Format results as markdown
-    const content = this.formatSearchResults(results, query);
+    // Lines are marked as matches by the plain query terms, as grep context marks them
+    const words = [...new Set(parseQuery(query).terms.filter(term => !term.field).map(term => term.text.toLowerCase()))];
+    // Identity files are packed on their own; an indexed copy would repeat them
+    const identity = new Set(this.listIdentityFiles());
+    const candidates = [];
+    const names = collections.length > 0 ? collections : [...roots.keys()];
+
+    for (const [order, name] of names.entries()) {
+      // A few chunks per block the packer may take, so it can skip large ones
+      const { results } = await engine.search(query, { mode, collection: name, limit: limit * 4, filters });
+
+      for (const result of results) {
+        if (identity.has(path.resolve(result.path))) continue;
+        const chunk = await engine.db.getChunk(result.chunkId);
+        if (!chunk) continue;
+
+        const lines = chunk.content.split('\n').map((text, index) => ({
+          number: chunk.start_line + index,
+          text,
+          match: words.some(word => text.toLowerCase().includes(word))
+        }));
+        candidates.push({
+          file: result.path,
+          source: `${name}/${path.relative(roots.get(name), result.path)}`,
+          date: result.date,
+          order,
+          lines,
+          startLine: lines[0].number,
+          endLine: lines[lines.length - 1].number,
+          score: result.score
+        });
+      }
+    }
 
-    return {
-      content,
-      tokens: Math.round(totalChars / 4),
-      sources,
-      matchCount: results.length
-    };
+    return this.rankCandidates(candidates, limit);
   }
 
   /**
-   * Search within a specific file
+   * Best first; ties go to the earlier context file pattern or collection,
+   * then to the newest daily note. At most `limit` blocks per file.
    */
-  async searchInFile(filePath, query, options = {}) {
-    const { contextLines = 2, maxMatches = 5 } = options;
-    const matches = [];
+  rankCandidates(candidates, limit) {
+    candidates.sort((a, b) => b.score - a.score ||
+      a.order - b.order ||
+      (b.date || '').localeCompare(a.date || '') ||
+      a.source.localeCompare(b.source) ||
+      a.startLine - b.startLine);
+
+    const perFile = new Map();
+    return candidates.filter(candidate => {
+      const count = perFile.get(candidate.source) || 0;
+      perFile.set(candidate.source, count + 1);
+      return count < limit;
+    });
+  }
 
-    try {
-      const caseSensitiveFlag = '-i';
-      let cmd;
+  /**
+   * Greedily take the best candidates that still fit in `maxTokens`,
+   * charging each for its lines plus the header or separator it adds
+   */
+  packCandidates(candidates, maxTokens, query) {
+    const selected = [];
+    let used = this.tokenizer.count(this.resultsHeader(query));
 
-      // Try ripgrep first
-      try {
-        execSync('which rg', { stdio: 'ignore' });
-        cmd = `rg ${caseSensitiveFlag} -n -C ${contextLines} "${query}" "${filePath}" 2>/dev/null || true`;
-      } catch (e) {
-        cmd = `grep ${caseSensitiveFlag} -n -C ${contextLines} "${query}" "${filePath}" 2>/dev/null || true`;
+    for (const candidate of candidates) {
+      const sameFile = selected.filter(block => block.source === candidate.source);
+
+      // Already covered by a block taken earlier
+      if (sameFile.some(block => block.startLine <= candidate.startLine && block.endLine >= candidate.endLine)) {
+        continue;
       }
 
-      const output = execSync(cmd, { encoding: 'utf8', maxBuffer: 512 * 1024 });
+      const overhead = sameFile.length > 0 ? '\n...\n' : `\n### From ${candidate.source}:\n`;
+      const cost = this.tokenizer.count(overhead) + this.tokenizer.count(this.formatBlock(candidate.lines));
+      if (used + cost > maxTokens) continue;
+
+      selected.push(candidate);
+      used += cost;
+    }
+
+    return this.mergeBlocks(selected);
+  }
 
-      if (output.trim()) {
-        const blocks = output.split('--\n').slice(0, maxMatches);
+  /**
+   * Merge a file's overlapping or adjacent blocks into one, keeping the
+   * files in rank order and each file's blocks in line order
+   */
+  mergeBlocks(blocks) {
+    const bySource = new Map();
+    for (const block of blocks) {
+      if (!bySource.has(block.source)) bySource.set(block.source, []);
+      bySource.get(block.source).push(block);
+    }
 
-        for (const block of blocks) {
-          if (block.trim()) {
-            matches.push({
-              source: path.relative(this.workspaceDir, filePath),
-              content: block.trim(),
-              query
-            });
+    const merged = [];
+    for (const fileBlocks of bySource.values()) {
+      fileBlocks.sort((a, b) => a.startLine - b.startLine);
+
+      let current = null;
+      for (const block of fileBlocks) {
+        if (current && block.startLine <= current.endLine + 1) {
+          const lines = new Map(current.lines.map(line => [line.number, line]));
+          for (const line of block.lines) {
+            const existing = lines.get(line.number);
+            lines.set(line.number, existing ? { ...existing, match: existing.match || line.match } : line);
           }
+          current.lines = [...lines.values()].sort((a, b) => a.number - b.number);
+          current.endLine = Math.max(current.endLine, block.endLine);
+          current.score += block.score;
+        } else {
+          current = { ...block };
+          merged.push(current);
         }
       }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Frontmatter and date (frontmatter or YYYY-MM-DD file name) of a context file
+   */
+  fileMetadata(filePath) {
+    let metadata = {};
+    try {
+      metadata = parseFrontmatter(fs.readFileSync(filePath, 'utf8')).metadata;
     } catch (e) {
-      // Search failed, skip
+      // Unreadable files have no metadata
     }
+    return { metadata, date: documentDate(filePath, metadata) };
+  }
+
+  /**
+   * A block in grep's `line:match` / `line-context` numbering
+   */
+  formatBlock(lines) {
+    return lines
+      .map(line => `${line.number}${line.match ? ':' : '-'}${line.text}`)
+      .join('\n')
+      .trim();
+  }
 
-    return matches;
+  resultsHeader(query) {
+    return `<!-- Relevant context for: "${query}" -->`;
   }
 
   /**
@@ -227,7 +480,7 @@ export class ContextRetriever {
       return `<!-- No matches found for: ${query} -->`;
     }
 
-    const parts = [`<!-- Relevant context for: "${query}" -->`];
+    const parts = [this.resultsHeader(query)];
 
     // Group by source
     const bySource = {};
@@ -235,7 +488,7 @@ export class ContextRetriever {
       if (!bySource[result.source]) {
         bySource[result.source] = [];
       }
-      bySource[result.source].push(result.content);
+      bySource[result.source].push(this.formatBlock(result.lines));
     }
 
     for (const [source, contents] of Object.entries(bySource)) {
@@ -247,27 +500,68 @@ export class ContextRetriever {
   }
 
   /**
-   * Estimate tokens if we loaded all files fully
+   * Tokens of every file context could be drawn from, by path: the identity
+   * and context files (less ignored ones), plus the indexed documents of the searched collections.
+   * Counts are cached by content hash, so only new or changed files are tokenized.
    */
-  async estimateFullFileTokens() {
-    let totalChars = 0;
-    const allFiles = [...this.identityFiles, ...this.contextFiles];
+  async measureCorpus({ useIndex = false, collections = [] } = {}) {
+    const corpus = new Map();
+
+    const files = [
+      ...this.listIdentityFiles(),
+      ...this.contextFiles.flatMap(pattern => this.globContextFiles(pattern))
+    ];
+    for (const file of files) {
+      if (!corpus.has(file)) corpus.set(file, this.countFileTokens(file));
+    }
 
-    for (const pattern of allFiles) {
-      try {
-        const files = glob.sync(path.join(this.workspaceDir, pattern), { nodir: true });
-        for (const file of files) {
-          if (fs.existsSync(file)) {
-            const stat = fs.statSync(file);
-            totalChars += stat.size;
-          }
+    if (useIndex) {
+      const engine = await this.openSearchEngine();
+      const where = collections.length > 0 ? `WHERE collection IN (${collections.map(() => '?').join(', ')})` : '';
+      const documents = await engine.db.all(`SELECT id, path, content_hash FROM documents ${where}`, collections);
+      for (const document of documents) {
+        let tokens = this.tokenCounts.get(document.content_hash, this.tokenizer);
+        if (tokens === undefined) {
+          const { content } = await engine.db.get('SELECT content FROM documents WHERE id = ?', [document.id]);
+          tokens = this.tokenCounts.count(content, this.tokenizer, document.content_hash || undefined);
         }
-      } catch (e) {
-        // Skip
+        corpus.set(document.path, tokens);
       }
     }
 
-    return Math.round(totalChars / 4);
+    this.tokenCounts.save();
+    return corpus;
+  }
+
+  countFileTokens(filePath) {
+    try {
+      return this.tokenCounts.count(fs.readFileSync(filePath, 'utf8'), this.tokenizer);
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * The search engine for index-backed context, opened on first use
+   */
+  async openSearchEngine() {
+    if (!this.searchEngine) {
+      this.searchEngine = new SearchEngine();
+      await this.searchEngine.initialize();
+      this.ownsSearchEngine = true;
+    }
+    return this.searchEngine;
+  }
+
+  /**
+   * Close the index if this retriever opened it
+   */
+  async close() {
+    if (this.ownsSearchEngine) {
+      await this.searchEngine.close();
+      this.searchEngine = null;
+      this.ownsSearchEngine = false;
+    }
   }
 
   /**
@@ -284,7 +578,11 @@ export class ContextRetriever {
       parts.push('## Relevant Context\n' + context.relevant);
     }
 
-    parts.push(`\n<!-- Token usage: ${context.tokenEstimate} (saved ${context.savings.percentSaved}% vs full files) -->`);
+    const { sources, corpus } = context.savings;
+    parts.push(
+      `\n<!-- Token usage: ${context.tokenEstimate} (saved ${formatPercent(sources.percentSaved)} vs source files, ` +
+      `${formatPercent(corpus.percentSaved)} vs full corpus) -->`
+    );
 
     return parts.join('\n\n');
   }
@@ -1,16 +1,122 @@
 import sqlite3 from 'sqlite3';
 import path from 'path';
 import fs from 'fs';
-import { promisify } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from './migrations.js';
+import { decodeVector } from './vectors.js';
+
+// The managers whose transaction the current async call chain is running in
+const transactionScope = new AsyncLocalStorage();
+
+// SQL used by the DatabaseManager helpers, kept in one place like prepared statements
+const SQL = {
+  addCollection: `
+    INSERT INTO collections (name, path, mask, exclude_patterns)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      path = excluded.path,
+      mask = excluded.mask,
+      exclude_patterns = excluded.exclude_patterns,
+      updated_at = strftime('%s','now')
+  `,
+  getCollections: `
+    SELECT c.*, COUNT(d.id) as file_count
+    FROM collections c
+    LEFT JOIN documents d ON d.collection = c.name
+    GROUP BY c.name
+    ORDER BY c.name
+  `,
+  removeCollection: 'DELETE FROM collections WHERE name = ?',
+  addDocument: `
+    INSERT INTO documents (id, path, title, content, collection, size, modified_at, content_hash, metadata, date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      path = excluded.path,
+      title = excluded.title,
+      content = excluded.content,
+      collection = excluded.collection,
+      size = excluded.size,
+      modified_at = excluded.modified_at,
+      content_hash = excluded.content_hash,
+      metadata = excluded.metadata,
+      date = excluded.date,
+      indexed_at = strftime('%s','now')
+  `,
+  touchDocument: 'UPDATE documents SET modified_at = ? WHERE id = ?',
+  getDocument: 'SELECT * FROM documents WHERE id = ?',
+  getDocumentByPath: 'SELECT * FROM documents WHERE path = ?',
+  removeDocument: 'DELETE FROM documents WHERE id = ?',
+  getDocumentsByCollection: 'SELECT * FROM documents WHERE collection = ? ORDER BY path',
+  removeOrphanedDocuments: `
+    DELETE FROM documents
+    WHERE collection NOT IN (SELECT name FROM collections)
+  `,
+  addChunk: `
+    INSERT INTO chunks (id, document_id, chunk_index, heading, content, start_line, end_line)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+  getChunks: 'SELECT id, heading, content FROM chunks WHERE document_id = ?',
+  moveChunk: 'UPDATE chunks SET start_line = ?, end_line = ? WHERE id = ?',
+  removeChunk: 'DELETE FROM chunks WHERE id = ?',
+  getChunk: `
+    SELECT c.*, d.path, d.title, d.collection, d.date
+    FROM chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE c.id = ?
+  `,
+  getSetting: 'SELECT value FROM settings WHERE key = ?',
+  setSetting: `
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = strftime('%s','now')
+  `,
+  removeOrphanedChunks: `
+    DELETE FROM chunks
+    WHERE document_id NOT IN (SELECT id FROM documents)
+  `,
+  removeOrphanedEmbeddings: `
+    DELETE FROM embeddings
+    WHERE chunk_id NOT IN (SELECT id FROM chunks)
+  `
+};
 
 export class DatabaseManager {
-  constructor(dbPath) {
+  constructor(dbPath, options = {}) {
     this.dbPath = dbPath;
+    // Read-only connections never create, configure or migrate the file
+    this.readOnly = options.readOnly === true;
+    this.autoMigrate = options.autoMigrate !== false && !this.readOnly;
     this.db = null;
-    this.statements = {};
+    this.opening = null;
+    this.transactionQueue = Promise.resolve();
   }
 
+  // Safe to call repeatedly: the connection is opened once and shared
   async initialize() {
+    if (!this.opening) {
+      this.opening = this.open().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  async open() {
+    if (this.readOnly) {
+      if (!fs.existsSync(this.dbPath)) {
+        throw new Error(`No index at ${this.dbPath}`);
+      }
+      this.db = await new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(this.dbPath, sqlite3.OPEN_READONLY, (err) => {
+          if (err) reject(err);
+          else resolve(db);
+        });
+      });
+      await this.exec('PRAGMA busy_timeout = 5000');
+      await this.checkSchemaVersion();
+      return;
+    }
+
     // Ensure directory exists
     const dir = path.dirname(this.dbPath);
     if (!fs.existsSync(dir)) {
@@ -18,293 +124,389 @@ export class DatabaseManager {
     }
 
     // Open database
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        // Configure database
-        this.db.serialize(() => {
-          this.db.run('PRAGMA journal_mode = WAL');
-          this.db.run('PRAGMA synchronous = NORMAL');
-          this.db.run('PRAGMA cache_size = 1000');
-    
-    // Create tables
-    this.createTables();
-    
-    // Prepare common statements
-    this.prepareStatements();
-  }
-
-  createTables() {
-    // Collections table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS collections (
-        name TEXT PRIMARY KEY,
-        path TEXT NOT NULL,
-        mask TEXT NOT NULL DEFAULT '**/*.{md,txt}',
-        created_at INTEGER DEFAULT (strftime('%s','now')),
-        updated_at INTEGER DEFAULT (strftime('%s','now'))
-      )
-    `);
-
-    // Documents table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS documents (
-        id TEXT PRIMARY KEY,
-        path TEXT NOT NULL,
-        title TEXT,
-        content TEXT NOT NULL,
-        collection TEXT NOT NULL,
-        size INTEGER NOT NULL,
-        modified_at INTEGER NOT NULL,
-        indexed_at INTEGER DEFAULT (strftime('%s','now')),
-        FOREIGN KEY (collection) REFERENCES collections(name) ON DELETE CASCADE
-      )
-    `);
-
-    // Full-text search table
-    this.db.exec(`
-      CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
-        title, content,
-        content=documents,
-        content_rowid=rowid,
-        tokenize='porter unicode61'
-      )
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) reject(err);
+        else resolve(db);
+      });
+    });
+
+    // Configure database
+    await this.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA synchronous = NORMAL;
+      PRAGMA cache_size = 1000;
+      PRAGMA foreign_keys = ON;
+      PRAGMA busy_timeout = 5000;
     `);
 
-    // Embeddings table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS embeddings (
-        document_id TEXT PRIMARY KEY,
-        embedding TEXT NOT NULL,
-        created_at INTEGER DEFAULT (strftime('%s','now')),
-        FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+    await this.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        description TEXT NOT NULL,
+        applied_at INTEGER DEFAULT (strftime('%s','now'))
       )
     `);
 
-    // Indexes for performance
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_documents_collection ON documents(collection);
-      CREATE INDEX IF NOT EXISTS idx_documents_path ON documents(path);
-      CREATE INDEX IF NOT EXISTS idx_documents_modified ON documents(modified_at);
-    `);
-
-    // Triggers to maintain FTS index
-    this.db.exec(`
-      CREATE TRIGGER IF NOT EXISTS documents_fts_insert AFTER INSERT ON documents BEGIN
-        INSERT INTO documents_fts(rowid, title, content) VALUES (new.rowid, new.title, new.content);
-      END;
-    `);
-
-    this.db.exec(`
-      CREATE TRIGGER IF NOT EXISTS documents_fts_delete AFTER DELETE ON documents BEGIN
-        DELETE FROM documents_fts WHERE rowid = old.rowid;
-      END;
-    `);
-
-    this.db.exec(`
-      CREATE TRIGGER IF NOT EXISTS documents_fts_update AFTER UPDATE ON documents BEGIN
-        DELETE FROM documents_fts WHERE rowid = old.rowid;
-        INSERT INTO documents_fts(rowid, title, content) VALUES (new.rowid, new.title, new.content);
-      END;
-    `);
+    if (this.autoMigrate) {
+      await this.migrate();
+    } else {
+      await this.checkSchemaVersion();
+    }
   }
 
-  prepareStatements() {
-    // Collection statements
-    this.statements.addCollection = this.db.prepare(`
-      INSERT OR REPLACE INTO collections (name, path, mask, updated_at)
-      VALUES (?, ?, ?, strftime('%s','now'))
-    `);
-
-    this.statements.getCollections = this.db.prepare(`
-      SELECT c.*, COUNT(d.id) as file_count
-      FROM collections c
-      LEFT JOIN documents d ON d.collection = c.name
-      GROUP BY c.name
-      ORDER BY c.name
-    `);
+  // Version of the on-disk schema (0 for a fresh or pre-versioning database)
+  async getSchemaVersion() {
+    // A read-only connection may see a database from before schema_version existed
+    const table = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+    if (!table) return 0;
 
-    this.statements.removeCollection = this.db.prepare(`
-      DELETE FROM collections WHERE name = ?
-    `);
-
-    // Document statements
-    this.statements.addDocument = this.db.prepare(`
-      INSERT OR REPLACE INTO documents 
-      (id, path, title, content, collection, size, modified_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
+    const row = await this.get('SELECT MAX(version) as version FROM schema_version');
+    return row?.version || 0;
+  }
 
-    this.statements.getDocument = this.db.prepare(`
-      SELECT * FROM documents WHERE id = ?
-    `);
+  async checkSchemaVersion() {
+    const current = await this.getSchemaVersion();
+    if (current > LATEST_SCHEMA_VERSION) {
+      throw new Error(
+        `Index ${this.dbPath} uses schema version ${current}, but this opensearch only ` +
+        `understands up to version ${LATEST_SCHEMA_VERSION}. Upgrade opensearch or use a different index.`
+      );
+    }
+    return current;
+  }
 
-    this.statements.getDocumentByPath = this.db.prepare(`
-      SELECT * FROM documents WHERE path = ?
-    `);
+  // Apply pending migrations in order, each in its own transaction.
+  // With dryRun the pending steps are only reported.
+  async migrate({ dryRun = false } = {}) {
+    if (this.readOnly && !dryRun) {
+      throw new Error(`Index ${this.dbPath} is open read-only; only a dry run is possible`);
+    }
+    const current = await this.checkSchemaVersion();
+    const pending = MIGRATIONS.filter(migration => migration.version > current);
+
+    if (!dryRun) {
+      for (const migration of pending) {
+        await this.transaction(async () => {
+          await migration.up(this);
+          await this.run(
+            'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+            [migration.version, migration.description]
+          );
+        });
+      }
+    }
 
-    this.statements.removeDocument = this.db.prepare(`
-      DELETE FROM documents WHERE id = ?
-    `);
+    return {
+      from: current,
+      to: dryRun ? current : LATEST_SCHEMA_VERSION,
+      latest: LATEST_SCHEMA_VERSION,
+      pending: pending.map(({ version, description }) => ({ version, description })),
+      dryRun
+    };
+  }
 
-    this.statements.getDocumentsByCollection = this.db.prepare(`
-      SELECT * FROM documents WHERE collection = ? ORDER BY path
-    `);
+  // Promise wrappers around the sqlite3 callback API
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
 
-    // Cleanup statements
-    this.statements.removeOrphanedDocuments = this.db.prepare(`
-      DELETE FROM documents 
-      WHERE collection NOT IN (SELECT name FROM collections)
-    `);
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
 
-    this.statements.removeOrphanedEmbeddings = this.db.prepare(`
-      DELETE FROM embeddings 
-      WHERE document_id NOT IN (SELECT id FROM documents)
-    `);
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
   }
 
-  // Wrapper methods for prepared statements
-  prepare(sql) {
-    return this.db.prepare(sql);
+  // Stream rows one at a time; resolves with the number of rows seen
+  each(sql, params, onRow) {
+    return new Promise((resolve, reject) => {
+      let failure = null;
+      this.db.each(sql, params, (err, row) => {
+        if (err || failure) {
+          failure = failure || err;
+          return;
+        }
+        try {
+          onRow(row);
+        } catch (error) {
+          failure = error;
+        }
+      }, (err, count) => {
+        if (err || failure) reject(err || failure);
+        else resolve(count);
+      });
+    });
   }
 
   exec(sql) {
-    return this.db.exec(sql);
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Run an async function inside BEGIN/COMMIT, rolling back if it throws.
+  // Calls made from inside `fn` join its transaction; overlapping callers on
+  // this connection wait for it to finish, since one connection can only
+  // hold one transaction. Other connections, such as `watch` re-indexing in
+  // another process while `embed` runs, are kept apart by SQLite's write
+  // lock: BEGIN IMMEDIATE waits up to busy_timeout for it to be released.
+  async transaction(fn) {
+    const scope = transactionScope.getStore();
+    if (scope?.has(this)) {
+      return fn(this);
+    }
+
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    try {
+      return await transactionScope.run(new Set([...(scope || []), this]), async () => {
+        await this.exec('BEGIN IMMEDIATE');
+        try {
+          const result = await fn(this);
+          await this.exec('COMMIT');
+          return result;
+        } catch (error) {
+          await this.exec('ROLLBACK').catch(() => {});
+          throw error;
+        }
+      });
+    } finally {
+      release();
+    }
   }
 
-  transaction(fn) {
-    return this.db.transaction(fn);
+  // Stream rows through a JS scoring function and keep the `limit` best.
+  // The sqlite3 driver has no API for user-defined SQL functions, so scores
+  // such as vector_distance_cosine are computed here while rows stream past.
+  async topK(sql, params, score, limit) {
+    const best = [];
+    await this.each(sql, params, (row) => {
+      const value = score(row);
+      if (value === null || Number.isNaN(value)) return;
+      if (best.length === limit && value <= best[best.length - 1].score) return;
+
+      best.push({ row, score: value });
+      best.sort((a, b) => b.score - a.score);
+      if (best.length > limit) best.pop();
+    });
+    return best;
   }
 
   // Collection methods
-  addCollection(name, path, mask) {
-    return this.statements.addCollection.run(name, path, mask);
+  addCollection(name, path, mask, exclude = []) {
+    return this.run(SQL.addCollection, [name, path, mask, JSON.stringify(exclude)]);
   }
 
   getCollections() {
-    return this.statements.getCollections.all();
+    return this.all(SQL.getCollections);
   }
 
-  removeCollection(name) {
-    const result = this.statements.removeCollection.run(name);
-    this.cleanup(); // Remove orphaned documents and embeddings
+  async removeCollection(name) {
+    const result = await this.run(SQL.removeCollection, [name]);
+    await this.cleanup(); // Remove orphaned documents and embeddings
     return result;
   }
 
   // Document methods
-  addDocument(id, path, title, content, collection, size, modifiedAt) {
-    return this.statements.addDocument.run(id, path, title, content, collection, size, modifiedAt);
+  addDocument(id, path, title, content, collection, size, modifiedAt, contentHash, metadata = {}, date = null) {
+    return this.run(SQL.addDocument, [
+      id, path, title, content, collection, size, modifiedAt, contentHash, JSON.stringify(metadata), date
+    ]);
+  }
+
+  touchDocument(id, modifiedAt) {
+    return this.run(SQL.touchDocument, [modifiedAt, id]);
   }
 
   getDocument(id) {
-    return this.statements.getDocument.get(id);
+    return this.get(SQL.getDocument, [id]);
   }
 
   getDocumentByPath(path) {
-    return this.statements.getDocumentByPath.get(path);
+    return this.get(SQL.getDocumentByPath, [path]);
   }
 
   removeDocument(id) {
-    return this.statements.removeDocument.run(id);
+    return this.run(SQL.removeDocument, [id]);
   }
 
   getDocumentsByCollection(collection) {
-    return this.statements.getDocumentsByCollection.all(collection);
+    return this.all(SQL.getDocumentsByCollection, [collection]);
+  }
+
+  // Chunk methods
+  // Chunks whose heading and text are unchanged keep their row, and so their
+  // embedding; only new or edited chunks are re-inserted and need embedding
+  async replaceChunks(documentId, chunks, { reuse = true } = {}) {
+    await this.transaction(async () => {
+      const existing = await this.all(SQL.getChunks, [documentId]);
+      const existingById = new Map(existing.map(chunk => [chunk.id, chunk]));
+
+      for (const chunk of chunks) {
+        const id = `${documentId}-${chunk.index}`;
+        const previous = existingById.get(id);
+        existingById.delete(id);
+
+        if (reuse && previous && previous.heading === chunk.heading && previous.content === chunk.content) {
+          await this.run(SQL.moveChunk, [chunk.startLine, chunk.endLine, id]);
+          continue;
+        }
+        if (previous) {
+          await this.run(SQL.removeChunk, [id]);
+        }
+        await this.run(SQL.addChunk, [
+          id,
+          documentId,
+          chunk.index,
+          chunk.heading,
+          chunk.content,
+          chunk.startLine,
+          chunk.endLine
+        ]);
+      }
+
+      // Chunks past the new end of the document
+      for (const id of existingById.keys()) {
+        await this.run(SQL.removeChunk, [id]);
+      }
+    });
+  }
+
+  getChunk(id) {
+    return this.get(SQL.getChunk, [id]);
+  }
+
+  // Settings hold JSON values, e.g. the embedding provider the index was built with
+  async getSetting(key) {
+    const row = await this.get(SQL.getSetting, [key]);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setSetting(key, value) {
+    return this.run(SQL.setSetting, [key, JSON.stringify(value)]);
+  }
+
+  // Corpus document frequencies; the corpus size is kept in the term_stats setting
+  async replaceTermStats(documents, df) {
+    await this.transaction(async () => {
+      await this.run('DELETE FROM term_stats');
+      // Multi-row inserts keep large vocabularies quick to write
+      const entries = Array.from(df);
+      for (let i = 0; i < entries.length; i += 250) {
+        const batch = entries.slice(i, i + 250);
+        await this.run(
+          `INSERT INTO term_stats (feature, df) VALUES ${batch.map(() => '(?, ?)').join(', ')}`,
+          batch.flat()
+        );
+      }
+      await this.setSetting('term_stats', { documents, features: df.size });
+    });
+  }
+
+  async getTermFrequencies(features) {
+    const df = new Map();
+    // Stay well under SQLite's bound-parameter limit
+    for (let i = 0; i < features.length; i += 500) {
+      const batch = features.slice(i, i + 500);
+      const rows = await this.all(
+        `SELECT feature, df FROM term_stats WHERE feature IN (${batch.map(() => '?').join(', ')})`,
+        batch
+      );
+      rows.forEach(row => df.set(row.feature, row.df));
+    }
+    return df;
   }
 
   // Utility methods
-  cleanup() {
-    this.statements.removeOrphanedDocuments.run();
-    this.statements.removeOrphanedEmbeddings.run();
-    
+  async cleanup() {
+    await this.run(SQL.removeOrphanedDocuments);
+    await this.run(SQL.removeOrphanedChunks);
+    await this.run(SQL.removeOrphanedEmbeddings);
+
     // Rebuild FTS index
-    this.db.exec('INSERT INTO documents_fts(documents_fts) VALUES("rebuild")');
-    
+    await this.exec("INSERT INTO chunks_fts(chunks_fts) VALUES('rebuild')");
+
     // Vacuum database
-    this.db.exec('VACUUM');
+    await this.exec('VACUUM');
   }
 
   getStats() {
-    return this.db.prepare(`
-      SELECT 
+    return this.get(`
+      SELECT
         (SELECT COUNT(*) FROM collections) as collections,
         (SELECT COUNT(*) FROM documents) as documents,
+        (SELECT COUNT(*) FROM chunks) as chunks,
         (SELECT COUNT(*) FROM embeddings) as embeddings,
         (SELECT page_count * page_size FROM pragma_page_count(), pragma_page_size()) as db_size
-    `).get();
+    `);
   }
 
   close() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
-    }
-  }
+    const db = this.db;
+    this.db = null;
+    this.opening = null;
+    if (!db) return Promise.resolve();
 
-  // Vector search helper (placeholder - requires sqlite-vec extension)
-  initializeVectorSearch() {
-    try {
-      // Try to load sqlite-vec extension if available
-      this.db.loadExtension('sqlite-vec');
-      
-      // Create vector index table
-      this.db.exec(`
-        CREATE VIRTUAL TABLE IF NOT EXISTS embeddings_vec USING vec0(
-          document_id TEXT PRIMARY KEY,
-          embedding float[384]
-        )
-      `);
-      
-      return true;
-    } catch (error) {
-      console.warn('Vector search extension not available, using fallback cosine distance');
-      return false;
-    }
+    return new Promise((resolve, reject) => {
+      db.close((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
   }
 }
 
-// Cosine distance fallback for when sqlite-vec is not available
+// Cosine similarity between two equal-length vectors
 export function cosineSimilarity(a, b) {
   if (a.length !== b.length) return 0;
-  
+
   let dotProduct = 0;
   let normA = 0;
   let normB = 0;
-  
+
   for (let i = 0; i < a.length; i++) {
     dotProduct += a[i] * b[i];
     normA += a[i] * a[i];
     normB += b[i] * b[i];
   }
-  
+
   if (normA === 0 || normB === 0) return 0;
-  
+
   return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
-// Register custom functions for SQLite
-Database.prototype.function = function(name, options, fn) {
-  if (typeof options === 'function') {
-    fn = options;
-    options = {};
+// JS counterpart of a vector_distance_cosine(a, b) SQL function over stored
+// embedding BLOBs or arrays; use with DatabaseManager.topK
+export function vectorDistanceCosine(a, b) {
+  try {
+    const toVector = value => (Array.isArray(value) || value instanceof Float32Array ? value : decodeVector(value));
+    const vecA = toVector(a);
+    const vecB = toVector(b);
+    return 1 - cosineSimilarity(vecA, vecB); // Distance (lower is better)
+  } catch (error) {
+    return 1; // Maximum distance on error
   }
-  
-  return this.prepare(`SELECT ${name}(?) as result`).pluck().bind(this, fn);
-};
-
-// Add cosine distance function to SQLite
-export function registerVectorFunctions(db) {
-  db.function('vector_distance_cosine', (a, b) => {
-    try {
-      const vecA = JSON.parse(a);
-      const vecB = JSON.parse(b);
-      return 1 - cosineSimilarity(vecA, vecB); // Distance (lower is better)
-    } catch (error) {
-      return 1; // Maximum distance on error
-    }
-  });
-}
\ No newline at end of file
+}
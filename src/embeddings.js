@@ -3,10 +3,23 @@ import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 
-// Simple lightweight embedding engine for ARM64 compatibility
-export class EmbeddingEngine {
+/**
+ * Embedding providers
+ *
+ * A provider exposes `name`, `model`, `dimensions`, `initialize()`,
+ * `embed(text)` and `embedBatch(texts)`. EmbeddingEngine picks one by name
+ * and is what the rest of the code talks to. The model name and dimension
+ * are stored with every vector so the index can detect a model switch.
+ */
+
+// Legacy TF-IDF provider, kept so indexes embedded with it still load.
+// Its TF-IDF slots depend on term order, so new indexes use `hashing`.
+export class TfidfEmbeddingProvider {
   constructor() {
+    this.name = 'tfidf';
+    this.model = 'tfidf-384';
     this.tfidf = new natural.TfIdf();
+    this.tokenizer = new natural.WordTokenizer();
     this.vocabulary = new Map();
     this.dimensions = 384; // Standard dimension for many embedding models
     this.initialized = false;
@@ -28,7 +41,7 @@ export class EmbeddingEngine {
 
     // Clean and tokenize text
     const cleanText = this.preprocessText(text);
-    const tokens = natural.WordTokenizer.tokenize(cleanText);
+    const tokens = this.tokenizer.tokenize(cleanText);
     
     if (!tokens || tokens.length === 0) {
       return new Array(this.dimensions).fill(0);
@@ -224,6 +237,78 @@ export class EmbeddingEngine {
     }
     return embeddings;
   }
+}
+
+// Providers are loaded lazily so optional runtimes are only required when used
+const PROVIDERS = {
+  hashing: async () => (await import('./hashing-embeddings.js')).HashingEmbeddingProvider,
+  tfidf: async () => TfidfEmbeddingProvider,
+  onnx: async () => (await import('./onnx-embeddings.js')).OnnxEmbeddingProvider,
+  http: async () => (await import('./http-embeddings.js')).HttpEmbeddingProvider
+};
+
+export const EMBEDDING_PROVIDERS = Object.keys(PROVIDERS);
+
+// Front end over the configured provider
+export class EmbeddingEngine {
+  constructor(config = {}) {
+    this.config = { provider: 'hashing', ...config };
+    this.provider = null;
+  }
+
+  async initialize() {
+    if (this.provider) return;
+
+    const load = PROVIDERS[this.config.provider];
+    if (!load) {
+      throw new Error(`Unknown embedding provider "${this.config.provider}" (expected one of: ${EMBEDDING_PROVIDERS.join(', ')})`);
+    }
+
+    const Provider = await load();
+    const provider = new Provider(this.config);
+    await provider.initialize();
+    this.provider = provider;
+  }
+
+  get name() {
+    return this.config.provider;
+  }
+
+  get model() {
+    return this.provider?.model || null;
+  }
+
+  get dimensions() {
+    return this.provider?.dimensions || null;
+  }
+
+  // Settings to persist in the index so queries use the same provider
+  describe() {
+    return { ...this.config, model: this.model, dimensions: this.dimensions };
+  }
+
+  // Providers that weight features by corpus IDF take their counts from the index
+  get usesCorpusStats() {
+    return typeof this.provider?.useCorpusStats === 'function';
+  }
+
+  countFeatures(texts) {
+    return this.provider.countFeatures(texts);
+  }
+
+  useCorpusStats(stats) {
+    this.provider.useCorpusStats(stats);
+  }
+
+  async embed(text) {
+    await this.initialize();
+    return this.provider.embed(text);
+  }
+
+  async embedBatch(texts) {
+    await this.initialize();
+    return this.provider.embedBatch(texts);
+  }
 
   // Similarity computation
   cosineSimilarity(vecA, vecB) {
@@ -257,29 +342,5 @@ export class EmbeddingEngine {
   }
 }
 
-// Alternative: Sentence transformer-like approach for better quality
-export class SentenceEmbeddingEngine extends EmbeddingEngine {
-  constructor() {
-    super();
-    this.model = null;
-  }
-
-  // This would integrate with a pre-trained model if available
-  async initialize() {
-    // Try to load a pre-trained model (placeholder)
-    try {
-      // In a real implementation, this could load something like:
-      // - Universal Sentence Encoder
-      // - MiniLM
-      // - All-MiniLM-L6-v2 (converted to ONNX)
-      console.log('Using lightweight TF-IDF based embeddings');
-      await super.initialize();
-    } catch (error) {
-      console.warn('Pre-trained model not available, using TF-IDF fallback');
-      await super.initialize();
-    }
-  }
-}
-
 // Export default engine
 export default EmbeddingEngine;
\ No newline at end of file
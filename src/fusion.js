@@ -0,0 +1,128 @@
+/**
+ * Rank fusion for hybrid search
+ *
+ *   rrf       sum of weight / (k + rank) over the text and vector lists
+ *   weighted  sum of weight * score, each list min-max normalised to 0..1
+ *   combmnz   the weighted sum multiplied by the number of lists that found the chunk
+ *
+ * A chunk found by both searches is multiplied by `bothBoost`, one ranked
+ * first by either by `topBoost`. Scores are divided by the best score the
+ * method can produce, so 1 means "first in both lists" rather than clamping.
+ * Settings come from the stored 'fusion' setting overlaid with CLI flags.
+ */
+
+export const FUSION_METHODS = ['rrf', 'weighted', 'combmnz'];
+
+// Reproduces the original fixed fusion: RRF, k=60, text counted twice
+export const DEFAULT_FUSION = {
+  method: 'rrf',
+  k: 60,
+  textWeight: 2,
+  vectorWeight: 1,
+  bothBoost: 1.2,
+  topBoost: 1.1
+};
+
+const NUMERIC = ['k', 'textWeight', 'vectorWeight', 'bothBoost', 'topBoost'];
+
+// Merge settings layers (later wins, undefined skipped) and validate the result
+export function resolveFusion(...layers) {
+  const fusion = { ...DEFAULT_FUSION };
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value !== undefined && value !== null) fusion[key] = value;
+    }
+  }
+
+  if (!FUSION_METHODS.includes(fusion.method)) {
+    throw new Error(`Unknown fusion method "${fusion.method}" (expected one of: ${FUSION_METHODS.join(', ')})`);
+  }
+  for (const key of NUMERIC) {
+    fusion[key] = Number(fusion[key]);
+    if (!Number.isFinite(fusion[key]) || fusion[key] < 0) {
+      throw new Error(`Fusion setting ${key} must be a non-negative number`);
+    }
+  }
+  if (fusion.textWeight + fusion.vectorWeight === 0) {
+    throw new Error('Fusion needs a text or vector weight above 0');
+  }
+
+  return fusion;
+}
+
+// Per-list contribution before weighting: 1/(k + rank) or a 0..1 score
+function listScores(results, fusion) {
+  if (fusion.method === 'rrf') {
+    return results.map((result, index) => 1 / (fusion.k + index + 1));
+  }
+
+  const scores = results.map(result => result.score);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min;
+  return scores.map(score => (range > 0 ? (score - min) / range : 1));
+}
+
+function maxScore(fusion) {
+  const perList = fusion.method === 'rrf' ? 1 / (fusion.k + 1) : 1;
+  const lists = fusion.method === 'combmnz' ? 2 : 1;
+  return perList * (fusion.textWeight + fusion.vectorWeight) * lists *
+    Math.max(1, fusion.bothBoost) * Math.max(1, fusion.topBoost);
+}
+
+// Fuse ranked text and vector results (each keyed by chunkId); with `explain`
+// each result carries its ranks and contributions
+export function fuseResults(textResults, vectorResults, fusion, { explain = false } = {}) {
+  const entries = new Map();
+  const lists = [
+    { name: 'text', results: textResults, weight: fusion.textWeight },
+    { name: 'vector', results: vectorResults, weight: fusion.vectorWeight }
+  ];
+
+  for (const { name, results, weight } of lists) {
+    const scores = listScores(results, fusion);
+    results.forEach((result, index) => {
+      if (!entries.has(result.chunkId)) {
+        entries.set(result.chunkId, { result, ranks: {}, scores: {}, contributions: {}, explains: [] });
+      }
+      const entry = entries.get(result.chunkId);
+      if (result.explain) entry.explains.push(result.explain);
+      entry.ranks[name] = index + 1;
+      entry.scores[name] = result.score;
+      entry.contributions[name] = weight * scores[index];
+    });
+  }
+
+  const best = maxScore(fusion);
+  const fused = [];
+  for (const { result, ranks, scores, contributions, explains } of entries.values()) {
+    const found = Object.keys(ranks).length;
+    let score = Object.values(contributions).reduce((sum, value) => sum + value, 0);
+    if (fusion.method === 'combmnz') score *= found;
+
+    let boost = 1;
+    if (found === 2) boost *= fusion.bothBoost;
+    if (ranks.text === 1 || ranks.vector === 1) boost *= fusion.topBoost;
+    score = (score * boost) / best;
+
+    const entry = { ...result, score };
+    if (explain) {
+      // Keep the BM25 and vector details of both searches alongside the fusion
+      entry.explain = {
+        ...Object.assign({}, ...explains),
+        fusion: {
+          method: fusion.method,
+          textRank: ranks.text ?? null,
+          vectorRank: ranks.vector ?? null,
+          textScore: scores.text ?? null,
+          vectorScore: scores.vector ?? null,
+          textContribution: contributions.text ?? 0,
+          vectorContribution: contributions.vector ?? 0,
+          boost
+        }
+      };
+    }
+    fused.push(entry);
+  }
+
+  return fused.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,160 @@
+/**
+ * Runs ripgrep, or grep when rg is not installed, without going through a shell
+ *
+ * The query and paths are passed as separate arguments, so quotes, `$()` and
+ * backticks in a query are searched for rather than executed. Queries are
+ * fixed strings unless `regex` is set; several queries match a line if any
+ * of them does. Exit status 1 means "no matches"; anything else is reported
+ * as an error.
+ *
+ * Results are match blocks: [{ file, lines: [{ number, text, match }] }],
+ * one per run of consecutive lines, where `match` is false for context lines.
+ * rg reports them through `--json`; grep output is read with `--null` after
+ * file names so paths such as `memory/2026-01-01.md` parse unambiguously.
+ */
+
+import { execFile, execFileSync } from 'child_process';
+import { promisify } from 'util';
+import { scanFiles } from './scanner.js';
+
+const execFileAsync = promisify(execFile);
+const TARGETS_PER_RUN = 500;
+
+let detectedTool;
+
+function isInstalled(tool) {
+  try {
+    execFileSync(tool, ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// rg if it is on the PATH, otherwise grep, otherwise null; checked once per process
+export function grepTool() {
+  if (detectedTool === undefined) {
+    detectedTool = ['rg', 'grep'].find(isInstalled) || null;
+  }
+  return detectedTool;
+}
+
+function buildArgs(tool, query, targets, options) {
+  const {
+    contextLines = 2,
+    caseSensitive = false,
+    regex = false
+  } = options;
+
+  const args = ['-C', String(contextLines)];
+  if (!caseSensitive) args.push('-i');
+
+  if (tool === 'rg') {
+    args.push('--json');
+    if (!regex) args.push('-F');
+  } else {
+    args.push('-n', '--with-filename', '--null', '-r', regex ? '-E' : '-F');
+  }
+
+  // -e keeps a query that starts with "-" from being read as an option
+  [].concat(query).forEach(pattern => args.push('-e', pattern));
+  args.push('--', ...targets);
+  return args;
+}
+
+// Search files with rg or grep, or with the built-in scanner when neither is
+// installed or `engine` is 'js'
+export async function searchFiles(query, files, options = {}) {
+  if (options.engine === 'js' || !grepTool()) {
+    return scanFiles(query, files, options);
+  }
+  return grepBlocks(query, files, options);
+}
+
+// Long file lists are split over several runs to stay under the argument limit
+export async function grepBlocks(query, targets, options = {}) {
+  const tool = grepTool();
+  if (!tool) {
+    throw new Error('Neither rg nor grep is installed; use the built-in scanner (--engine js)');
+  }
+
+  const blocks = [];
+  for (let i = 0; i < targets.length; i += TARGETS_PER_RUN) {
+    const args = buildArgs(tool, query, targets.slice(i, i + TARGETS_PER_RUN), options);
+    const output = await runTool(tool, args, options);
+    blocks.push(...(tool === 'rg' ? parseRgJson(output) : parseGrepOutput(output)));
+  }
+  return blocks;
+}
+
+async function runTool(tool, args, options) {
+  try {
+    const { stdout } = await execFileAsync(tool, args, {
+      encoding: 'utf8',
+      maxBuffer: options.maxBuffer || 16 * 1024 * 1024
+    });
+    return stdout;
+  } catch (error) {
+    if (error.code === 1) return '';
+
+    const detail = error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER'
+      ? 'too much output; narrow the query'
+      : (error.stderr || error.message).trim().split('\n')[0];
+    throw new Error(`${tool} failed: ${detail}`);
+  }
+}
+
+// Add a line to the current block, or start a new one after a gap or file change
+function appendLine(blocks, file, line) {
+  const current = blocks[blocks.length - 1];
+  const previous = current?.lines[current.lines.length - 1];
+  if (current && current.file === file && line.number === previous.number + 1) {
+    current.lines.push(line);
+  } else {
+    blocks.push({ file, lines: [line] });
+  }
+}
+
+// rg encodes paths and lines that are not valid UTF-8 as base64 bytes
+function rgText(value) {
+  return value.text ?? Buffer.from(value.bytes, 'base64').toString('utf8');
+}
+
+export function parseRgJson(output) {
+  const blocks = [];
+
+  for (const line of output.split('\n')) {
+    if (!line) continue;
+
+    const { type, data } = JSON.parse(line);
+    if (type !== 'match' && type !== 'context') continue;
+
+    appendLine(blocks, rgText(data.path), {
+      number: data.line_number,
+      text: rgText(data.lines).replace(/\r?\n$/, ''),
+      match: type === 'match'
+    });
+  }
+
+  return blocks;
+}
+
+// `path\0line:text` for matches, `path\0line-text` for context, `--` between groups
+export function parseGrepOutput(output) {
+  const blocks = [];
+
+  for (const line of output.split('\n')) {
+    const nul = line.indexOf('\0');
+    const parsed = nul === -1 ? null : /^(\d+)([:-])(.*)$/.exec(line.slice(nul + 1));
+    if (!parsed) continue;
+
+    const [, number, separator, text] = parsed;
+    appendLine(blocks, line.slice(0, nul), {
+      number: parseInt(number),
+      text,
+      match: separator === ':'
+    });
+  }
+
+  return blocks;
+}
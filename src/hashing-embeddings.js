@@ -0,0 +1,123 @@
+/**
+ * Feature-hashing embedding provider
+ *
+ * Stemmed unigrams, stemmed bigrams and character trigrams are hashed into a
+ * fixed number of dimensions with a sign bit (the "hashing trick"), so the same
+ * feature always lands in the same slot regardless of document or insertion
+ * order. Unigram and bigram weights use sublinear TF times corpus IDF; the
+ * document frequencies come from the index via useCorpusStats().
+ */
+
+import natural from 'natural';
+import { normalize } from './vectors.js';
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Relative weight of each feature family before normalisation
+const WEIGHTS = {
+  unigram: 1.0,
+  bigram: 0.5,
+  trigram: 0.25
+};
+
+// 32-bit FNV-1a: small, fast and stable across platforms
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class HashingEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'hashing';
+    this.dimensions = options.dimensions || 384;
+    this.model = `hashing-${this.dimensions}-v1`;
+    this.stats = null;
+  }
+
+  async initialize() {}
+
+  // Corpus statistics: { documents, lookup(features) -> Promise<Map<feature, df>> }
+  useCorpusStats(stats) {
+    this.stats = stats;
+  }
+
+  tokenize(text) {
+    return (text.toLowerCase().match(WORD) || []).map(word => natural.PorterStemmer.stem(word));
+  }
+
+  // Features that carry an IDF weight, counted per text
+  weightedFeatures(tokens) {
+    const counts = new Map();
+    const add = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+    tokens.forEach((token, i) => {
+      add(`u:${token}`);
+      if (i > 0) add(`b:${tokens[i - 1]}_${token}`);
+    });
+    return counts;
+  }
+
+  // Document frequencies of the IDF-weighted features over a corpus
+  countFeatures(texts) {
+    const df = new Map();
+    for (const text of texts) {
+      for (const feature of this.weightedFeatures(this.tokenize(text)).keys()) {
+        df.set(feature, (df.get(feature) || 0) + 1);
+      }
+    }
+    return { documents: texts.length, df };
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const lower = text.toLowerCase();
+    const tokens = this.tokenize(lower);
+    if (tokens.length === 0) return vector;
+
+    const counts = this.weightedFeatures(tokens);
+    const df = this.stats ? await this.stats.lookup([...counts.keys()]) : new Map();
+    const documents = this.stats?.documents || 0;
+
+    for (const [feature, count] of counts) {
+      const idf = Math.log((documents + 1) / ((df.get(feature) || 0) + 1)) + 1;
+      const weight = feature.startsWith('u:') ? WEIGHTS.unigram : WEIGHTS.bigram;
+      this.addFeature(vector, feature, weight * (1 + Math.log(count)) * idf);
+    }
+
+    // Character trigrams of the raw words make near-spellings overlap
+    const trigrams = new Map();
+    for (const word of lower.match(WORD) || []) {
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        const gram = `c:${padded.slice(i, i + 3)}`;
+        trigrams.set(gram, (trigrams.get(gram) || 0) + 1);
+      }
+    }
+    for (const [gram, count] of trigrams) {
+      this.addFeature(vector, gram, WEIGHTS.trigram * (1 + Math.log(count)));
+    }
+
+    return normalize(vector);
+  }
+
+  async embedBatch(texts) {
+    const vectors = [];
+    for (const text of texts) {
+      vectors.push(await this.embed(text));
+    }
+    return vectors;
+  }
+
+  // Signed hashing: the top bit picks the sign so collisions tend to cancel out
+  addFeature(vector, feature, weight) {
+    const hash = fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[(hash & 0x7fffffff) % this.dimensions] += sign * weight;
+  }
+}
+
+export default HashingEmbeddingProvider;
@@ -0,0 +1,153 @@
+/**
+ * HTTP embedding provider for local embedding servers
+ *
+ * Talks to an OpenAI-compatible `/v1/embeddings` endpoint (llama.cpp,
+ * LocalAI, vLLM, ...) or to Ollama's `/api/embed` and `/api/embeddings`.
+ * The API flavour is picked from the URL path unless `api` is given.
+ * An API key, if the server needs one, is read from
+ * OPENSEARCH_EMBEDDING_API_KEY so it never lands in the index settings.
+ */
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+function detectApi(url) {
+  const { pathname } = new URL(url);
+  if (pathname.endsWith('/api/embeddings')) return 'ollama-legacy';
+  if (pathname.endsWith('/api/embed')) return 'ollama';
+  return 'openai';
+}
+
+export class HttpEmbeddingProvider {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('The http embedding provider needs --url, e.g. http://localhost:11434/api/embed');
+    }
+    if (!options.model) {
+      throw new Error('The http embedding provider needs --model, the model name the server should use');
+    }
+
+    this.name = 'http';
+    this.url = options.url;
+    this.model = options.model;
+    this.api = options.api || detectApi(options.url);
+    this.dimensions = options.dimensions || null;
+    this.batchSize = options.batchSize || 32;
+    this.timeout = options.timeout || 30000;
+    this.retries = options.retries ?? 3;
+    this.apiKey = process.env.OPENSEARCH_EMBEDDING_API_KEY || null;
+    this.initialized = false;
+  }
+
+  // Probe the endpoint once so a down server fails fast with a clear message
+  async initialize() {
+    if (this.initialized) return;
+
+    const [probe] = await this.request(['dimension probe']);
+    if (this.dimensions && this.dimensions !== probe.length) {
+      throw new Error(`Model ${this.model} at ${this.url} returns ${probe.length}-dim vectors, expected ${this.dimensions}`);
+    }
+    this.dimensions = probe.length;
+    this.initialized = true;
+  }
+
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    await this.initialize();
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      vectors.push(...await this.request(texts.slice(i, i + this.batchSize)));
+    }
+    return vectors;
+  }
+
+  // One batch, retried with exponential backoff on network errors and 408/429/5xx
+  async request(texts) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 500 * 2 ** (attempt - 1)));
+      }
+
+      try {
+        return await this.send(texts);
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable) break;
+      }
+    }
+
+    throw lastError;
+  }
+
+  async send(texts) {
+    // The legacy Ollama endpoint embeds one prompt per call
+    if (this.api === 'ollama-legacy') {
+      const vectors = [];
+      for (const text of texts) {
+        const body = await this.post({ model: this.model, prompt: text });
+        vectors.push(body.embedding);
+      }
+      return this.validate(vectors, texts.length);
+    }
+
+    const body = await this.post({ model: this.model, input: texts });
+    const vectors = this.api === 'ollama'
+      ? body.embeddings
+      : body.data?.slice().sort((a, b) => a.index - b.index).map(item => item.embedding);
+    return this.validate(vectors, texts.length);
+  }
+
+  async post(payload) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError'
+        ? `timed out after ${this.timeout}ms`
+        : (error.cause?.code || error.message);
+      throw Object.assign(
+        new Error(`Embedding endpoint ${this.url} is unreachable (${reason}). Is the embedding server running?`),
+        { retryable: true }
+      );
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw Object.assign(
+        new Error(`Embedding endpoint ${this.url} returned HTTP ${response.status}${detail ? `: ${detail}` : ''}`),
+        { retryable: RETRYABLE_STATUS.has(response.status) }
+      );
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new Error(`Embedding endpoint ${this.url} returned invalid JSON`);
+    }
+  }
+
+  validate(vectors, expected) {
+    if (!Array.isArray(vectors) || vectors.length !== expected || !vectors.every(Array.isArray)) {
+      throw new Error(`Embedding endpoint ${this.url} returned an unexpected response for ${this.api} API`);
+    }
+    return vectors;
+  }
+}
+
+export default HttpEmbeddingProvider;
@@ -0,0 +1,135 @@
+/**
+ * Compact identity files for context budgets
+ *
+ * An identity file that does not fit its share of `limits.identity` is
+ * summarised instead of dropped: headings first, then `key: value` lines, then
+ * bullet points, then nested bullets, each added in document order while they
+ * fit. Prose paragraphs and code blocks are left out. Summaries are cached per
+ * file under ~/.cache/opensearch/identity and rebuilt only when the file, the
+ * budget or the tokenizer changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const HEADING = /^#{1,6}\s+\S/;
+const KEY_VALUE = /^\s*(?:[-*+]\s+)?\**[\p{L}\p{N}_][\p{L}\p{N}_ ./'-]{0,40}\**\s*:\**\s+\S/u;
+const BULLET = /^(\s*)(?:[-*+]|\d+[.)])\s+\S/;
+const FENCE = /^\s*(```|~~~)/;
+const MAX_LINE_CHARS = 240;
+
+// Lower ranks are kept first
+function lineRank(line) {
+  if (HEADING.test(line)) return 0;
+  if (KEY_VALUE.test(line)) return 1;
+  const bullet = BULLET.exec(line);
+  if (bullet) return bullet[1].length > 0 ? 3 : 2;
+  return null;
+}
+
+function shorten(line) {
+  const trimmed = line.trimEnd();
+  return trimmed.length > MAX_LINE_CHARS ? `${trimmed.slice(0, MAX_LINE_CHARS - 1)}…` : trimmed;
+}
+
+// Headings, key: value lines and bullets of `content` that fit in `maxTokens`
+export function summarizeIdentity(content, maxTokens, tokenizer) {
+  const lines = [];
+  let inFence = false;
+
+  for (const line of content.split('\n')) {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    const rank = inFence ? null : lineRank(line);
+    if (rank !== null) {
+      const text = shorten(line);
+      lines.push({ text, rank, tokens: tokenizer.count(`${text}\n`) });
+    }
+  }
+
+  const kept = new Set();
+  let used = 0;
+  for (const rank of [0, 1, 2, 3]) {
+    for (const line of lines) {
+      if (line.rank !== rank || used + line.tokens > maxTokens) continue;
+      kept.add(line);
+      used += line.tokens;
+    }
+  }
+
+  // Piece counts are an estimate of the joined text; trim until it fits
+  const selected = lines.filter(line => kept.has(line));
+  let summary = selected.map(line => line.text).join('\n');
+  while (selected.length > 0 && tokenizer.count(summary) > maxTokens) {
+    const last = selected.reduce((worst, line) => (line.rank >= worst.rank ? line : worst));
+    selected.splice(selected.indexOf(last), 1);
+    summary = selected.map(line => line.text).join('\n');
+  }
+
+  return { content: summary, tokens: tokenizer.count(summary) };
+}
+
+// Split `total` tokens over files of the given sizes: files smaller than an
+// even share get what they need and the rest is shared by the larger ones
+export function allocateBudget(sizes, total) {
+  const budgets = new Array(sizes.length).fill(0);
+  const order = sizes.map((size, index) => index).sort((a, b) => sizes[a] - sizes[b]);
+  let remaining = total;
+
+  order.forEach((index, position) => {
+    const share = Math.max(0, Math.floor(remaining / (order.length - position)));
+    budgets[index] = Math.min(sizes[index], share);
+    remaining -= budgets[index];
+  });
+
+  return budgets;
+}
+
+export class IdentityCache {
+  constructor(cacheDir = null) {
+    this.cacheDir = cacheDir || path.join(os.homedir(), '.cache', 'opensearch', 'identity');
+  }
+
+  entryPath(filePath) {
+    const key = crypto.createHash('sha256').update(path.resolve(filePath)).digest('hex').slice(0, 32);
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  // The summary of `content` within `maxTokens`, from the cache when the
+  // file, budget and tokenizer are unchanged
+  summarize(filePath, content, maxTokens, tokenizer) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const entryPath = this.entryPath(filePath);
+
+    try {
+      const cached = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      if (cached.hash === hash && cached.maxTokens === maxTokens && cached.tokenizer === tokenizer.name) {
+        return { content: cached.content, tokens: cached.tokens, cached: true };
+      }
+    } catch (error) {
+      // Missing or unreadable entry; summarise again
+    }
+
+    const summary = summarizeIdentity(content, maxTokens, tokenizer);
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      fs.writeFileSync(entryPath, JSON.stringify({
+        file: path.resolve(filePath),
+        hash,
+        maxTokens,
+        tokenizer: tokenizer.name,
+        ...summary
+      }));
+    } catch (error) {
+      // The cache is an optimisation; a read-only home still gets the summary
+    }
+
+    return { ...summary, cached: false };
+  }
+}
+
+export default IdentityCache;
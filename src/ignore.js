@@ -0,0 +1,109 @@
+/**
+ * Per-collection ignore rules
+ *
+ * A collection skips the built-in directories (node_modules, .git, hidden
+ * directories), anything matched by a `.gitignore` or `.opensearchignore` in
+ * its root or any directory below it, and the `--exclude` patterns stored
+ * with it. All of them use .gitignore syntax: `#` comments, `!` negation, a
+ * trailing `/` for directories only, and patterns containing `/` anchored to
+ * the directory of the file they come from (the collection root for
+ * `--exclude`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+
+export const DEFAULT_IGNORES = ['node_modules/', '.git/', '.*/'];
+export const IGNORE_FILES = ['.gitignore', '.opensearchignore'];
+
+function parseRule(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  const negate = pattern.startsWith('!');
+  if (negate) pattern = pattern.slice(1);
+  // "\#" and "\!" stand for a literal first character
+  pattern = pattern.replace(/^\\([#!])/, '$1');
+
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+  if (!pattern) return null;
+
+  // Patterns with a slash (other than a trailing one) are relative to the root
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  return {
+    negate,
+    dirOnly,
+    regex: minimatch.makeRe(anchored ? pattern : `**/${pattern}`, { dot: true })
+  };
+}
+
+export function readIgnoreFiles(directory) {
+  const lines = [];
+  for (const file of IGNORE_FILES) {
+    const filePath = path.join(directory, file);
+    if (fs.existsSync(filePath)) {
+      lines.push(...fs.readFileSync(filePath, 'utf8').split(/\r?\n/));
+    }
+  }
+  return lines;
+}
+
+function parseRules(lines) {
+  return lines.map(parseRule).filter(rule => rule && rule.regex);
+}
+
+// Returns ignored(filePath, isDirectory) for paths under root
+export function createIgnoreFilter(root, exclude = []) {
+  const rootRules = parseRules([...DEFAULT_IGNORES, ...readIgnoreFiles(root), ...exclude]);
+  const nestedRules = new Map(); // directory relative to root -> its own ignore files' rules
+
+  const rulesIn = (directory) => {
+    if (!nestedRules.has(directory)) {
+      nestedRules.set(directory, parseRules(readIgnoreFiles(path.join(root, directory))));
+    }
+    return nestedRules.get(directory);
+  };
+
+  // The last matching rule wins, as in git, so a deeper ignore file overrides
+  // the ones above it; its patterns are relative to its own directory
+  const matches = (relative, isDirectory) => {
+    let ignored = false;
+    const apply = (rules, subject) => {
+      for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) continue;
+        if (rule.regex.test(subject)) ignored = !rule.negate;
+      }
+    };
+
+    apply(rootRules, relative);
+    const parts = relative.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      apply(rulesIn(parts.slice(0, i).join('/')), parts.slice(i).join('/'));
+    }
+    return ignored;
+  };
+
+  return (filePath, isDirectory = false) => {
+    const relative = path.relative(root, filePath).split(path.sep).join('/');
+    if (!relative || relative.startsWith('..')) return false;
+
+    // Nothing inside an ignored directory can be re-included
+    const parts = relative.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      if (matches(parts.slice(0, i).join('/'), true)) return true;
+    }
+    return matches(relative, isDirectory);
+  };
+}
+
+// glob `ignore` option that prunes ignored directories instead of walking them
+export function globIgnore(ignored) {
+  return {
+    ignored: entry => ignored(entry.fullpath(), entry.isDirectory()),
+    childrenIgnored: entry => ignored(entry.fullpath(), true)
+  };
+}
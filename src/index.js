@@ -3,18 +3,78 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import SimpleSearchEngine from './simple-search.js';
-import ContextRetriever from './context.js';
+import { SearchEngine } from './search.js';
+import { CollectionManager } from './collections.js';
+import { DatabaseManager } from './db.js';
+import { EMBEDDING_PROVIDERS } from './embeddings.js';
+import ContextRetriever, { CONTEXT_MODES } from './context.js';
+import { TOKENIZERS, DEFAULT_TOKENIZER } from './tokenizer.js';
+import { parseFilters, parseDuration } from './metadata.js';
+import { FUSION_METHODS } from './fusion.js';
+import { UsageLog, searchSavings, formatPercent } from './savings.js';
+import { CollectionWatcher, systemdUnit, systemdUnitPath } from './watcher.js';
+import fs from 'fs';
 import path from 'path';
 import os from 'os';
 
 const program = new Command();
-const searchEngine = new SimpleSearchEngine();
+const ENGINES = ['index', 'grep', 'js'];
 
 program
   .name('opensearch')
   .description('ARM64-compatible hybrid search for markdown files')
   .version('1.0.0');
 
+// Resolve the --engine option: the SQLite index by default; grep (rg/grep) and js
+// (built-in scanner) read files directly
+function resolveEngine(options) {
+  const engine = options.engine || 'index';
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (expected one of: ${ENGINES.join(', ')})`);
+  }
+  return engine;
+}
+
+// Collect a repeatable option such as --tag a --tag b
+function collect(value, previous = []) {
+  return previous.concat(value);
+}
+
+// Fusion settings given as flags; unset ones come from the stored defaults
+function fusionOptions(options) {
+  return {
+    method: options.fusion,
+    k: options.rrfK,
+    textWeight: options.textWeight,
+    vectorWeight: options.vectorWeight,
+    bothBoost: options.bothBoost,
+    topBoost: options.topBoost
+  };
+}
+
+async function openSearchEngine(embedding = null) {
+  const engine = new SearchEngine(null, { embedding });
+  await engine.initialize();
+  return engine;
+}
+
+function printCollections(collections) {
+  collections.forEach(col => {
+    const exclude = col.exclude?.length ? chalk.dim(` excluding ${col.exclude.join(', ')}`) : '';
+    console.log(`  • ${chalk.cyan(col.name)}: ${col.path} (${col.files} files)${exclude}`);
+  });
+}
+
+// Files the indexer could not store; the command then exits non-zero
+function reportFailedFiles(failed) {
+  if (failed.length === 0) return false;
+
+  console.error(chalk.red(`❌ ${failed.length} file(s) could not be indexed:`));
+  failed.forEach(file => console.error(chalk.red(`  • ${file.path}: ${file.error}`)));
+  process.exitCode = 1;
+  return true;
+}
+
 // Collection management
 program.command('collection')
   .description('manage document collections')
@@ -22,8 +82,14 @@ program.command('collection')
   .argument('[path]', 'path to add as collection')
   .option('-n, --name <name>', 'collection name')
   .option('-m, --mask <mask>', 'glob pattern for files', '**/*.{md,txt}')
+  .option('-x, --exclude <patterns...>', '.gitignore-style patterns to skip (stored with the collection)')
+  .option('-e, --engine <engine>', 'index (SQLite), grep, or js (built-in scanner)', 'index')
   .action(async (action, collectionPath, options) => {
+    let manager;
     try {
+      const useIndex = resolveEngine(options) === 'index';
+      manager = useIndex ? new CollectionManager() : new SimpleSearchEngine();
+
       switch (action) {
         case 'add':
           if (!collectionPath) {
@@ -31,19 +97,23 @@ program.command('collection')
             process.exit(1);
           }
           const name = options.name || path.basename(path.resolve(collectionPath));
-          await searchEngine.addCollection(name, collectionPath, options.mask);
-          console.log(chalk.green(`✅ Added collection "${name}" from ${collectionPath}`));
+          if (useIndex) {
+            const added = await manager.add(name, collectionPath, options.mask, options.exclude);
+            console.log(chalk.green(`✅ Added collection "${name}" from ${collectionPath}`));
+            reportFailedFiles(added.failed);
+          } else {
+            await manager.addCollection(name, collectionPath, options.mask, options.exclude);
+            console.log(chalk.green(`✅ Added collection "${name}" from ${collectionPath}`));
+          }
           break;
         
         case 'list':
-          const list = await searchEngine.listCollections();
+          const list = useIndex ? await manager.list() : await manager.listCollections();
           if (list.length === 0) {
             console.log(chalk.yellow('No collections found'));
           } else {
             console.log(chalk.blue('📚 Collections:'));
-            list.forEach(col => {
-              console.log(`  • ${chalk.cyan(col.name)}: ${col.path} (${col.files} files)`);
-            });
+            printCollections(list);
           }
           break;
         
@@ -52,12 +122,23 @@ program.command('collection')
             console.error(chalk.red('Error: Collection name required for remove action'));
             process.exit(1);
           }
-          await searchEngine.removeCollection(collectionPath);
+          if (useIndex) {
+            await manager.remove(collectionPath);
+          } else {
+            await manager.removeCollection(collectionPath);
+          }
           console.log(chalk.green(`✅ Removed collection "${collectionPath}"`));
           break;
         
         case 'update':
-          console.log(chalk.green('✅ Collections updated (using file-based approach)'));
+          if (useIndex) {
+            const updated = await manager.update();
+            if (!reportFailedFiles(updated.failed)) {
+              console.log(chalk.green('✅ Collections updated'));
+            }
+          } else {
+            console.log(chalk.green('✅ Collections updated (grep and js engines read files directly)'));
+          }
           break;
         
         default:
@@ -66,91 +147,332 @@ program.command('collection')
     } catch (error) {
       console.error(chalk.red('Error:', error.message));
       process.exit(1);
+    } finally {
+      if (manager && manager.close) await manager.close();
     }
   });
 
-// Search commands
-program.command('search')
-  .description('smart text search with ripgrep/grep')
-  .argument('<query>', 'search query')
-  .option('-n, --limit <num>', 'number of results', '5')
-  .option('-c, --collection <name>', 'search within specific collection')
-  .option('--case-sensitive', 'case sensitive search')
-  .option('--json', 'output as JSON')
-  .action(async (query, options) => {
+// Index database maintenance
+program.command('db')
+  .description('manage the index database')
+  .argument('[action]', 'migrate')
+  .option('--dry-run', 'list pending migrations without applying them')
+  .action(async (action, options) => {
+    const dbPath = path.join(os.homedir(), '.cache', 'opensearch', 'index.db');
+    // A preview must not create or touch the index
+    const db = new DatabaseManager(dbPath, { autoMigrate: false, readOnly: Boolean(options.dryRun) });
     try {
-      const searchResult = await searchEngine.search(query, {
+      switch (action) {
+        case 'migrate':
+          if (options.dryRun && !fs.existsSync(dbPath)) {
+            console.log(chalk.yellow(`No index at ${dbPath}; nothing to migrate`));
+            break;
+          }
+          await db.initialize();
+          const result = await db.migrate({ dryRun: options.dryRun });
+
+          if (result.pending.length === 0) {
+            console.log(chalk.green(`✅ Schema is up to date (version ${result.from})`));
+            break;
+          }
+
+          console.log(chalk.blue(`🗃️  Schema version ${result.from} → ${result.latest}`));
+          result.pending.forEach(step => {
+            console.log(`  • ${chalk.cyan(step.version)}: ${step.description}`);
+          });
+          if (result.dryRun) {
+            console.log(chalk.yellow('Dry run: no changes applied'));
+          } else {
+            console.log(chalk.green(`✅ Applied ${result.pending.length} migration(s)`));
+          }
+          break;
+
+        default:
+          console.log(chalk.yellow('Available actions: migrate'));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:', error.message));
+      process.exit(1);
+    } finally {
+      await db.close();
+    }
+  });
+
+// Shared action for search, vsearch and query; only the index mode differs
+function searchAction(mode, title) {
+  return async (query, options, command) => {
+    let engine;
+    try {
+      const searchOptions = {
         limit: parseInt(options.limit),
         collection: options.collection,
-        caseSensitive: options.caseSensitive
-      });
+        minScore: options.minScore ? parseFloat(options.minScore) : 0,
+        probes: options.probes !== undefined ? parseInt(options.probes) : undefined,
+        filters: parseFilters(options),
+        decay: options.decay ? parseDuration(options.decay, '--decay') : null,
+        fusion: fusionOptions(options),
+        explain: options.explain
+      };
+
+      let searchResult;
+      let corpusFiles;
+      if (resolveEngine(options) !== 'index') {
+        const simple = new SimpleSearchEngine();
+        searchResult = await simple.search(query, {
+          ...searchOptions,
+          caseSensitive: options.caseSensitive,
+          regex: options.regex,
+          engine: options.engine
+        });
+        corpusFiles = simple.corpusFiles(options.collection);
+      } else {
+        if (options.regex) {
+          throw new Error('--regex needs --engine grep or js; the index matches words, not patterns');
+        }
+        engine = await openSearchEngine();
+        searchResult = await engine.search(query, { ...searchOptions, mode });
+        corpusFiles = await engine.corpusFiles(options.collection);
+      }
+      searchResult.savings = searchSavings(searchResult, corpusFiles);
+      new UsageLog().record(command.name(), searchResult.savings);
       
       if (options.json) {
         console.log(JSON.stringify(searchResult, null, 2));
       } else {
-        displaySearchResult(searchResult, 'Text Search');
+        displaySearchResult(searchResult, title);
       }
     } catch (error) {
       console.error(chalk.red('Search error:', error.message));
       process.exit(1);
+    } finally {
+      if (engine) await engine.close();
     }
-  });
+  };
+}
+
+// Search commands
+program.command('search')
+  .description('BM25 full-text search over the index')
+  .argument('<query>', 'search query')
+  .option('-n, --limit <num>', 'number of results', '5')
+  .option('-c, --collection <name>', 'search within specific collection')
+  .option('-e, --engine <engine>', 'index (SQLite), grep, or js (built-in scanner)', 'index')
+  .option('--tag <tag>', 'only documents tagged <tag> in their frontmatter (repeatable)', collect)
+  .option('--type <type>', 'only documents whose frontmatter type is <type> (comma-separated for several)')
+  .option('--since <date>', 'only documents dated on or after YYYY-MM-DD (frontmatter date or file name)')
+  .option('--until <date>', 'only documents dated on or before YYYY-MM-DD')
+  .option('--last <duration>', 'only documents from the last 7d, 2w, 3m, 1y, ...')
+  .option('--decay <half-life>', 'rank recent documents higher: scores halve every <half-life> of age (e.g. 30d)')
+  .option('--case-sensitive', 'case sensitive search (grep and js engines only)')
+  .option('--regex', 'treat the query as a regular expression (grep and js engines only)')
+  .option('--explain', 'show how each result was matched and scored, and the filters applied')
+  .option('--json', 'output as JSON')
+  .action(searchAction('text', 'Text Search'));
 
-// Alias commands for compatibility
 program.command('vsearch')
-  .description('alias for search command')
+  .description('vector semantic search over the index')
   .argument('<query>', 'search query')
   .option('-n, --limit <num>', 'number of results', '5')
   .option('-c, --collection <name>', 'search within specific collection')
+  .option('-e, --engine <engine>', 'index (SQLite), grep, or js (built-in scanner)', 'index')
+  .option('--tag <tag>', 'only documents tagged <tag> in their frontmatter (repeatable)', collect)
+  .option('--type <type>', 'only documents whose frontmatter type is <type> (comma-separated for several)')
+  .option('--since <date>', 'only documents dated on or after YYYY-MM-DD (frontmatter date or file name)')
+  .option('--until <date>', 'only documents dated on or before YYYY-MM-DD')
+  .option('--last <duration>', 'only documents from the last 7d, 2w, 3m, 1y, ...')
+  .option('--decay <half-life>', 'rank recent documents higher: scores halve every <half-life> of age (e.g. 30d)')
+  .option('--min-score <score>', 'minimum similarity score (0-1)')
+  .option('--probes <num>', 'ANN lists to scan: more is slower but finds more (0 for an exact scan)')
+  .option('--explain', 'show how each result was matched and scored, and the filters applied')
   .option('--json', 'output as JSON')
-  .action(async (query, options) => {
+  .action(searchAction('vector', 'Semantic Search'));
+
+program.command('query')
+  .description('hybrid BM25 + vector search (best quality)')
+  .argument('<query>', 'search query')
+  .option('-n, --limit <num>', 'number of results', '5')
+  .option('-c, --collection <name>', 'search within specific collection')
+  .option('-e, --engine <engine>', 'index (SQLite), grep, or js (built-in scanner)', 'index')
+  .option('--tag <tag>', 'only documents tagged <tag> in their frontmatter (repeatable)', collect)
+  .option('--type <type>', 'only documents whose frontmatter type is <type> (comma-separated for several)')
+  .option('--since <date>', 'only documents dated on or after YYYY-MM-DD (frontmatter date or file name)')
+  .option('--until <date>', 'only documents dated on or before YYYY-MM-DD')
+  .option('--last <duration>', 'only documents from the last 7d, 2w, 3m, 1y, ...')
+  .option('--decay <half-life>', 'rank recent documents higher: scores halve every <half-life> of age (e.g. 30d)')
+  .option('--min-score <score>', 'minimum fused score (0-1)')
+  .option('--probes <num>', 'ANN lists to scan: more is slower but finds more (0 for an exact scan)')
+  .option('--fusion <method>', `fusion method: ${FUSION_METHODS.join(', ')}`)
+  .option('--rrf-k <k>', 'RRF constant k: higher flattens the rank curve')
+  .option('--text-weight <weight>', 'weight of the BM25 list')
+  .option('--vector-weight <weight>', 'weight of the vector list')
+  .option('--both-boost <factor>', 'multiplier for chunks found by both searches')
+  .option('--top-boost <factor>', 'multiplier for chunks ranked first by either search')
+  .option('--explain', 'show how each result was matched and scored, and the filters applied')
+  .option('--json', 'output as JSON')
+  .action(searchAction('hybrid', 'Hybrid Search'));
+
+program.command('embed')
+  .description('generate embeddings for indexed chunks')
+  .option('-f, --force', 're-embed chunks that already have embeddings')
+  .option('-p, --provider <name>', `embedding provider (${EMBEDDING_PROVIDERS.join(', ')}); defaults to the one the index was built with`)
+  .option('--model-path <file>', 'ONNX sentence-embedding model (vocab.txt alongside); implies --provider onnx')
+  .option('--url <url>', 'OpenAI-compatible /v1/embeddings or Ollama /api/embed endpoint; implies --provider http')
+  .option('--model <name>', 'model name to request from the --url endpoint, or to record for --model-path (default: its folder and file hash)')
+  .option('--timeout <ms>', 'HTTP request timeout in milliseconds', '30000')
+  .option('--retries <num>', 'HTTP retries on network errors and 429/5xx', '3')
+  .option('-q, --quantize <mode>', 'keep a quantised copy for first-pass scoring: none, int8 or binary')
+  .action(async (options) => {
+    let engine;
     try {
-      const searchResult = await searchEngine.search(query, {
-        limit: parseInt(options.limit),
-        collection: options.collection
-      });
-      
-      if (options.json) {
-        console.log(JSON.stringify(searchResult, null, 2));
-      } else {
-        displaySearchResult(searchResult, 'Semantic Search');
+      const provider = options.provider || (options.modelPath ? 'onnx' : options.url ? 'http' : null);
+      let embedding = null;
+      if (provider === 'http') {
+        embedding = {
+          provider,
+          url: options.url,
+          model: options.model,
+          timeout: parseInt(options.timeout),
+          retries: parseInt(options.retries)
+        };
+      } else if (provider) {
+        embedding = { provider, modelPath: options.modelPath, model: options.model };
+      }
+      engine = await openSearchEngine(embedding);
+      if (options.quantize) {
+        const requantized = await engine.setQuantization(options.quantize);
+        console.log(chalk.blue(`🗜️  Quantization set to ${options.quantize} (${requantized} stored vectors updated)`));
       }
+      await engine.generateEmbeddings(options.force);
     } catch (error) {
-      console.error(chalk.red('Search error:', error.message));
+      console.error(chalk.red('Error:', error.message));
       process.exit(1);
+    } finally {
+      if (engine) await engine.close();
     }
   });
 
-program.command('query')
-  .description('alias for search command (best quality)')
-  .argument('<query>', 'search query')
-  .option('-n, --limit <num>', 'number of results', '5')
-  .option('-c, --collection <name>', 'search within specific collection')
-  .option('--json', 'output as JSON')
-  .action(async (query, options) => {
+// Default fusion settings for query
+program.command('fusion')
+  .description('show or set the default fusion settings used by query')
+  .option('--fusion <method>', `fusion method: ${FUSION_METHODS.join(', ')}`)
+  .option('--rrf-k <k>', 'RRF constant k: higher flattens the rank curve')
+  .option('--text-weight <weight>', 'weight of the BM25 list')
+  .option('--vector-weight <weight>', 'weight of the vector list')
+  .option('--both-boost <factor>', 'multiplier for chunks found by both searches')
+  .option('--top-boost <factor>', 'multiplier for chunks ranked first by either search')
+  .option('--reset', 'restore the built-in defaults')
+  .action(async (options) => {
+    let engine;
     try {
-      const searchResult = await searchEngine.search(query, {
-        limit: parseInt(options.limit),
-        collection: options.collection
-      });
-      
-      if (options.json) {
-        console.log(JSON.stringify(searchResult, null, 2));
+      engine = await openSearchEngine();
+      const overrides = fusionOptions(options);
+      const changed = Object.values(overrides).some(value => value !== undefined);
+
+      let fusion;
+      if (options.reset) {
+        fusion = await engine.setFusion(null);
+        console.log(chalk.green('✅ Fusion settings reset'));
+      } else if (changed) {
+        fusion = await engine.setFusion(overrides);
+        console.log(chalk.green('✅ Fusion settings saved'));
       } else {
-        displaySearchResult(searchResult, 'Hybrid Search');
+        fusion = await engine.getFusion();
       }
+
+      console.log(chalk.blue('🔀 Fusion:'));
+      console.log(`  Method:        ${chalk.cyan(fusion.method)}`);
+      console.log(`  RRF k:         ${fusion.k}`);
+      console.log(`  Weights:       text ${fusion.textWeight}, vector ${fusion.vectorWeight}`);
+      console.log(`  Boosts:        both lists ×${fusion.bothBoost}, top rank ×${fusion.topBoost}`);
     } catch (error) {
-      console.error(chalk.red('Search error:', error.message));
+      console.error(chalk.red('Error:', error.message));
       process.exit(1);
+    } finally {
+      if (engine) await engine.close();
     }
   });
 
-// Placeholder embed command (not needed for simple version)
-program.command('embed')
-  .description('embeddings not needed for this version')
-  .action(async () => {
-    console.log(chalk.yellow('ℹ️  Embeddings not required for this ARM64-optimized version'));
-    console.log(chalk.blue('🔍 Search works using ripgrep/grep for maximum compatibility'));
+// Keep the index in sync with the collections
+program.command('watch')
+  .description('re-index changed files in all collections as they change')
+  .option('-d, --debounce <ms>', 'wait this long after the last change before re-indexing', '2000')
+  .option('--poll', 'poll for changes instead of using fs.watch')
+  .option('--interval <ms>', 'polling interval in milliseconds', '30000')
+  .option('--embed', 'embed new chunks after each re-index')
+  .option('--systemd', 'print a systemd user unit that runs the watcher')
+  .option('--install', 'write the systemd user unit to ~/.config/systemd/user')
+  .action(async (options) => {
+    // Options the service should run with
+    const serviceArgs = ['--debounce', options.debounce];
+    if (options.poll) serviceArgs.push('--poll', '--interval', options.interval);
+    if (options.embed) serviceArgs.push('--embed');
+
+    if (options.systemd && !options.install) {
+      process.stdout.write(systemdUnit(serviceArgs));
+      return;
+    }
+
+    if (options.install) {
+      try {
+        const unitPath = systemdUnitPath();
+        fs.mkdirSync(path.dirname(unitPath), { recursive: true });
+        fs.writeFileSync(unitPath, systemdUnit(serviceArgs));
+        console.log(chalk.green(`✅ Wrote ${unitPath}`));
+        console.log('Enable it with:');
+        console.log(chalk.cyan('  systemctl --user daemon-reload'));
+        console.log(chalk.cyan(`  systemctl --user enable --now ${path.basename(unitPath)}`));
+      } catch (error) {
+        console.error(chalk.red('Error:', error.message));
+        process.exit(1);
+      }
+      return;
+    }
+
+    const manager = new CollectionManager();
+    let engine = null;
+    let watcher;
+    const stop = async () => {
+      if (watcher) await watcher.close();
+      if (engine) await engine.close();
+      await manager.close();
+      process.exit(0);
+    };
+
+    try {
+      if (options.embed) {
+        engine = await openSearchEngine();
+      }
+
+      watcher = new CollectionWatcher(manager, {
+        debounce: parseInt(options.debounce),
+        poll: options.poll,
+        interval: parseInt(options.interval),
+        onIndexed: async (name, result) => {
+          if (result.indexed + result.removed === 0) return;
+
+          const time = new Date().toLocaleTimeString();
+          console.log(`${chalk.dim(time)} ${chalk.cyan(name)}: ${result.indexed} indexed, ${result.removed} removed`);
+          if (engine && result.indexed > 0) {
+            await engine.generateEmbeddings();
+          }
+        },
+        onError: (error) => console.error(chalk.red('Watch error:', error.message))
+      });
+
+      const watched = await watcher.start();
+      console.log(chalk.blue('👀 Watching collections:'));
+      watched.forEach(entry => {
+        console.log(`  • ${chalk.cyan(entry.name)}: ${entry.path} ${chalk.dim(`(${entry.method})`)}`);
+      });
+
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+    } catch (error) {
+      console.error(chalk.red('Error:', error.message));
+      if (watcher) await watcher.close();
+      await manager.close();
+      process.exit(1);
+    }
   });
 
 // Context retrieval for OpenClaw agents (token-saving)
@@ -158,17 +480,34 @@ program.command('context')
   .description('get smart context for a query (OpenClaw integration)')
   .argument('[query]', 'context query (optional)')
   .option('-w, --workspace <path>', 'workspace directory', process.cwd())
-  .option('-t, --max-tokens <num>', 'maximum tokens', '4000')
+  .option('-t, --max-tokens <num>', 'maximum tokens (default: limits.total from .opensearch.json, else 4000)')
+  .option('--profile <name>', 'use a profile from the context section of .opensearch.json')
   .option('--no-identity', 'skip identity files')
   .option('--json', 'output as JSON')
   .option('--raw', 'output raw content only (for piping)')
+  .option('--regex', 'treat the query as a regular expression instead of literal text')
+  .option('-c, --collection <name>', 'pull ranked chunks from an indexed collection instead of grepping workspace files (repeatable)', collect)
+  .option('-m, --mode <mode>', `index search for context: ${CONTEXT_MODES.join(', ')} (default: hybrid; implies the index)`)
+  .option('--since <date>', 'only files dated on or after YYYY-MM-DD (frontmatter date or file name)')
+  .option('--until <date>', 'only files dated on or before YYYY-MM-DD')
+  .option('--last <duration>', 'only files from the last 7d, 2w, 3m, 1y, ...')
+  .option('--tokenizer <name>', `token estimator for the budget: ${TOKENIZERS.join(', ')} (default: ${DEFAULT_TOKENIZER})`)
   .action(async (query, options) => {
+    let retriever;
     try {
-      const retriever = new ContextRetriever(options.workspace);
+      retriever = new ContextRetriever(options.workspace, {
+        tokenizer: options.tokenizer,
+        profile: options.profile
+      });
       const context = await retriever.getContext(query || '', {
         includeIdentity: options.identity !== false,
-        maxTokens: parseInt(options.maxTokens)
+        maxTokens: options.maxTokens ? parseInt(options.maxTokens) : undefined,
+        regex: options.regex,
+        filters: parseFilters(options),
+        mode: options.mode,
+        collections: options.collection || []
       });
+      new UsageLog().record('context', context.savings);
 
       if (options.json) {
         console.log(JSON.stringify(context, null, 2));
@@ -189,15 +528,20 @@ program.command('context')
         }
 
         console.log(chalk.dim('\n' + '─'.repeat(60)));
+        const { sources, corpus } = context.savings;
         console.log(chalk.green(`💰 Token Savings:`));
-        console.log(`   Full files would use: ~${chalk.yellow(context.savings.fullFileTokens)} tokens`);
-        console.log(`   Smart context uses:   ~${chalk.green(context.tokenEstimate)} tokens`);
-        console.log(`   ${chalk.bold.green(`Saved ${context.savings.percentSaved}%`)} (${context.savings.saved} tokens)`);
+        console.log(`   Source files would use: ~${chalk.yellow(sources.tokens)} tokens (${sources.files} files)`);
+        console.log(`   Full corpus would use:  ~${chalk.yellow(corpus.tokens)} tokens (${corpus.files} files)`);
+        console.log(`   Smart context uses:     ~${chalk.green(context.tokenEstimate)} tokens`);
+        console.log(`   ${chalk.bold.green(`Saved ${formatPercent(sources.percentSaved)}`)} vs source files (${sources.saved} tokens), ` +
+          `${chalk.bold.green(formatPercent(corpus.percentSaved))} vs full corpus (${corpus.saved} tokens)`);
         console.log(chalk.dim(`   Sources: ${context.sources.join(', ')}`));
       }
     } catch (error) {
       console.error(chalk.red('Error:', error.message));
       process.exit(1);
+    } finally {
+      if (retriever) await retriever.close();
     }
   });
 
@@ -207,12 +551,22 @@ program.command('get')
   .argument('<identifier>', 'document path or ID')
   .option('-l, --lines <num>', 'maximum lines to return')
   .option('--from <num>', 'start from line number', '1')
+  .option('-e, --engine <engine>', 'index (SQLite), grep, or js (built-in scanner)', 'index')
   .action(async (identifier, options) => {
+    let engine;
     try {
-      const doc = await searchEngine.getDocument(identifier, {
+      const getOptions = {
         maxLines: options.lines ? parseInt(options.lines) : undefined,
         fromLine: parseInt(options.from)
-      });
+      };
+
+      let doc;
+      if (resolveEngine(options) !== 'index') {
+        doc = await new SimpleSearchEngine().getDocument(identifier, getOptions);
+      } else {
+        engine = await openSearchEngine();
+        doc = await engine.getDocument(identifier, getOptions);
+      }
       
       if (!doc) {
         console.log(chalk.yellow('Document not found'));
@@ -223,32 +577,62 @@ program.command('get')
       if (doc.title) {
         console.log(chalk.bold(doc.title));
       }
+      const { tags, type } = doc.metadata || {};
+      const details = [
+        tags?.length ? `tags: ${tags.join(', ')}` : null,
+        type ? `type: ${type}` : null,
+        doc.date ? `date: ${doc.date}` : null
+      ].filter(Boolean);
+      if (details.length > 0) {
+        console.log(chalk.dim(details.join(' | ')));
+      }
       console.log(chalk.dim('─'.repeat(60)));
       console.log(doc.content);
     } catch (error) {
       console.error(chalk.red('Error:', error.message));
       process.exit(1);
+    } finally {
+      if (engine) await engine.close();
     }
   });
 
 // Status
 program.command('status')
   .description('show index status and statistics')
-  .action(async () => {
+  .option('-e, --engine <engine>', 'index (SQLite), grep, or js (built-in scanner)', 'index')
+  .action(async (options) => {
+    let engine;
+    let manager;
     try {
-      const stats = await searchEngine.getStats();
-      const collections = await searchEngine.listCollections();
-      
+      let collections;
       console.log(chalk.blue('📊 OpenSearch Pi Status'));
-      console.log(`Collections: ${chalk.cyan(stats.collections)}`);
-      console.log(`Total Files: ${chalk.cyan(stats.totalFiles)}`);
-      console.log(`Config File: ${chalk.dim(stats.collectionsFile)}`);
+
+      if (resolveEngine(options) !== 'index') {
+        const simpleEngine = new SimpleSearchEngine();
+        const stats = await simpleEngine.getStats();
+        collections = await simpleEngine.listCollections();
+
+        console.log(`Collections: ${chalk.cyan(stats.collections)}`);
+        console.log(`Total Files: ${chalk.cyan(stats.totalFiles)}`);
+        console.log(`Config File: ${chalk.dim(stats.collectionsFile)}`);
+      } else {
+        engine = await openSearchEngine();
+        manager = new CollectionManager();
+        const stats = await engine.getStats();
+        collections = await manager.list();
+
+        console.log(`Collections: ${chalk.cyan(collections.length)}`);
+        console.log(`Documents:   ${chalk.cyan(stats.documents)}`);
+        console.log(`Chunks:      ${chalk.cyan(stats.chunks)}`);
+        console.log(`Embeddings:  ${chalk.cyan(stats.embeddings)}${stats.embeddingModel ? chalk.dim(` (${stats.embeddingModel})`) : ''}`);
+        console.log(`ANN Index:   ${stats.annLists ? chalk.cyan(`${stats.annLists} lists`) : chalk.dim('none (exact scan)')}`);
+        console.log(`Quantized:   ${stats.quantization === 'none' ? chalk.dim('none') : chalk.cyan(stats.quantization)}`);
+        console.log(`Index:       ${chalk.dim(stats.dbPath)}`);
+      }
       
       if (collections.length > 0) {
         console.log('\n' + chalk.blue('📚 Collections:'));
-        collections.forEach(col => {
-          console.log(`  • ${chalk.cyan(col.name)}: ${col.path} (${col.files} files)`);
-        });
+        printCollections(collections);
       } else {
         console.log('\n' + chalk.yellow('ℹ️  No collections configured. Add one with:'));
         console.log(chalk.dim('  opensearch collection add ~/Documents --name "docs"'));
@@ -256,9 +640,80 @@ program.command('status')
     } catch (error) {
       console.error(chalk.red('Error:', error.message));
       process.exit(1);
+    } finally {
+      if (engine) await engine.close();
+      if (manager) await manager.close();
     }
   });
 
+// Usage statistics
+program.command('stats')
+  .description('show usage statistics from the local usage log')
+  .argument('[report]', 'savings')
+  .option('--since <date>', 'only runs on or after YYYY-MM-DD')
+  .option('--last <duration>', 'only runs from the last 7d, 2w, 3m, 1y, ...')
+  .option('--reset', 'clear the usage log')
+  .option('--json', 'output as JSON')
+  .action(async (report, options) => {
+    try {
+      const log = new UsageLog();
+      switch (report) {
+        case 'savings': {
+          if (options.reset) {
+            log.reset();
+            console.log(chalk.green(`✅ Cleared ${log.logPath}`));
+            break;
+          }
+
+          const filters = parseFilters({ since: options.since, last: options.last });
+          const summary = log.summarize({ since: filters?.since });
+          if (options.json) {
+            console.log(JSON.stringify(summary, null, 2));
+          } else {
+            printSavings(summary, log.logPath);
+          }
+          break;
+        }
+
+        default:
+          console.log(chalk.yellow('Available reports: savings'));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:', error.message));
+      process.exit(1);
+    }
+  });
+
+// One row of `stats savings`: runs, tokens returned, and tokens saved against
+// the source files and the full corpus
+function savingsRow(label, totals) {
+  const percent = (saved, baseline) => formatPercent(baseline > 0 ? Math.round((saved / baseline) * 100) : null);
+  return `  ${label.padEnd(12)} ${String(totals.runs).padStart(5)} ${String(totals.actualTokens).padStart(10)} ` +
+    `${String(totals.savedVsSources).padStart(12)} ${percent(totals.savedVsSources, totals.sourceTokens).padStart(5)} ` +
+    `${String(totals.savedVsCorpus).padStart(12)} ${percent(totals.savedVsCorpus, totals.corpusTokens).padStart(5)}`;
+}
+
+function printSavings(summary, logPath) {
+  if (summary.total.runs === 0) {
+    console.log(chalk.yellow(`No runs logged${summary.since ? ` since ${summary.since}` : ''}`));
+    console.log(chalk.dim(`Usage log: ${logPath}`));
+    return;
+  }
+
+  const header = chalk.dim(`  ${''.padEnd(12)} ${'runs'.padStart(5)} ${'returned'.padStart(10)} ` +
+    `${'vs sources'.padStart(12)} ${''.padStart(5)} ${'vs corpus'.padStart(12)} ${''.padStart(5)}`);
+
+  console.log(chalk.blue(`💰 Tokens saved${summary.since ? ` since ${summary.since}` : ''}`));
+  console.log('\n' + chalk.cyan('Per day:'));
+  console.log(header);
+  summary.byDay.forEach(totals => console.log(savingsRow(totals.day, totals)));
+  console.log('\n' + chalk.cyan('Per command:'));
+  console.log(header);
+  summary.byCommand.forEach(totals => console.log(savingsRow(totals.command, totals)));
+  console.log('\n' + chalk.bold(savingsRow('total', summary.total)));
+  console.log(chalk.dim(`\nUsage log: ${logPath}`));
+}
+
 function displaySearchResult(searchResult, title) {
   if (searchResult.results.length === 0) {
     console.log(chalk.yellow('No results found'));
@@ -267,23 +722,34 @@ function displaySearchResult(searchResult, title) {
   
   console.log(chalk.blue(`🔍 ${title} Results:`));
   console.log(chalk.dim(`Query: "${searchResult.query}" | Collections: ${searchResult.collectionsSearched}`));
+  if (searchResult.explain) {
+    printSearchExplain(searchResult.explain);
+  }
   console.log();
   
   searchResult.results.forEach((result, index) => {
     const scoreColor = result.score > 0.7 ? chalk.green : result.score > 0.4 ? chalk.yellow : chalk.dim;
     const scorePercent = Math.round(result.score * 100);
     
-    console.log(`${chalk.cyan(result.path)}${chalk.dim(':' + result.line)} ${chalk.gray('#' + result.id)}`);
-    if (result.title) {
-      console.log(chalk.bold(result.title));
+    let location = result.line ? chalk.dim(':' + result.line) : '';
+    if (result.startLine) {
+      location = chalk.dim(`:${result.startLine}-${result.endLine}`);
+    }
+    console.log(`${chalk.cyan(result.path)}${location} ${chalk.gray('#' + (result.chunkId || result.id))}`);
+    if (result.heading || result.title) {
+      console.log(chalk.bold(result.heading || result.title));
     }
     if (result.collection) {
       console.log(chalk.dim(`Collection: ${result.collection}`));
     }
     console.log(scoreColor(`Score: ${scorePercent}%`));
+    if (result.explain) {
+      printExplain(result.explain);
+    }
     console.log();
-    if (result.content) {
-      console.log(result.content);
+    const body = result.content || result.snippet;
+    if (body) {
+      console.log(body);
       console.log();
     }
     
@@ -296,18 +762,83 @@ function displaySearchResult(searchResult, title) {
   // Show token savings
   console.log(chalk.dim('─'.repeat(60)));
   console.log(chalk.blue(`📊 Results: ${searchResult.results.length} matches`));
-  console.log(chalk.green(`💰 Token usage: ~${searchResult.tokenEstimate} tokens (vs ~250K loading all files)`));
+  const { sources, corpus } = searchResult.savings;
+  console.log(chalk.green(
+    `💰 Token usage: ~${searchResult.tokenEstimate} tokens ` +
+    `(saved ${formatPercent(sources.percentSaved)} vs the ${sources.files} result files, ` +
+    `${formatPercent(corpus.percentSaved)} vs all ${corpus.files} files searched)`
+  ));
 }
 
-// Legacy function for compatibility
-function displayResults(results, title) {
-  const mockSearchResult = {
-    results: results,
-    query: 'search',
-    collectionsSearched: 1,
-    tokenEstimate: results.reduce((sum, r) => sum + (r.content?.length || 0), 0) / 4
-  };
-  displaySearchResult(mockSearchResult, title);
+// --explain: what the search did, printed once above the results
+function printSearchExplain(explain) {
+  const { query, filters, decay, fusion } = explain;
+  const parts = [`Engine: ${explain.engine}`];
+  if (query.regex) {
+    parts.push(`regex /${query.regex}/`);
+  } else {
+    parts.push(`all of [${query.all.join('; ')}]`);
+    if (query.none.length > 0) parts.push(`none of [${query.none.join('; ')}]`);
+  }
+  console.log(chalk.dim(parts.join(' | ')));
+
+  const applied = [];
+  if (filters.collection) applied.push(`collection ${filters.collection}`);
+  if (filters.tags?.length) applied.push(`tags ${filters.tags.join(' + ')}`);
+  if (filters.types?.length) applied.push(`type ${filters.types.join(' or ')}`);
+  if (filters.since) applied.push(`since ${filters.since}`);
+  if (filters.until) applied.push(`until ${filters.until}`);
+  if (filters.minScore) applied.push(`score ≥ ${filters.minScore}`);
+  if (filters.caseSensitive) applied.push('case-sensitive');
+  console.log(chalk.dim(`Filters: ${applied.length ? applied.join(', ') : 'none'}`));
+
+  if (decay) {
+    console.log(chalk.dim(`Recency decay: half-life ${decay.halfLife} days`));
+  }
+  if (fusion) {
+    console.log(chalk.dim(
+      `Fusion: ${fusion.method}, k ${fusion.k}, weights text ${fusion.textWeight} / vector ${fusion.vectorWeight}, ` +
+      `boosts both ×${fusion.bothBoost} / top ×${fusion.topBoost}`
+    ));
+  }
+}
+
+// --explain: where a result's score came from
+function printExplain(explain) {
+  const { terms, bm25, vector, grep, fusion, decay } = explain;
+  const percent = value => `${Math.round(value * 100)}%`;
+
+  if (terms?.length) {
+    const matches = terms.map(term => {
+      const label = term.regex ? `/${term.term}/` : `${term.excluded ? '-' : ''}${term.field ? `${term.field}:` : ''}${term.term}`;
+      return `${label} ×${term.matches}`;
+    });
+    console.log(chalk.dim(`Terms: ${matches.join(', ')}`));
+  }
+  if (bm25) {
+    console.log(chalk.dim(`BM25: ${bm25.raw.toFixed(3)} → ${percent(bm25.score)}`));
+  }
+  if (vector) {
+    const quantized = vector.quantization !== 'none' ? ` (${vector.quantization} first pass)` : '';
+    console.log(chalk.dim(`Vector: cosine ${vector.similarity.toFixed(3)} → ${percent(vector.score)}${quantized}`));
+  }
+  if (grep) {
+    console.log(chalk.dim(
+      `Grep score: title ${grep.title} + content ${grep.content} + coverage ${grep.coverage} = ${grep.raw} of ${grep.max}`
+    ));
+  }
+  if (fusion) {
+    const list = (name, rank, contribution) => (rank
+      ? `${name} #${rank} → ${contribution.toFixed(4)}`
+      : `${name} —`);
+    console.log(chalk.dim(
+      `Fusion (${fusion.method}): ${list('text', fusion.textRank, fusion.textContribution)}, ` +
+      `${list('vector', fusion.vectorRank, fusion.vectorContribution)}, boost ×${fusion.boost.toFixed(2)}`
+    ));
+  }
+  if (decay) {
+    console.log(chalk.dim(`Recency: ${decay.date}, ${Math.round(decay.ageDays)} days old, ×${decay.factor.toFixed(3)}`));
+  }
 }
 
 program.parse();
\ No newline at end of file
@@ -0,0 +1,311 @@
+/**
+ * YAML frontmatter as document metadata, document dates, and the search filters
+ *
+ * parseFrontmatter() reads the block between the leading `---` lines: scalars
+ * (quoted or plain), flow lists (`[a, b]`), block lists (`- a`), block text
+ * (`|`, `>`) and nested maps. It is a subset of YAML; lines it cannot read
+ * are skipped rather than failing the index run. `tags` always comes back as
+ * a list and `date` as YYYY-MM-DD when it starts with one.
+ *
+ * A document's date is its frontmatter `date`, else a YYYY-MM-DD prefix of its
+ * file name (OpenClaw's `memory/2026-01-05.md` daily notes).
+ *
+ * The filters match documents that carry every --tag, any --type, and a
+ * date within --since/--until (or the --last 7d/2w/3m/1y). compileFilterSql()
+ * evaluates them in SQLite over `documents.metadata` (JSON) and
+ * `documents.date`; matchesFilters() over parsed frontmatter plus the date.
+ */
+
+import path from 'path';
+
+const KEY = /^([A-Za-z_][\w.-]*)\s*:(?:\s+(.*))?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}/;
+const DURATION = /^(\d+)\s*([dwmy])$/i;
+const DURATION_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function isBlank(line) {
+  const trimmed = line.trim();
+  return !trimmed || trimmed.startsWith('#');
+}
+
+// Drop a trailing " # comment" outside quotes
+function stripComment(value) {
+  let quote = null;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(value[i - 1]))) {
+      return value.slice(0, i).trimEnd();
+    }
+  }
+  return value;
+}
+
+// Split "a, 'b, c', d" at commas outside quotes
+function splitFlow(value) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of value) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+function parseScalar(raw) {
+  const value = stripComment(raw.trim());
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlow(value.slice(1, -1)).map(parseScalar);
+  }
+
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// Lines indented under a key, dedented to their own first column
+function childLines(lines, start, parentIndent) {
+  const children = [];
+  let i = start;
+  for (; i < lines.length; i++) {
+    if (!isBlank(lines[i]) && indentOf(lines[i]) <= parentIndent) break;
+    children.push(lines[i]);
+  }
+  const indent = Math.min(...children.filter(line => !isBlank(line)).map(indentOf));
+  return { lines: children.map(line => line.slice(Math.min(indent, indentOf(line)))), end: i };
+}
+
+function parseBlock(lines) {
+  const first = lines.find(line => !isBlank(line));
+  if (!first) return null;
+  if (/^-(\s|$)/.test(first)) {
+    return lines
+      .filter(line => /^-(\s|$)/.test(line))
+      .map(line => parseScalar(line.slice(1)));
+  }
+  return parseMapping(lines);
+}
+
+function parseMapping(lines) {
+  const data = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    if (isBlank(lines[i]) || indentOf(lines[i]) > 0) continue;
+
+    const match = KEY.exec(lines[i].trimEnd());
+    if (!match) continue;
+
+    const [, key, value = ''] = match;
+    const block = /^[|>][+-]?$/.test(value.trim());
+    if (value.trim() && !block) {
+      data[key] = parseScalar(value);
+      continue;
+    }
+
+    const children = childLines(lines, i + 1, 0);
+    i = children.end - 1;
+    if (block) {
+      const separator = value.trim().startsWith('|') ? '\n' : ' ';
+      data[key] = children.lines.map(line => line.trimEnd()).join(separator).trim();
+    } else {
+      data[key] = parseBlock(children.lines);
+    }
+  }
+
+  return data;
+}
+
+function normalizeTags(value) {
+  const tags = Array.isArray(value) ? value : String(value ?? '').split(/[,\s]+/);
+  return tags
+    .filter(tag => tag !== null && tag !== '')
+    .map(tag => String(tag).trim().replace(/^#/, ''))
+    .filter(Boolean);
+}
+
+export function normalizeMetadata(data) {
+  const metadata = { ...data };
+
+  if ('tags' in metadata || 'tag' in metadata) {
+    metadata.tags = normalizeTags(metadata.tags ?? metadata.tag);
+    delete metadata.tag;
+  }
+  if (metadata.date !== undefined && DATE.test(String(metadata.date))) {
+    metadata.date = String(metadata.date).slice(0, 10);
+  }
+  if (metadata.type !== undefined && metadata.type !== null) {
+    metadata.type = String(metadata.type);
+  }
+
+  return metadata;
+}
+
+// Index of the line closing frontmatter opened by `---` on the first line
+// (`---` or YAML's `...`), or -1 when there is no frontmatter
+export function frontmatterEnd(lines) {
+  if (lines[0]?.trim() !== '---') return -1;
+  return lines.findIndex((line, i) => i > 0 && (line.trim() === '---' || line.trim() === '...'));
+}
+
+// Frontmatter metadata plus the 0-based line where the body starts
+export function parseFrontmatter(content) {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const end = frontmatterEnd(lines);
+  if (end === -1) {
+    return { metadata: {}, bodyStart: 0 };
+  }
+
+  return {
+    metadata: normalizeMetadata(parseMapping(lines.slice(1, end))),
+    bodyStart: end + 1
+  };
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// The frontmatter date, else a YYYY-MM-DD file name prefix, else null
+export function documentDate(filePath, metadata = {}) {
+  if (typeof metadata.date === 'string' && isDate(metadata.date)) {
+    return metadata.date;
+  }
+  const prefix = path.basename(filePath).slice(0, 10);
+  return isDate(prefix) ? prefix : null;
+}
+
+// Local calendar day, the way daily notes are named
+export function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "7d", "2w", "3m" or "1y" as a number of days
+export function parseDuration(value, option = 'duration') {
+  const match = DURATION.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`${option} expects a duration like 7d, 2w, 3m or 1y, got "${value}"`);
+  }
+  return Number(match[1]) * DURATION_DAYS[match[2].toLowerCase()];
+}
+
+// Values of a repeatable or comma-separated option
+function listOption(value) {
+  return [].concat(value ?? [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Filters from CLI options, or null when none are given
+export function parseFilters({ tag, type, since, until, last } = {}, now = new Date()) {
+  if (last && since) {
+    throw new Error('--last and --since cannot be combined');
+  }
+  for (const [option, value] of [['--since', since], ['--until', until]]) {
+    if (value && !isDate(value)) {
+      throw new Error(`${option} expects a date like 2026-01-01, got "${value}"`);
+    }
+  }
+
+  // --last 7d covers today and the six days before it
+  const filters = {
+    tags: listOption(tag),
+    types: listOption(type),
+    since: last ? formatDate(new Date(now.getTime() - (parseDuration(last, '--last') - 1) * DAY_MS)) : since || null,
+    until: until || null
+  };
+
+  const empty = filters.tags.length === 0 && filters.types.length === 0 && !filters.since && !filters.until;
+  return empty ? null : filters;
+}
+
+// SQL conditions over documents `d`, in the same ' AND …' form as compileSql()
+export function compileFilterSql(filters) {
+  const where = [];
+  const params = [];
+  if (!filters) return { where: '', params };
+
+  for (const tag of filters.tags) {
+    where.push("EXISTS (SELECT 1 FROM json_each(d.metadata, '$.tags') WHERE lower(json_each.value) = ?)");
+    params.push(tag);
+  }
+  if (filters.types.length > 0) {
+    where.push(`lower(json_extract(d.metadata, '$.type')) IN (${filters.types.map(() => '?').join(', ')})`);
+    params.push(...filters.types);
+  }
+  if (filters.since) {
+    where.push('d.date >= ?');
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    where.push('d.date <= ?');
+    params.push(filters.until);
+  }
+
+  return {
+    where: where.map(condition => ` AND ${condition}`).join(''),
+    params
+  };
+}
+
+// `date` is the document's date as resolved by documentDate()
+export function matchesFilters(filters, metadata = {}, date = null) {
+  if (!filters) return true;
+
+  const tags = (metadata.tags || []).map(tag => String(tag).toLowerCase());
+  const type = metadata.type ? String(metadata.type).toLowerCase() : null;
+
+  return filters.tags.every(tag => tags.includes(tag)) &&
+    (filters.types.length === 0 || filters.types.includes(type)) &&
+    (!filters.since || (date !== null && date >= filters.since)) &&
+    (!filters.until || (date !== null && date <= filters.until));
+}
+
+// Scale each dated result's score by 0.5 per `halfLife` days of age and
+// re-rank; undated results keep their score
+export function applyRecencyDecay(results, halfLife, now = new Date()) {
+  const today = Date.parse(formatDate(now));
+  return results
+    .map(result => {
+      if (!result.date) return result;
+      const age = Math.max(0, (today - Date.parse(result.date)) / DAY_MS);
+      const factor = 0.5 ** (age / halfLife);
+      const decayed = { ...result, score: result.score * factor };
+      if (result.explain) {
+        decayed.explain = { ...result.explain, decay: { date: result.date, ageDays: age, halfLife, factor } };
+      }
+      return decayed;
+    })
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,315 @@
+/**
+ * Ordered schema migrations for index.db
+ *
+ * DatabaseManager applies every step whose version is above the one recorded
+ * in the schema_version table. Append new steps with the next version number;
+ * never edit a step that has already shipped.
+ */
+
+import path from 'path';
+import { encodeVector, decodeVector } from './vectors.js';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'initial schema: collections, documents, FTS5 index, embeddings',
+    // IF NOT EXISTS keeps this safe on databases created before versioning
+    async up(db) {
+      // Collections table
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS collections (
+          name TEXT PRIMARY KEY,
+          path TEXT NOT NULL,
+          mask TEXT NOT NULL DEFAULT '**/*.{md,txt}',
+          created_at INTEGER DEFAULT (strftime('%s','now')),
+          updated_at INTEGER DEFAULT (strftime('%s','now'))
+        )
+      `);
+
+      // Documents table
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+          id TEXT PRIMARY KEY,
+          path TEXT NOT NULL,
+          title TEXT,
+          content TEXT NOT NULL,
+          collection TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          modified_at INTEGER NOT NULL,
+          indexed_at INTEGER DEFAULT (strftime('%s','now')),
+          FOREIGN KEY (collection) REFERENCES collections(name) ON DELETE CASCADE
+        )
+      `);
+
+      // Full-text search table (external content, kept in sync by the triggers below)
+      await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+          title, content,
+          content=documents,
+          content_rowid=rowid,
+          tokenize='porter unicode61'
+        )
+      `);
+
+      // Embeddings table
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS embeddings (
+          document_id TEXT PRIMARY KEY,
+          embedding TEXT NOT NULL,
+          created_at INTEGER DEFAULT (strftime('%s','now')),
+          FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Indexes for performance
+      await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_documents_collection ON documents(collection);
+        CREATE INDEX IF NOT EXISTS idx_documents_path ON documents(path);
+        CREATE INDEX IF NOT EXISTS idx_documents_modified ON documents(modified_at);
+      `);
+
+      // Triggers to maintain FTS index. External content tables need the old
+      // values passed to the special 'delete' command rather than a plain DELETE.
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS documents_fts_insert AFTER INSERT ON documents BEGIN
+          INSERT INTO documents_fts(rowid, title, content) VALUES (new.rowid, new.title, new.content);
+        END;
+      `);
+
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS documents_fts_delete AFTER DELETE ON documents BEGIN
+          INSERT INTO documents_fts(documents_fts, rowid, title, content) VALUES ('delete', old.rowid, old.title, old.content);
+        END;
+      `);
+
+      await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS documents_fts_update AFTER UPDATE ON documents BEGIN
+          INSERT INTO documents_fts(documents_fts, rowid, title, content) VALUES ('delete', old.rowid, old.title, old.content);
+          INSERT INTO documents_fts(rowid, title, content) VALUES (new.rowid, new.title, new.content);
+        END;
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'heading-aware chunks with their own FTS5 index and embeddings',
+    async up(db) {
+      // Search moves from whole documents to chunks
+      await db.exec(`
+        DROP TRIGGER IF EXISTS documents_fts_insert;
+        DROP TRIGGER IF EXISTS documents_fts_delete;
+        DROP TRIGGER IF EXISTS documents_fts_update;
+        DROP TABLE IF EXISTS documents_fts;
+        DROP TABLE IF EXISTS embeddings;
+      `);
+
+      await db.exec(`
+        CREATE TABLE chunks (
+          id TEXT PRIMARY KEY,
+          document_id TEXT NOT NULL,
+          chunk_index INTEGER NOT NULL,
+          heading TEXT,
+          content TEXT NOT NULL,
+          start_line INTEGER NOT NULL,
+          end_line INTEGER NOT NULL,
+          FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_chunks_document ON chunks(document_id);
+      `);
+
+      await db.exec(`
+        CREATE VIRTUAL TABLE chunks_fts USING fts5(
+          heading, content,
+          content=chunks,
+          content_rowid=rowid,
+          tokenize='porter unicode61'
+        )
+      `);
+
+      await db.exec(`
+        CREATE TRIGGER chunks_fts_insert AFTER INSERT ON chunks BEGIN
+          INSERT INTO chunks_fts(rowid, heading, content) VALUES (new.rowid, new.heading, new.content);
+        END;
+
+        CREATE TRIGGER chunks_fts_delete AFTER DELETE ON chunks BEGIN
+          INSERT INTO chunks_fts(chunks_fts, rowid, heading, content) VALUES ('delete', old.rowid, old.heading, old.content);
+        END;
+
+        CREATE TRIGGER chunks_fts_update AFTER UPDATE ON chunks BEGIN
+          INSERT INTO chunks_fts(chunks_fts, rowid, heading, content) VALUES ('delete', old.rowid, old.heading, old.content);
+          INSERT INTO chunks_fts(rowid, heading, content) VALUES (new.rowid, new.heading, new.content);
+        END;
+      `);
+
+      await db.exec(`
+        CREATE TABLE embeddings (
+          chunk_id TEXT PRIMARY KEY,
+          embedding TEXT NOT NULL,
+          created_at INTEGER DEFAULT (strftime('%s','now')),
+          FOREIGN KEY (chunk_id) REFERENCES chunks(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Existing documents have no chunks yet: force a re-index on the next update
+      await db.exec('UPDATE documents SET modified_at = 0');
+    }
+  },
+  {
+    version: 3,
+    description: 'record the embedding model and dimension with each vector; settings table',
+    async up(db) {
+      // Vectors written so far all came from the built-in TF-IDF embedder
+      await db.exec(`
+        ALTER TABLE embeddings ADD COLUMN model TEXT NOT NULL DEFAULT 'tfidf-384';
+        ALTER TABLE embeddings ADD COLUMN dimensions INTEGER NOT NULL DEFAULT 384;
+      `);
+
+      await db.exec(`
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at INTEGER DEFAULT (strftime('%s','now'))
+        )
+      `);
+    }
+  },
+  {
+    version: 4,
+    description: 'corpus document frequencies for IDF-weighted embeddings',
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE term_stats (
+          feature TEXT PRIMARY KEY,
+          df INTEGER NOT NULL
+        ) WITHOUT ROWID
+      `);
+    }
+  },
+  {
+    version: 5,
+    description: 'IVF approximate nearest-neighbour lists for embeddings',
+    async up(db) {
+      await db.exec(`
+        ALTER TABLE embeddings ADD COLUMN list_id INTEGER;
+        CREATE INDEX idx_embeddings_list ON embeddings(list_id);
+      `);
+
+      await db.exec(`
+        CREATE TABLE ann_centroids (
+          list_id INTEGER PRIMARY KEY,
+          centroid TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'store embeddings as Float32 BLOBs with an optional quantised copy',
+    async up(db) {
+      await db.exec(`
+        CREATE TABLE embeddings_v6 (
+          chunk_id TEXT PRIMARY KEY,
+          embedding BLOB NOT NULL,
+          quantized BLOB,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          list_id INTEGER,
+          created_at INTEGER DEFAULT (strftime('%s','now')),
+          FOREIGN KEY (chunk_id) REFERENCES chunks(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Convert the JSON text vectors a page at a time to keep memory flat
+      let lastRowId = 0;
+      for (;;) {
+        const rows = await db.all(
+          'SELECT rowid, * FROM embeddings WHERE rowid > ? ORDER BY rowid LIMIT 500',
+          [lastRowId]
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          await db.run(`
+            INSERT INTO embeddings_v6 (chunk_id, embedding, model, dimensions, list_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `, [row.chunk_id, encodeVector(decodeVector(row.embedding)), row.model, row.dimensions, row.list_id, row.created_at]);
+        }
+        lastRowId = rows[rows.length - 1].rowid;
+      }
+
+      await db.exec(`
+        DROP TABLE embeddings;
+        ALTER TABLE embeddings_v6 RENAME TO embeddings;
+        CREATE INDEX idx_embeddings_list ON embeddings(list_id);
+      `);
+
+      const centroids = await db.all('SELECT list_id, centroid FROM ann_centroids');
+      await db.exec(`
+        DROP TABLE ann_centroids;
+        CREATE TABLE ann_centroids (
+          list_id INTEGER PRIMARY KEY,
+          centroid BLOB NOT NULL
+        );
+      `);
+      for (const row of centroids) {
+        await db.run(
+          'INSERT INTO ann_centroids (list_id, centroid) VALUES (?, ?)',
+          [row.list_id, encodeVector(decodeVector(row.centroid))]
+        );
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'content hashes for change detection; documents get stable ids on the next update',
+    async up(db) {
+      await db.exec('ALTER TABLE documents ADD COLUMN content_hash TEXT');
+    }
+  },
+  {
+    version: 8,
+    description: 'per-collection --exclude patterns',
+    async up(db) {
+      await db.exec(`ALTER TABLE collections ADD COLUMN exclude_patterns TEXT NOT NULL DEFAULT '[]'`);
+    }
+  },
+  {
+    version: 9,
+    description: 'frontmatter metadata; documents are re-read on the next update',
+    async up(db) {
+      await db.exec(`
+        ALTER TABLE documents ADD COLUMN metadata TEXT NOT NULL DEFAULT '{}';
+        UPDATE documents SET content_hash = NULL;
+      `);
+    }
+  },
+  {
+    version: 10,
+    description: 'document dates from frontmatter or YYYY-MM-DD file names',
+    async up(db) {
+      await db.exec(`
+        ALTER TABLE documents ADD COLUMN date TEXT;
+        CREATE INDEX idx_documents_date ON documents(date);
+      `);
+
+      // A frozen copy of documentDate() as it shipped with this step, so later
+      // changes to metadata.js cannot change what the migration writes
+      const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+      const documentDate = (filePath, metadata) => {
+        if (typeof metadata.date === 'string' && isDate(metadata.date)) return metadata.date;
+        const prefix = path.basename(filePath).slice(0, 10);
+        return isDate(prefix) ? prefix : null;
+      };
+
+      const rows = await db.all('SELECT id, path, metadata FROM documents');
+      for (const row of rows) {
+        const date = documentDate(row.path, JSON.parse(row.metadata));
+        if (date) {
+          await db.run('UPDATE documents SET date = ? WHERE id = ?', [date, row.id]);
+        }
+      }
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
@@ -0,0 +1,226 @@
+/**
+ * CPU-only ONNX sentence-embedding provider
+ *
+ * Runs a MiniLM-class BERT model exported to ONNX (for example
+ * all-MiniLM-L6-v2) through onnxruntime-node, which ships ARM64 Linux
+ * binaries. The model directory must also contain the WordPiece `vocab.txt`.
+ * Token vectors are mean-pooled over the attention mask and L2-normalised.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { normalize } from './vectors.js';
+
+// BERT-style WordPiece tokenizer driven by a vocab.txt file
+class WordPieceTokenizer {
+  constructor(vocabText, options = {}) {
+    this.vocab = new Map();
+    vocabText.split('\n').forEach((token, index) => {
+      const trimmed = token.replace(/\r$/, '');
+      if (trimmed) this.vocab.set(trimmed, index);
+    });
+
+    this.lowercase = options.lowercase !== false;
+    this.maxWordChars = 100;
+    this.ids = {
+      cls: this.requireToken('[CLS]'),
+      sep: this.requireToken('[SEP]'),
+      unk: this.requireToken('[UNK]'),
+      pad: this.vocab.get('[PAD]') ?? 0
+    };
+  }
+
+  requireToken(token) {
+    if (!this.vocab.has(token)) {
+      throw new Error(`vocab.txt is missing the ${token} token`);
+    }
+    return this.vocab.get(token);
+  }
+
+  // Whitespace and punctuation splitting, as BERT's basic tokenizer does
+  basicTokenize(text) {
+    let normalized = text.replace(/\p{Cc}/gu, ' ');
+    if (this.lowercase) {
+      normalized = normalized.toLowerCase().normalize('NFD').replace(/\p{Mn}/gu, '');
+    }
+
+    return normalized
+      .split(/\s+/)
+      .flatMap(word => word.split(/([\p{P}\p{S}])/u))
+      .filter(Boolean);
+  }
+
+  // Greedy longest-match-first split of one word into vocabulary pieces
+  wordPiece(word) {
+    if (word.length > this.maxWordChars) return [this.ids.unk];
+
+    const pieces = [];
+    let start = 0;
+    while (start < word.length) {
+      let end = word.length;
+      let match = null;
+      while (start < end) {
+        const piece = (start > 0 ? '##' : '') + word.slice(start, end);
+        if (this.vocab.has(piece)) {
+          match = this.vocab.get(piece);
+          break;
+        }
+        end--;
+      }
+      if (match === null) return [this.ids.unk];
+
+      pieces.push(match);
+      start = end;
+    }
+    return pieces;
+  }
+
+  encode(text, maxLength) {
+    const ids = this.basicTokenize(text).flatMap(word => this.wordPiece(word));
+    return [this.ids.cls, ...ids.slice(0, maxLength - 2), this.ids.sep];
+  }
+}
+
+// Default model name: the model's directory, or the repo directory above the
+// `onnx/` folder of the Hugging Face layout, plus a short hash of the file so
+// two exports in same-named folders are never taken for one model
+export async function modelName(modelPath) {
+  let dir = path.dirname(modelPath);
+  if (path.basename(dir) === 'onnx') {
+    dir = path.dirname(dir);
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(modelPath)) {
+    hash.update(chunk);
+  }
+  return `${path.basename(dir)}@${hash.digest('hex').slice(0, 8)}`;
+}
+
+export class OnnxEmbeddingProvider {
+  constructor(options = {}) {
+    if (!options.modelPath) {
+      throw new Error('The onnx embedding provider needs --model-path pointing at a sentence-embedding model.onnx');
+    }
+
+    this.name = 'onnx';
+    this.modelPath = path.resolve(options.modelPath);
+    this.vocabPath = path.resolve(options.vocabPath || path.join(path.dirname(this.modelPath), 'vocab.txt'));
+    this.model = options.model || null; // named from the file in initialize()
+    this.dimensions = options.dimensions || null;
+    this.maxLength = options.maxLength || 256;
+    this.batchSize = options.batchSize || 16;
+    this.threads = options.threads || 0; // 0 lets onnxruntime pick
+    this.session = null;
+  }
+
+  async initialize() {
+    if (this.session) return;
+
+    let ort;
+    try {
+      ort = await import('onnxruntime-node');
+    } catch (error) {
+      throw new Error('The onnx embedding provider needs onnxruntime-node: run "npm install onnxruntime-node"');
+    }
+    this.ort = ort.InferenceSession ? ort : ort.default;
+
+    for (const file of [this.modelPath, this.vocabPath]) {
+      if (!fs.existsSync(file)) {
+        throw new Error(`ONNX model file not found: ${file}`);
+      }
+    }
+
+    this.model = this.model || await modelName(this.modelPath);
+    this.tokenizer = new WordPieceTokenizer(fs.readFileSync(this.vocabPath, 'utf8'));
+    this.session = await this.ort.InferenceSession.create(this.modelPath, {
+      executionProviders: ['cpu'],
+      intraOpNumThreads: this.threads
+    });
+
+    // Learn the output width from the model itself
+    const [probe] = await this.embedBatch(['dimension probe']);
+    if (this.dimensions && this.dimensions !== probe.length) {
+      throw new Error(`Model ${this.model} produces ${probe.length}-dim vectors, expected ${this.dimensions}`);
+    }
+    this.dimensions = probe.length;
+  }
+
+  async embed(text) {
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    await this.initialize();
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      vectors.push(...await this.runBatch(texts.slice(i, i + this.batchSize)));
+    }
+    return vectors;
+  }
+
+  async runBatch(texts) {
+    const encoded = texts.map(text => this.tokenizer.encode(text, this.maxLength));
+    const seqLength = Math.max(...encoded.map(ids => ids.length));
+    const size = texts.length * seqLength;
+
+    const inputIds = new BigInt64Array(size).fill(BigInt(this.tokenizer.ids.pad));
+    const attentionMask = new BigInt64Array(size);
+    encoded.forEach((ids, row) => {
+      ids.forEach((id, col) => {
+        inputIds[row * seqLength + col] = BigInt(id);
+        attentionMask[row * seqLength + col] = 1n;
+      });
+    });
+
+    const dims = [texts.length, seqLength];
+    const tensors = {
+      input_ids: new this.ort.Tensor('int64', inputIds, dims),
+      attention_mask: new this.ort.Tensor('int64', attentionMask, dims),
+      token_type_ids: new this.ort.Tensor('int64', new BigInt64Array(size), dims)
+    };
+
+    // Only feed the inputs this particular export declares
+    const feeds = {};
+    for (const name of this.session.inputNames) {
+      if (!tensors[name]) {
+        throw new Error(`Unsupported ONNX model input "${name}"`);
+      }
+      feeds[name] = tensors[name];
+    }
+
+    const outputs = await this.session.run(feeds);
+    const outputName = this.session.outputNames.includes('last_hidden_state')
+      ? 'last_hidden_state'
+      : this.session.outputNames[0];
+    const output = outputs[outputName];
+
+    // Some exports already pool to [batch, hidden]
+    if (output.dims.length === 2) {
+      const hidden = output.dims[1];
+      return texts.map((_, row) => normalize(Array.from(output.data.subarray(row * hidden, (row + 1) * hidden))));
+    }
+
+    return texts.map((_, row) => normalize(meanPool(output, row, encoded[row].length)));
+  }
+}
+
+// Average the token vectors of one row, ignoring padding
+function meanPool(output, row, tokenCount) {
+  const [, seqLength, hidden] = output.dims;
+  const vector = new Array(hidden).fill(0);
+
+  for (let t = 0; t < tokenCount; t++) {
+    const offset = (row * seqLength + t) * hidden;
+    for (let h = 0; h < hidden; h++) {
+      vector[h] += output.data[offset + h];
+    }
+  }
+
+  return vector.map(value => value / tokenCount);
+}
+
+export default OnnxEmbeddingProvider;
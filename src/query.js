@@ -0,0 +1,173 @@
+/**
+ * Search query language shared by the index and the grep/js engines
+ *
+ *   docker compose         both terms (within one chunk, or one grep context window)
+ *   "compose up"           an exact phrase
+ *   -staging               chunks/windows containing the term are dropped
+ *   docker OR podman       either term
+ *   title:deploy           the document title contains "deploy"
+ *   path:memory/           the file path contains "memory/"
+ *
+ * parseQuery() turns a query into AND-ed groups of OR-ed terms plus the
+ * excluded terms; compileSql() and matchesQuery() evaluate that structure
+ * for SQLite (FTS5 MATCH plus LIKE filters) and for scanned text.
+ */
+
+export const FIELDS = ['title', 'path'];
+
+const TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+export function parseQuery(input) {
+  const groups = [];
+  const excluded = [];
+  let pendingOr = false;
+
+  for (const [, minus, prefix, quoted, bare] of input.matchAll(TOKEN)) {
+    // Unknown prefixes (urls, "note:") stay part of the term
+    const field = prefix && FIELDS.includes(prefix.toLowerCase()) ? prefix.toLowerCase() : null;
+    let text = quoted ?? bare;
+    if (prefix && !field) text = `${prefix}:${text}`;
+
+    if (!minus && !prefix && quoted === undefined && text === 'OR') {
+      pendingOr = groups.length > 0;
+      continue;
+    }
+    text = text.trim();
+    if (!text) continue;
+
+    const term = { text, phrase: quoted !== undefined, field };
+    if (minus) {
+      excluded.push(term);
+    } else if (pendingOr) {
+      groups[groups.length - 1].push(term);
+    } else {
+      groups.push([term]);
+    }
+    pendingOr = false;
+  }
+
+  const terms = groups.flat();
+  return {
+    groups,
+    excluded,
+    terms,
+    // Plain text of the positive terms, for embeddings and snippets
+    text: terms.map(term => term.text).join(' ')
+  };
+}
+
+function ftsString(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+const FIELD_COLUMNS = { title: 'd.title', path: 'd.path' };
+
+function likeCondition(term, negate = false) {
+  const not = negate ? 'NOT ' : '';
+  if (term.field) {
+    return `COALESCE(${FIELD_COLUMNS[term.field]}, '') ${not}LIKE ? ESCAPE '\\'`;
+  }
+  const op = negate ? 'AND' : 'OR';
+  return `(COALESCE(c.heading, '') ${not}LIKE ? ESCAPE '\\' ${op} c.content ${not}LIKE ? ESCAPE '\\')`;
+}
+
+function likeParams(term) {
+  return term.field ? [likePattern(term.text)] : [likePattern(term.text), likePattern(term.text)];
+}
+
+// SQL for a query over chunks `c` joined to documents `d`. With `fts`, plain
+// terms become an FTS5 MATCH expression over chunks_fts; everything else
+// (and plain terms without `fts`) becomes LIKE conditions in `where`.
+export function compileSql(parsed, { fts = true } = {}) {
+  const matchGroups = [];
+  const where = [];
+  const params = [];
+
+  for (const group of parsed.groups) {
+    const fielded = group.filter(term => term.field);
+    if (fts && fielded.length === 0) {
+      const alternatives = group.map(term => ftsString(term.text));
+      matchGroups.push(alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0]);
+      continue;
+    }
+    if (fts && fielded.length !== group.length) {
+      throw new Error('OR cannot combine title:/path: terms with plain search terms');
+    }
+    where.push(`(${group.map(term => likeCondition(term)).join(' OR ')})`);
+    group.forEach(term => params.push(...likeParams(term)));
+  }
+
+  let match = matchGroups.length > 0 ? matchGroups.join(' AND ') : null;
+  for (const term of parsed.excluded) {
+    // FTS5 NOT needs a positive expression on its left
+    if (match && !term.field) {
+      match = `(${match}) NOT ${ftsString(term.text)}`;
+      continue;
+    }
+    where.push(likeCondition(term, true));
+    params.push(...likeParams(term));
+  }
+
+  return {
+    match,
+    where: where.map(condition => ` AND ${condition}`).join(''),
+    params
+  };
+}
+
+// Evaluate a parsed query against a window of text and its file's title/path
+export function matchesQuery(parsed, { text, title = '', path = '' }, { caseSensitive = false } = {}) {
+  const fold = value => (caseSensitive ? value : value.toLowerCase());
+  const fields = { title: fold(title), path: fold(path) };
+  const body = fold(text);
+  const contains = term => (term.field ? fields[term.field] : body).includes(fold(term.text));
+
+  return parsed.groups.every(group => group.some(contains)) &&
+    !parsed.excluded.some(contains);
+}
+
+function countOccurrences(haystack, needle) {
+  if (!needle) return 0;
+  let count = 0;
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length)) {
+    count++;
+  }
+  return count;
+}
+
+function termLabel(term) {
+  const text = term.phrase ? `"${term.text}"` : term.text;
+  return term.field ? `${term.field}:${text}` : text;
+}
+
+// --explain: the query as the engines read it
+export function describeQuery(parsed) {
+  return {
+    all: parsed.groups.map(group => group.map(termLabel).join(' OR ')),
+    none: parsed.excluded.map(termLabel)
+  };
+}
+
+// --explain: how often each positive and excluded term occurs in a result
+export function explainTerms(parsed, { text, title = '', path = '' }, { caseSensitive = false } = {}) {
+  const fold = value => (caseSensitive ? value : value.toLowerCase());
+  const fields = { title: fold(title), path: fold(path) };
+  const body = fold(text);
+
+  const describe = (term, excluded) => ({
+    term: term.text,
+    field: term.field,
+    phrase: term.phrase,
+    excluded,
+    matches: countOccurrences(term.field ? fields[term.field] : body, fold(term.text))
+  });
+
+  return [
+    ...parsed.terms.map(term => describe(term, false)),
+    ...parsed.excluded.map(term => describe(term, true))
+  ];
+}
@@ -0,0 +1,144 @@
+/**
+ * Token savings accounting and the local usage log
+ *
+ * Savings are measured against two baselines: the files an answer was drawn
+ * from (what an agent would otherwise have loaded to get the same facts) and
+ * the whole searchable corpus (loading everything). A baseline of zero tokens
+ * has no meaningful percentage, so percentSaved is null there.
+ *
+ * Each context or search run appends one line of counts (never the query) to
+ * ~/.cache/opensearch/usage.jsonl; `opensearch stats savings` sums them per
+ * day and per command.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { formatDate } from './metadata.js';
+
+function baseline(actualTokens, files, tokens) {
+  return {
+    files,
+    tokens,
+    saved: tokens - actualTokens,
+    percentSaved: tokens > 0 ? Math.round((1 - actualTokens / tokens) * 100) : null
+  };
+}
+
+// `sources` and `corpus` map each file to its token count
+export function computeSavings(actualTokens, { sources = new Map(), corpus = new Map() } = {}) {
+  const sum = files => [...files.values()].reduce((total, tokens) => total + tokens, 0);
+  const savings = {
+    actualTokens,
+    sources: baseline(actualTokens, sources.size, sum(sources)),
+    corpus: baseline(actualTokens, corpus.size, sum(corpus))
+  };
+
+  // Earlier releases reported a single figure against loading every file
+  return {
+    ...savings,
+    fullFileTokens: savings.corpus.tokens,
+    saved: savings.corpus.saved,
+    percentSaved: savings.corpus.percentSaved
+  };
+}
+
+// Savings of a search against its result files and every file it covered
+// (bytes by path), counted as characters / 4 like the envelope's tokenEstimate
+export function searchSavings(searchResult, corpusFiles) {
+  const corpus = new Map([...corpusFiles].map(([file, size]) => [file, Math.ceil(size / 4)]));
+  const sources = new Map(searchResult.results
+    .map(result => result.fullPath || result.path)
+    .map(file => [file, corpus.get(file) ?? 0]));
+  return computeSavings(searchResult.tokenEstimate, { sources, corpus });
+}
+
+// "95%", or "n/a" when there was nothing to compare against
+export function formatPercent(percent) {
+  return percent === null ? 'n/a' : `${percent}%`;
+}
+
+function emptyTotals() {
+  return { runs: 0, actualTokens: 0, sourceTokens: 0, corpusTokens: 0, savedVsSources: 0, savedVsCorpus: 0 };
+}
+
+function addEntry(totals, entry) {
+  totals.runs += 1;
+  totals.actualTokens += entry.actualTokens;
+  totals.sourceTokens += entry.sourceTokens;
+  totals.corpusTokens += entry.corpusTokens;
+  totals.savedVsSources += entry.sourceTokens - entry.actualTokens;
+  totals.savedVsCorpus += entry.corpusTokens - entry.actualTokens;
+  return totals;
+}
+
+export class UsageLog {
+  constructor(logPath = null) {
+    this.logPath = logPath || path.join(os.homedir(), '.cache', 'opensearch', 'usage.jsonl');
+  }
+
+  // Append one run; logging never fails the command that produced it
+  record(command, savings, now = new Date()) {
+    const entry = {
+      time: now.toISOString(),
+      day: formatDate(now),
+      command,
+      actualTokens: savings.actualTokens,
+      sourceTokens: savings.sources.tokens,
+      corpusTokens: savings.corpus.tokens
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+      fs.appendFileSync(this.logPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      // A read-only cache directory only loses the statistics
+    }
+    return entry;
+  }
+
+  read() {
+    if (!fs.existsSync(this.logPath)) return [];
+
+    return fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          return []; // A line cut short by a crash
+        }
+      });
+  }
+
+  // Totals per day (oldest first), per command, and overall, for entries on
+  // or after `since` (YYYY-MM-DD)
+  summarize({ since = null } = {}) {
+    const entries = this.read().filter(entry => !since || entry.day >= since);
+    const byDay = new Map();
+    const byCommand = new Map();
+    const total = emptyTotals();
+
+    for (const entry of entries) {
+      if (!byDay.has(entry.day)) byDay.set(entry.day, emptyTotals());
+      if (!byCommand.has(entry.command)) byCommand.set(entry.command, emptyTotals());
+      addEntry(byDay.get(entry.day), entry);
+      addEntry(byCommand.get(entry.command), entry);
+      addEntry(total, entry);
+    }
+
+    return {
+      since,
+      byDay: [...byDay.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([day, totals]) => ({ day, ...totals })),
+      byCommand: [...byCommand.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([command, totals]) => ({ command, ...totals })),
+      total
+    };
+  }
+
+  reset() {
+    if (fs.existsSync(this.logPath)) fs.unlinkSync(this.logPath);
+  }
+}
+
+export default UsageLog;
@@ -0,0 +1,84 @@
+/**
+ * In-process line scanner, used when neither rg nor grep is installed or
+ * when `--engine js` is given
+ *
+ * Files are streamed line by line and matches are returned as the same match
+ * blocks grep.js builds from rg/grep output: [{ file, lines: [{ number, text,
+ * match }] }]. Several queries match a line if any of them does.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+function buildMatcher(query, { caseSensitive = false, regex = false }) {
+  if (regex) {
+    const pattern = new RegExp(query, caseSensitive ? '' : 'i');
+    return line => pattern.test(line);
+  }
+
+  if (caseSensitive) {
+    return line => line.includes(query);
+  }
+  const needle = query.toLowerCase();
+  return line => line.toLowerCase().includes(needle);
+}
+
+function buildMatchers(queries, options) {
+  const matchers = [].concat(queries).map(query => buildMatcher(query, options));
+  return line => matchers.some(matches => matches(line));
+}
+
+async function scanFile(filePath, matches, contextLines, blocks) {
+  const before = []; // the last few unemitted lines, for leading context
+  let afterRemaining = 0;
+  let current = null;
+  let lineNumber = 0;
+
+  const emit = (number, text, match) => {
+    const previous = current?.lines[current.lines.length - 1];
+    if (!current || number > previous.number + 1) {
+      current = { file: filePath, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push({ number, text, match });
+  };
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const text of lines) {
+    lineNumber++;
+    if (matches(text)) {
+      before.forEach(([number, line]) => emit(number, line, false));
+      before.length = 0;
+      emit(lineNumber, text, true);
+      afterRemaining = contextLines;
+    } else if (afterRemaining > 0) {
+      emit(lineNumber, text, false);
+      afterRemaining--;
+    } else if (contextLines > 0) {
+      before.push([lineNumber, text]);
+      if (before.length > contextLines) before.shift();
+    }
+  }
+}
+
+// Same contract as grepBlocks() in grep.js, over an explicit list of files
+export async function scanFiles(query, files, options = {}) {
+  const matches = buildMatchers(query, options);
+  const contextLines = options.contextLines ?? 2;
+
+  const blocks = [];
+  for (const file of files) {
+    try {
+      await scanFile(file, matches, contextLines, blocks);
+    } catch (error) {
+      throw new Error(`Could not scan ${file}: ${error.message}`);
+    }
+  }
+  return blocks;
+}
+
+export default scanFiles;
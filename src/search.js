@@ -1,117 +1,285 @@
-import { DatabaseManager, registerVectorFunctions } from './db.js';
+import { DatabaseManager, cosineSimilarity, vectorDistanceCosine } from './db.js';
 import { EmbeddingEngine } from './embeddings.js';
+import { IvfIndex, DEFAULT_PROBES } from './ann.js';
+import { encodeVector, decodeVector, quantizeVector, quantizedSimilarity, QUANTIZATION_MODES } from './vectors.js';
+import { parseQuery, compileSql, describeQuery, explainTerms } from './query.js';
+import { compileFilterSql, applyRecencyDecay } from './metadata.js';
+import { resolveFusion, fuseResults } from './fusion.js';
 import path from 'path';
 import os from 'os';
 
+// Candidates kept from the quantised pass per requested result; sign bits
+// lose more precision than int8 so binary needs a wider net
+const RESCORE_FACTOR = { int8: 10, binary: 40 };
+
 export class SearchEngine {
-  constructor(dbPath = null) {
+  constructor(dbPath = null, options = {}) {
     this.dbPath = dbPath || path.join(os.homedir(), '.cache', 'opensearch', 'index.db');
     this.db = new DatabaseManager(this.dbPath);
-    this.embeddings = new EmbeddingEngine();
+    this.embeddingConfig = options.embedding || null;
+    this.embeddings = null;
+    this.ann = new IvfIndex(this.db);
   }
 
   async initialize() {
     await this.db.initialize();
-    await this.embeddings.initialize();
-    
-    // Register vector functions for cosine similarity
-    registerVectorFunctions(this.db.db);
+
+    // Use the provider the index was embedded with unless one is given explicitly.
+    // The provider itself loads lazily, so text search never pays for a model.
+    const stored = await this.db.getSetting('embedding');
+    this.embeddings = new EmbeddingEngine(this.embeddingConfig || stored || {});
   }
 
-  // BM25 full-text search
+  // Run a search in the given mode and wrap it in the same envelope as SimpleSearchEngine.search.
+  // With `decay` (a half-life in days) older documents rank lower.
+  async search(query, options = {}) {
+    const { mode = 'hybrid', decay = null, ...searchOptions } = options;
+    const limit = searchOptions.limit ?? 5;
+    
+    // Decay can lift results from further down, so rank a wider pool first
+    const poolOptions = decay ? { ...searchOptions, limit: limit * 3 } : searchOptions;
+    const runners = {
+      text: () => this.textSearch(query, poolOptions),
+      vector: () => this.vectorSearch(query, poolOptions),
+      hybrid: () => this.hybridSearch(query, poolOptions)
+    };
+
+    if (!runners[mode]) {
+      throw new Error(`Unknown search mode "${mode}" (expected text, vector or hybrid)`);
+    }
+
+    let results = await runners[mode]();
+    if (decay) {
+      results = applyRecencyDecay(results, decay).slice(0, limit);
+    }
+    const totalChars = results.reduce((sum, result) => sum + (result.snippet?.length || 0), 0);
+    const collections = await this.db.getCollections();
+
+    const envelope = {
+      results,
+      totalChars,
+      tokenEstimate: Math.round(totalChars / 4),
+      query,
+      mode,
+      collectionsSearched: searchOptions.collection ? 1 : collections.length
+    };
+    if (searchOptions.explain) {
+      envelope.explain = {
+        engine: 'index',
+        query: describeQuery(parseQuery(query)),
+        filters: {
+          collection: searchOptions.collection || null,
+          minScore: searchOptions.minScore || 0,
+          ...(searchOptions.filters || {})
+        },
+        decay: decay ? { halfLife: decay } : null,
+        fusion: mode === 'hybrid' ? resolveFusion(await this.db.getSetting('fusion'), searchOptions.fusion) : null
+      };
+    }
+    return envelope;
+  }
+
+  // BM25 full-text search; see query.js for the query syntax and metadata.js
+  // for the --tag/--type/--since filters
   async textSearch(query, options = {}) {
-    const { limit = 5, collection = null, minScore = 0 } = options;
-    
+    const { limit = 5, collection = null, minScore = 0, filters = null, explain = false } = options;
+    
+    const parsed = parseQuery(query);
+    if (parsed.terms.length === 0) return [];
+    const compiled = compileSql(parsed);
+    const { match } = compiled;
+    const filterSql = compileFilterSql(filters);
+    const where = compiled.where + filterSql.where;
+    const params = [...compiled.params, ...filterSql.params];
+    
+    // Only title:/path: terms: nothing to rank, list the matching chunks in file order
+    if (!match) {
+      return this.filterSearch(parsed, where, params, { limit, collection, explain });
+    }
+
     let sql = `
       SELECT 
-        d.id, d.path, d.title, d.collection, d.content,
-        highlight(documents_fts, 2, '<mark>', '</mark>') as snippet,
-        bm25(documents_fts) as score
-      FROM documents_fts fts
-      JOIN documents d ON d.id = fts.rowid
-      WHERE documents_fts MATCH ?
+        c.id, c.document_id, c.heading, c.content, c.start_line, c.end_line,
+        d.path, d.title, d.collection, d.date,
+        snippet(chunks_fts, 1, '<mark>', '</mark>', '...', 32) as snippet,
+        bm25(chunks_fts) as score
+      FROM chunks_fts
+      JOIN chunks c ON c.rowid = chunks_fts.rowid
+      JOIN documents d ON d.id = c.document_id
+      WHERE chunks_fts MATCH ?${where}
     `;
     
-    const params = [query];
+    params.unshift(match);
     
     if (collection) {
       sql += ' AND d.collection = ?';
       params.push(collection);
     }
     
+    // BM25 scores are negative, lower is better
     sql += `
-      AND bm25(documents_fts) >= ?
-      ORDER BY score DESC
+      ORDER BY score
       LIMIT ?
     `;
-    params.push(-minScore); // BM25 scores are negative, higher is better
     params.push(limit);
     
-    const results = this.db.prepare(sql).all(...params);
+    const results = await this.db.all(sql, params);
     
-    return results.map(row => ({
-      id: row.id,
-      path: row.path,
-      title: row.title,
-      collection: row.collection,
-      snippet: this.cleanSnippet(row.snippet),
-      score: Math.max(0, Math.min(1, (-row.score) / 10)) // Normalize BM25 score
-    }));
+    return results
+      .map(row => {
+        const score = Math.max(0, Math.min(1, (-row.score) / 10)); // Normalize BM25 score
+        const result = this.toChunkResult(row, this.cleanSnippet(row.snippet), score);
+        if (explain) {
+          result.explain = { terms: this.explainChunkTerms(parsed, row), bm25: { raw: row.score, score } };
+        }
+        return result;
+      })
+      .filter(result => result.score >= minScore);
+  }
+
+  async filterSearch(parsed, where, params, { limit, collection, explain }) {
+    let sql = `
+      SELECT 
+        c.id, c.document_id, c.heading, c.content, c.start_line, c.end_line,
+        d.path, d.title, d.collection, d.date
+      FROM chunks c
+      JOIN documents d ON d.id = c.document_id
+      WHERE 1 = 1${where}
+    `;
+    
+    if (collection) {
+      sql += ' AND d.collection = ?';
+      params.push(collection);
+    }
+    
+    sql += ' ORDER BY d.path, c.chunk_index LIMIT ?';
+    params.push(limit);
+    
+    const rows = await this.db.all(sql, params);
+    return rows.map(row => {
+      const result = this.toChunkResult(row, this.extractSnippet(row.content, parsed.text), 1);
+      if (explain) {
+        result.explain = { terms: this.explainChunkTerms(parsed, row) };
+      }
+      return result;
+    });
   }
 
   // Vector semantic search
   async vectorSearch(query, options = {}) {
-    const { limit = 5, collection = null, minScore = 0 } = options;
+    const { limit = 5, collection = null, minScore = 0, probes = DEFAULT_PROBES, filters = null, explain = false } = options;
+    
+    // Embed the positive terms; title:/path: groups and exclusions filter the candidates
+    const parsed = parseQuery(query);
+    if (parsed.terms.length === 0) return [];
+    const filterGroups = parsed.groups.filter(group => group.every(term => term.field));
+    const queryFilters = compileSql({ ...parsed, groups: filterGroups }, { fts: false });
+    const metadataFilters = compileFilterSql(filters);
     
     // Generate query embedding
-    const queryVector = await this.embeddings.embed(query);
+    await this.checkEmbeddingModel();
+    await this.loadCorpusStats();
+    const queryVector = await this.embeddings.embed(parsed.text);
+    
+    // With quantisation the first pass reads the compact copy; rows that
+    // lack one fall back to their float vector
+    const quantization = await this.db.getSetting('quantization') || 'none';
+    const columns = quantization === 'none'
+      ? 'e.chunk_id, e.embedding'
+      : 'e.chunk_id, e.quantized, CASE WHEN e.quantized IS NULL THEN e.embedding END as embedding';
     
     let sql = `
-      SELECT 
-        d.id, d.path, d.title, d.collection, d.content,
-        (1.0 / (1.0 + vector_distance_cosine(e.embedding, ?))) as score
+      SELECT ${columns}
       FROM embeddings e
-      JOIN documents d ON d.id = e.document_id
-      WHERE score >= ?
+      JOIN chunks c ON c.id = e.chunk_id
+      JOIN documents d ON d.id = c.document_id
+      WHERE e.model = ? AND e.dimensions = ?${queryFilters.where}${metadataFilters.where}
     `;
     
-    const params = [JSON.stringify(queryVector), minScore];
+    // Rows left from an interrupted re-embed with another model are skipped
+    const params = [this.embeddings.model, this.embeddings.dimensions, ...queryFilters.params, ...metadataFilters.params];
+    
+    // Scan only the nearest IVF lists (plus unassigned rows); exact scan without an index
+    await this.ann.load();
+    const lists = this.ann.isUsable(this.embeddings.model, this.embeddings.dimensions)
+      ? this.ann.probe(queryVector, probes)
+      : null;
+    if (lists) {
+      sql += ` AND (e.list_id IN (${lists.map(() => '?').join(', ')}) OR e.list_id IS NULL)`;
+      params.push(...lists);
+    }
     
     if (collection) {
       sql += ' AND d.collection = ?';
       params.push(collection);
     }
     
-    sql += `
-      ORDER BY score DESC
-      LIMIT ?
-    `;
-    params.push(limit);
+    const vectorScore = embedding => 1.0 / (1.0 + vectorDistanceCosine(embedding, queryVector));
     
-    const results = this.db.prepare(sql).all(...params);
+    let best;
+    if (quantization === 'none') {
+      best = await this.db.topK(sql, params, (row) => {
+        const score = vectorScore(row.embedding);
+        return score >= minScore ? score : null;
+      }, limit);
+    } else {
+      best = await this.rescoreQuantized(sql, params, queryVector, quantization, vectorScore, { limit, minScore });
+    }
     
-    return results.map(row => ({
-      id: row.id,
-      path: row.path,
-      title: row.title,
-      collection: row.collection,
-      snippet: this.extractSnippet(row.content, query),
-      score: row.score
-    }));
+    const results = [];
+    for (const { row, score } of best) {
+      const chunk = await this.db.getChunk(row.chunk_id);
+      const result = this.toChunkResult(chunk, this.extractSnippet(chunk.content, parsed.text), score);
+      if (explain) {
+        // score = 1 / (1 + cosine distance)
+        result.explain = {
+          terms: this.explainChunkTerms(parsed, chunk),
+          vector: { similarity: 2 - 1 / score, score, quantization }
+        };
+      }
+      results.push(result);
+    }
+    
+    return results;
+  }
+
+  // Approximate first pass over quantised vectors, then exact re-scoring of
+  // the top candidates with their Float32 vectors
+  async rescoreQuantized(sql, params, queryVector, quantization, vectorScore, { limit, minScore }) {
+    const queryQuantized = quantizeVector(queryVector, quantization);
+    const candidates = await this.db.topK(sql, params, (row) => (
+      row.quantized
+        ? quantizedSimilarity(row.quantized, queryQuantized, quantization, queryVector.length)
+        : cosineSimilarity(decodeVector(row.embedding), queryVector)
+    ), Math.max(limit * RESCORE_FACTOR[quantization], 50));
+    if (candidates.length === 0) return [];
+    
+    const ids = candidates.map(candidate => candidate.row.chunk_id);
+    const rows = await this.db.all(
+      `SELECT chunk_id, embedding FROM embeddings WHERE chunk_id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+    
+    return rows
+      .map(row => ({ row, score: vectorScore(row.embedding) }))
+      .filter(entry => entry.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
   }
 
-  // Hybrid search combining BM25 and vector search
+  // Hybrid search combining BM25 and vector search; see fusion.js for the
+  // methods. `fusion` overrides the stored 'fusion' setting per search.
   async hybridSearch(query, options = {}) {
-    const { limit = 5, collection = null, minScore = 0 } = options;
+    const { limit = 5, collection = null, minScore = 0, probes, filters = null, explain = false } = options;
+    const fusion = resolveFusion(await this.db.getSetting('fusion'), options.fusion);
     
     // Run both searches
     const [textResults, vectorResults] = await Promise.all([
-      this.textSearch(query, { limit: limit * 2, collection, minScore: 0 }),
-      this.vectorSearch(query, { limit: limit * 2, collection, minScore: 0 })
+      this.textSearch(query, { limit: limit * 2, collection, minScore: 0, filters, explain }),
+      this.vectorSearch(query, { limit: limit * 2, collection, minScore: 0, probes, filters, explain })
     ]);
     
-    // Combine and rank using Reciprocal Rank Fusion
-    const combined = this.fuseResults(textResults, vectorResults, query);
+    const combined = fuseResults(textResults, vectorResults, fusion, { explain });
     
     // Filter by minimum score and return top results
     return combined
@@ -119,112 +287,186 @@ export class SearchEngine {
       .slice(0, limit);
   }
 
-  // Reciprocal Rank Fusion implementation
-  fuseResults(textResults, vectorResults, query) {
-    const k = 60; // RRF parameter
-    const resultMap = new Map();
-    
-    // Add text search results
-    textResults.forEach((result, index) => {
-      const rrfScore = 1 / (k + index + 1);
-      resultMap.set(result.id, {
-        ...result,
-        textRank: index + 1,
-        textScore: result.score,
-        vectorRank: null,
-        vectorScore: 0,
-        rrfScore: rrfScore * 2 // Weight text search higher for exact matches
-      });
-    });
-    
-    // Add vector search results
-    vectorResults.forEach((result, index) => {
-      const rrfScore = 1 / (k + index + 1);
-      
-      if (resultMap.has(result.id)) {
-        // Document found in both searches
-        const existing = resultMap.get(result.id);
-        existing.vectorRank = index + 1;
-        existing.vectorScore = result.score;
-        existing.rrfScore += rrfScore;
-        
-        // Use the better snippet
-        if (result.score > existing.vectorScore || !existing.snippet) {
-          existing.snippet = result.snippet;
-        }
-      } else {
-        // Document only in vector search
-        resultMap.set(result.id, {
-          ...result,
-          textRank: null,
-          textScore: 0,
-          vectorRank: index + 1,
-          vectorScore: result.score,
-          rrfScore: rrfScore
-        });
-      }
-    });
-    
-    // Convert to array and sort by RRF score
-    const results = Array.from(resultMap.values())
-      .sort((a, b) => b.rrfScore - a.rrfScore)
-      .map(result => ({
-        id: result.id,
-        path: result.path,
-        title: result.title,
-        collection: result.collection,
-        snippet: result.snippet,
-        score: this.computeFinalScore(result)
-      }));
-    
-    return results;
+  // Size in bytes of every indexed document a search covers, by path
+  async corpusFiles(collection = null) {
+    const rows = collection
+      ? await this.db.all('SELECT path, size FROM documents WHERE collection = ?', [collection])
+      : await this.db.all('SELECT path, size FROM documents');
+    return new Map(rows.map(row => [row.path, row.size]));
+  }
+
+  // Store default fusion settings; null clears them back to DEFAULT_FUSION
+  async setFusion(settings) {
+    if (!settings) {
+      await this.db.run("DELETE FROM settings WHERE key = 'fusion'");
+      return resolveFusion();
+    }
+    const fusion = resolveFusion(await this.db.getSetting('fusion'), settings);
+    await this.db.setSetting('fusion', fusion);
+    return fusion;
   }
 
-  // Compute final score combining text and vector scores
-  computeFinalScore(result) {
-    // Weighted combination based on ranks
-    let finalScore = result.rrfScore;
-    
-    // Boost if document appears in both searches
-    if (result.textRank && result.vectorRank) {
-      finalScore *= 1.2;
+  async getFusion() {
+    return resolveFusion(await this.db.getSetting('fusion'));
+  }
+
+  // Generate embeddings for all chunks
+  async generateEmbeddings(force = false, batchSize = 16) {
+    await this.embeddings.initialize();
+    const { model, dimensions } = this.embeddings;
+    
+    // Switching models invalidates every stored vector, so require --force
+    const stored = await this.db.getSetting('embedding');
+    if (stored && !force && (stored.model !== model || stored.dimensions !== dimensions)) {
+      throw new Error(
+        `Index is embedded with ${stored.model} (${stored.dimensions} dims); ` +
+        `re-run with --force to re-embed everything with ${model} (${dimensions} dims)`
+      );
     }
+    await this.db.setSetting('embedding', this.embeddings.describe());
     
-    // Boost for top-ranked results
-    if (result.textRank === 1 || result.vectorRank === 1) {
-      finalScore *= 1.1;
+    // New corpus statistics change every vector's weights, so re-embed them all
+    if (await this.refreshCorpusStats(force)) {
+      force = true;
     }
     
-    // Normalize to 0-1 range
-    return Math.min(1, Math.max(0, finalScore));
-  }
-
-  // Generate embeddings for all documents
-  async generateEmbeddings(force = false) {
-    const documents = this.db.prepare(`
-      SELECT id, title, content FROM documents
-      ${force ? '' : 'WHERE id NOT IN (SELECT document_id FROM embeddings)'}
-    `).all();
+    const quantization = await this.db.getSetting('quantization') || 'none';
+    const chunks = await this.db.all(`
+      SELECT c.id, c.heading, c.content, d.title
+      FROM chunks c
+      JOIN documents d ON d.id = c.document_id
+      ${force ? '' : 'WHERE c.id NOT IN (SELECT chunk_id FROM embeddings WHERE model = ? AND dimensions = ?)'}
+    `, force ? [] : [model, dimensions]);
     
-    console.log(`Processing ${documents.length} documents...`);
+    console.log(`Processing ${chunks.length} chunks with ${model}...`);
     
-    for (const doc of documents) {
+    for (let i = 0; i < chunks.length; i += batchSize) {
+      const batch = chunks.slice(i, i + batchSize);
       try {
-        const text = this.prepareTextForEmbedding(doc.title, doc.content);
-        const embedding = await this.embeddings.embed(text);
+        const texts = batch.map(chunk => this.chunkEmbeddingText(chunk));
+        const vectors = await this.embeddings.embedBatch(texts);
         
-        this.db.prepare(`
-          INSERT OR REPLACE INTO embeddings (document_id, embedding)
-          VALUES (?, ?)
-        `).run(doc.id, JSON.stringify(embedding));
+        await this.db.transaction(async () => {
+          for (let j = 0; j < batch.length; j++) {
+            await this.db.run(`
+              INSERT OR REPLACE INTO embeddings (chunk_id, embedding, quantized, model, dimensions)
+              VALUES (?, ?, ?, ?, ?)
+            `, [batch[j].id, encodeVector(vectors[j]), quantizeVector(vectors[j], quantization), model, dimensions]);
+          }
+        });
         
         process.stdout.write('.');
       } catch (error) {
-        console.error(`\nError embedding document ${doc.id}: ${error.message}`);
+        // Providers retry on their own, so a failed batch means the endpoint
+        // or model is unusable; finished batches stay stored and are skipped
+        // on the next run
+        throw new Error(
+          `Embedding stopped after ${i} of ${chunks.length} chunks ` +
+          `(chunks ${batch[0].id}..${batch[batch.length - 1].id} failed): ${error.message}. ` +
+          'Re-run opensearch embed to continue.'
+        );
       }
     }
     
     console.log('\n✅ Embeddings complete');
+    
+    // Keep the ANN lists in step with the vectors just written
+    const ann = await this.ann.update({ model, dimensions }, force);
+    if (ann.action === 'built') {
+      console.log(`🧭 Built ANN index: ${ann.lists} lists over ${ann.vectors} vectors`);
+    } else if (ann.action === 'assigned' && ann.vectors > 0) {
+      console.log(`🧭 Added ${ann.vectors} vectors to the ANN index`);
+    }
+  }
+
+  // Switch the quantised copy used for first-pass scoring and rebuild it for
+  // every stored vector (no re-embedding needed)
+  async setQuantization(mode) {
+    if (!QUANTIZATION_MODES.includes(mode)) {
+      throw new Error(`Unknown quantization "${mode}" (expected one of: ${QUANTIZATION_MODES.join(', ')})`);
+    }
+    
+    await this.db.setSetting('quantization', mode);
+    if (mode === 'none') {
+      await this.db.run('UPDATE embeddings SET quantized = NULL');
+      return 0;
+    }
+    
+    let updated = 0;
+    let lastRowId = 0;
+    for (;;) {
+      const rows = await this.db.all(
+        'SELECT rowid, chunk_id, embedding FROM embeddings WHERE rowid > ? ORDER BY rowid LIMIT 500',
+        [lastRowId]
+      );
+      if (rows.length === 0) break;
+      
+      await this.db.transaction(async () => {
+        for (const row of rows) {
+          const quantized = quantizeVector(decodeVector(row.embedding), mode);
+          await this.db.run('UPDATE embeddings SET quantized = ? WHERE chunk_id = ?', [quantized, row.chunk_id]);
+        }
+      });
+      updated += rows.length;
+      lastRowId = rows[rows.length - 1].rowid;
+    }
+    return updated;
+  }
+
+  // Point IDF-weighted providers at the document frequencies stored in the index
+  async loadCorpusStats() {
+    if (!this.embeddings.usesCorpusStats) return;
+    
+    const stats = await this.db.getSetting('term_stats');
+    this.embeddings.useCorpusStats({
+      documents: stats?.documents || 0,
+      lookup: features => this.db.getTermFrequencies(features)
+    });
+  }
+
+  // Recount document frequencies when forced, missing, or when the number of
+  // chunks drifted by more than 20%. Returns true when the stats were refit.
+  async refreshCorpusStats(force = false) {
+    if (!this.embeddings.usesCorpusStats) return false;
+    
+    const stats = await this.db.getSetting('term_stats');
+    const { count } = await this.db.get('SELECT COUNT(*) as count FROM chunks');
+    const drifted = !stats || Math.abs(count - stats.documents) > stats.documents * 0.2;
+    if (!force && !drifted) {
+      await this.loadCorpusStats();
+      return false;
+    }
+    
+    const chunks = await this.db.all(`
+      SELECT c.heading, c.content, d.title
+      FROM chunks c
+      JOIN documents d ON d.id = c.document_id
+    `);
+    const { documents, df } = this.embeddings.countFeatures(chunks.map(chunk => this.chunkEmbeddingText(chunk)));
+    await this.db.replaceTermStats(documents, df);
+    
+    this.embeddings.useCorpusStats({
+      documents,
+      lookup: async features => new Map(features.filter(f => df.has(f)).map(f => [f, df.get(f)]))
+    });
+    return true;
+  }
+
+  // Refuse to compare the query against vectors from a different model. The
+  // stored setting names the model the index was embedded with, so this
+  // costs one settings read rather than a scan of the embeddings table.
+  async checkEmbeddingModel() {
+    await this.embeddings.initialize();
+    const { model, dimensions } = this.embeddings;
+    
+    const stored = await this.db.getSetting('embedding');
+    if (stored && (stored.model !== model || stored.dimensions !== dimensions)) {
+      throw new Error(
+        `Embedding model mismatch: the index is embedded with ${stored.model} (${stored.dimensions} dims), ` +
+        `but the active model is ${model} (${dimensions} dims). ` +
+        'Search with the stored model, or run "opensearch embed --force" to re-embed with this one.'
+      );
+    }
   }
 
   // Get document by path or ID
@@ -233,11 +475,25 @@ export class SearchEngine {
     
     let doc;
     if (identifier.startsWith('#')) {
-      // Search by ID
-      doc = this.db.prepare('SELECT * FROM documents WHERE id = ?').get(identifier.slice(1));
+      // Search by document ID, or by chunk ID for just that chunk's lines
+      doc = await this.db.getDocument(identifier.slice(1));
+      const chunk = doc ? null : await this.db.getChunk(identifier.slice(1));
+      if (chunk) {
+        return {
+          id: chunk.document_id,
+          chunkId: chunk.id,
+          path: chunk.path,
+          title: chunk.title,
+          heading: chunk.heading || null,
+          collection: chunk.collection,
+          startLine: chunk.start_line,
+          endLine: chunk.end_line,
+          content: chunk.content
+        };
+      }
     } else {
       // Search by path (with fuzzy matching)
-      doc = this.db.prepare('SELECT * FROM documents WHERE path = ? OR path LIKE ?').get(identifier, `%${identifier}`);
+      doc = await this.db.get('SELECT * FROM documents WHERE path = ? OR path LIKE ?', [identifier, `%${identifier}`]);
     }
     
     if (!doc) return null;
@@ -255,26 +511,71 @@ export class SearchEngine {
       path: doc.path,
       title: doc.title,
       collection: doc.collection,
+      date: doc.date || null,
+      metadata: JSON.parse(doc.metadata || '{}'),
       content: content
     };
   }
 
   // Get search engine statistics
   async getStats() {
-    const stats = this.db.prepare(`
+    const stats = await this.db.get(`
       SELECT 
         (SELECT COUNT(*) FROM documents) as documents,
+        (SELECT COUNT(*) FROM chunks) as chunks,
         (SELECT COUNT(DISTINCT collection) FROM documents) as collections,
         (SELECT COUNT(*) FROM embeddings) as embeddings
-    `).get();
+    `);
+    
+    const embedding = await this.db.getSetting('embedding');
+    const ann = await this.db.getSetting('ann');
+    const quantization = await this.db.getSetting('quantization');
     
     return {
       ...stats,
+      embeddingModel: embedding ? `${embedding.model} (${embedding.dimensions} dims)` : null,
+      annLists: ann ? ann.lists : null,
+      quantization: quantization || 'none',
       dbPath: this.dbPath
     };
   }
 
+  close() {
+    return this.db.close();
+  }
+
   // Helper methods
+  // Shape a chunk row (joined with its document) as a search result
+  toChunkResult(row, snippet, score) {
+    return {
+      id: row.document_id,
+      chunkId: row.id,
+      path: row.path,
+      title: row.title,
+      heading: row.heading || null,
+      collection: row.collection,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      date: row.date || null,
+      snippet,
+      score
+    };
+  }
+
+  // --explain: term occurrences in a chunk row (joined with its document)
+  explainChunkTerms(parsed, row) {
+    return explainTerms(parsed, {
+      text: `${row.heading || ''}\n${row.content}`,
+      title: row.title || '',
+      path: row.path
+    });
+  }
+
+  // The heading breadcrumb gives each chunk the context of its section
+  chunkEmbeddingText(chunk) {
+    return this.prepareTextForEmbedding(chunk.heading || chunk.title, chunk.content);
+  }
+
   prepareTextForEmbedding(title, content) {
     const text = `${title ? title + '\n' : ''}${content}`;
     return text.substring(0, 8000); // Limit length for embedding model
@@ -283,7 +584,7 @@ export class SearchEngine {
   extractSnippet(content, query, maxLength = 200) {
     if (!content) return '';
     
-    const queryTerms = query.toLowerCase().split(/\s+/);
+    const queryTerms = query.toLowerCase().split(/\s+/).filter(Boolean);
     const sentences = content.split(/[.!?]+/);
     
     // Find sentence with most query terms
@@ -306,9 +607,9 @@ export class SearchEngine {
       snippet = snippet.substring(0, maxLength) + '...';
     }
     
-    // Simple highlighting
+    // Simple highlighting; terms are literal text, so "c++" must not reach RegExp unescaped
     for (const term of queryTerms) {
-      const regex = new RegExp(`(${term})`, 'gi');
+      const regex = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
       snippet = snippet.replace(regex, '**$1**');
     }
     
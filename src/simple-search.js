@@ -5,10 +5,15 @@
  * Uses file system operations instead of SQLite for immediate ARM64 compatibility
  */
 
-import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { glob } from 'glob';
+import { searchFiles, grepTool } from './grep.js';
+import { createIgnoreFilter, globIgnore } from './ignore.js';
+import { parseQuery, matchesQuery, describeQuery, explainTerms } from './query.js';
+import { parseFrontmatter, documentDate, matchesFilters, applyRecencyDecay } from './metadata.js';
+
+const DEFAULT_MASK = '**/*.{md,txt}';
 
 export class SimpleSearchEngine {
   constructor(workspaceDir = '.') {
@@ -39,7 +44,7 @@ export class SimpleSearchEngine {
   }
 
   // Add a collection
-  async addCollection(name, collectionPath, mask = '**/*.{md,txt}') {
+  async addCollection(name, collectionPath, mask = DEFAULT_MASK, exclude = []) {
     const collections = this.loadCollections();
     const absolutePath = path.resolve(collectionPath);
     
@@ -51,6 +56,7 @@ export class SimpleSearchEngine {
       name,
       path: absolutePath,
       mask,
+      exclude,
       addedAt: Date.now()
     };
 
@@ -63,7 +69,7 @@ export class SimpleSearchEngine {
     const collections = this.loadCollections();
     return Object.values(collections).map(col => ({
       ...col,
-      files: this.countFiles(col.path, col.mask)
+      files: this.countFiles(col)
     }));
   }
 
@@ -77,157 +83,237 @@ export class SimpleSearchEngine {
     this.saveCollections(collections);
   }
 
+  // Files in a collection that match its mask and none of its ignore rules
+  listFiles(collection) {
+    const pattern = path.join(collection.path, collection.mask || DEFAULT_MASK);
+    return glob.sync(pattern, { 
+      ignore: globIgnore(createIgnoreFilter(collection.path, collection.exclude || [])),
+      nodir: true 
+    }).sort();
+  }
+
   // Count files in a collection
-  countFiles(collectionPath, mask) {
+  countFiles(collection) {
     try {
-      const pattern = path.join(collectionPath, mask);
-      const files = glob.sync(pattern, { 
-        ignore: ['**/node_modules/**', '**/.git/**'],
-        nodir: true 
-      });
-      return files.length;
+      return this.listFiles(collection).length;
     } catch (error) {
       return 0;
     }
   }
 
-  // Smart search using ripgrep or grep
+  // The named collection, else all of them, else the workspace itself
+  searchTargets(collection = null) {
+    const collections = this.loadCollections();
+
+    if (collection) {
+      if (!collections[collection]) {
+        throw new Error(`Collection "${collection}" not found`);
+      }
+      return [collections[collection]];
+    }
+
+    const targets = Object.values(collections);
+    return targets.length > 0 ? targets : [{ name: 'default', path: this.workspaceDir, mask: DEFAULT_MASK }];
+  }
+
+  // Size in bytes of every file a search covers, by full path
+  corpusFiles(collection = null) {
+    const files = new Map();
+    for (const target of this.searchTargets(collection)) {
+      for (const file of this.listFiles(target)) {
+        try {
+          files.set(file, fs.statSync(file).size);
+        } catch (error) {
+          // Deleted since the glob ran
+        }
+      }
+    }
+    return files;
+  }
+
+  // Smart search using ripgrep or grep, or the built-in scanner when neither is
+  // installed (or engine is 'js'). The query uses the syntax in query.js unless
+  // regex is set, in which case it is one regular expression.
   async search(query, options = {}) {
     const { 
       limit = 5, 
       collection = null, 
       contextLines = 2, 
       maxChars = 2000,
-      caseSensitive = false 
+      caseSensitive = false,
+      regex = false,
+      engine = null,
+      filters = null,
+      decay = null,
+      explain = false
     } = options;
 
-    const collections = this.loadCollections();
-    let searchPaths = [];
+    const targets = this.searchTargets(collection);
 
-    if (collection) {
-      if (!collections[collection]) {
-        throw new Error(`Collection "${collection}" not found`);
-      }
-      searchPaths = [collections[collection].path];
-    } else {
-      searchPaths = Object.values(collections).map(c => c.path);
-    }
-
-    if (searchPaths.length === 0) {
-      searchPaths = [this.workspaceDir];
+    // Grep for any of the plain terms, then keep the context windows that
+    // satisfy the whole query (every group, no excluded term, title:/path:)
+    const parsed = regex ? null : parseQuery(query);
+    const patterns = regex ? [query] : parsed.terms.filter(term => !term.field).map(term => term.text);
+    if (patterns.length === 0) {
+      throw new Error('The grep engine needs at least one search term besides title:/path: and -excluded terms');
     }
 
+    const titles = new Map();
+    const metadata = new Map();
     const results = [];
     let totalChars = 0;
 
-    for (const searchPath of searchPaths) {
+    for (const target of targets) {
       if (totalChars >= maxChars) break;
 
-      try {
-        // Try ripgrep first, fallback to grep
-        const caseSensitiveFlag = caseSensitive ? '' : '-i';
-        let cmd;
-        
-        // Check if ripgrep is available
-        try {
-          execSync('which rg', { stdio: 'ignore' });
-          cmd = `rg ${caseSensitiveFlag} -n -C ${contextLines} --type md --type txt "${query}" "${searchPath}" 2>/dev/null || true`;
-        } catch (e) {
-          // Fallback to grep
-          cmd = `find "${searchPath}" -type f \\( -name "*.md" -o -name "*.txt" \\) -exec grep ${caseSensitiveFlag} -H -n -C ${contextLines} "${query}" {} \\; 2>/dev/null || true`;
-        }
+      // rg, grep and the scanner search the same file list, so masks and ignore rules apply alike
+      const files = this.listFiles(target)
+        .filter(file => !filters || this.fileMatchesFilters(filters, file, metadata));
+      if (files.length === 0) continue;
+      const blocks = (await searchFiles(patterns, files, { contextLines, caseSensitive, regex, engine }))
+        .filter(block => !parsed || this.blockMatches(parsed, block, { caseSensitive, titles }));
+      const collectionName = target.name || 'default';
 
-        const output = execSync(cmd, { 
-          encoding: 'utf8',
-          maxBuffer: 1024 * 1024 // 1MB max
-        });
-
-        if (output.trim()) {
-          const lines = output.trim().split('\n');
-          const collectionName = Object.values(collections).find(c => c.path === searchPath)?.name || 'default';
-          
-          for (const line of lines.slice(0, limit * 3)) {
-            if (totalChars >= maxChars) break;
-            
-            const match = this.parseSearchResult(line, searchPath, collectionName);
-            if (match && match.content.trim()) {
-              results.push(match);
-              totalChars += match.content.length;
-            }
-          }
+      for (const block of blocks.slice(0, limit * 3)) {
+        if (totalChars >= maxChars) break;
+
+        if (!titles.has(block.file)) {
+          titles.set(block.file, fileTitle(block.file));
+        }
+        const match = this.toSearchResult(block, {
+          title: titles.get(block.file),
+          date: this.fileMetadata(block.file, metadata).date
+        }, target.path, collectionName);
+        if (explain) {
+          match.explain = {
+            terms: parsed
+              ? explainTerms(parsed, { text: match.content, title: match.title, path: block.file }, { caseSensitive })
+              : [{ term: query, regex: true, matches: match.matchedLines.length }]
+          };
+        }
+        if (match.content) {
+          results.push(match);
+          totalChars += match.content.length;
         }
-      } catch (error) {
-        console.warn(`Search error in ${searchPath}:`, error.message);
-        continue;
       }
     }
 
     // Score and sort results
-    const scoredResults = this.scoreResults(results, query)
-      .slice(0, limit);
+    const scoreTerms = parsed ? parsed.terms.filter(term => !term.field).map(term => term.text) : [query];
+    let scoredResults = this.scoreResults(results, scoreTerms, { explain });
+    if (decay) {
+      scoredResults = applyRecencyDecay(scoredResults, decay);
+    }
+    scoredResults = scoredResults.slice(0, limit);
 
-    return {
+    const envelope = {
       results: scoredResults,
       totalChars,
       tokenEstimate: Math.round(totalChars / 4),
       query,
-      collectionsSearched: searchPaths.length
+      collectionsSearched: targets.length
     };
+    if (explain) {
+      envelope.explain = {
+        engine: engine === 'js' || !grepTool() ? 'js' : grepTool(),
+        query: parsed ? describeQuery(parsed) : { regex: query },
+        filters: { collection, caseSensitive, ...(filters || {}) },
+        decay: decay ? { halfLife: decay } : null
+      };
+    }
+    return envelope;
   }
 
-  // Parse a search result line
-  parseSearchResult(line, basePath, collection) {
-    // Handle different grep/rg output formats
-    const parts = line.split(':');
-    if (parts.length < 3) return null;
+  // Whether a grep context window satisfies the parsed query
+  blockMatches(parsed, block, { caseSensitive, titles }) {
+    const usesTitle = [...parsed.terms, ...parsed.excluded].some(term => term.field === 'title');
+    if (usesTitle && !titles.has(block.file)) {
+      titles.set(block.file, fileTitle(block.file));
+    }
+
+    return matchesQuery(parsed, {
+      text: block.lines.map(line => line.text).join('\n'),
+      title: titles.get(block.file) || '',
+      path: block.file
+    }, { caseSensitive });
+  }
 
-    const filePath = parts[0];
-    const lineNumber = parseInt(parts[1]) || 1;
-    const content = parts.slice(2).join(':');
+  // Frontmatter and date of a file, read once per search
+  fileMetadata(filePath, cache) {
+    if (!cache.has(filePath)) {
+      let metadata = {};
+      try {
+        metadata = parseFrontmatter(fs.readFileSync(filePath, 'utf8')).metadata;
+      } catch (error) {
+        // Unreadable files have no metadata
+      }
+      cache.set(filePath, { metadata, date: documentDate(filePath, metadata) });
+    }
+    return cache.get(filePath);
+  }
 
-    // Extract relative path
-    const relativePath = path.relative(basePath, filePath);
+  fileMatchesFilters(filters, filePath, cache) {
+    const { metadata, date } = this.fileMetadata(filePath, cache);
+    return matchesFilters(filters, metadata, date);
+  }
 
-    // Extract title from content (first few words)
-    const title = content.replace(/^\s*#+\s*/, '').split(/[.!?]|$$/)[0].trim().substring(0, 100);
+  // One result per match block: the matched lines with their surrounding context
+  toSearchResult(block, { title, date }, basePath, collection) {
+    const matchedLines = block.lines.filter(line => line.match).map(line => line.number);
+    const startLine = block.lines[0].number;
+    const endLine = block.lines[block.lines.length - 1].number;
 
     return {
-      id: this.generateId(filePath, lineNumber),
-      path: relativePath,
-      fullPath: filePath,
-      line: lineNumber,
-      title: title || path.basename(filePath),
-      content: content.trim(),
+      id: this.generateId(block.file, startLine),
+      path: path.relative(basePath, block.file),
+      fullPath: block.file,
+      line: matchedLines[0],
+      startLine,
+      endLine,
+      matchedLines,
+      title,
+      date,
+      content: block.lines.map(line => line.text).join('\n').trim(),
       collection,
       score: 0 // Will be calculated later
     };
   }
 
-  // Score results based on query relevance
-  scoreResults(results, query) {
-    const queryTerms = query.toLowerCase().split(/\s+/);
+  // Score results based on query relevance; with `explain` the parts are kept
+  scoreResults(results, terms, { explain = false } = {}) {
+    const queryTerms = terms.map(term => term.toLowerCase());
     
     return results.map(result => {
-      let score = 0;
+      let titleScore = 0;
+      let contentScore = 0;
       const content = result.content.toLowerCase();
       const title = result.title.toLowerCase();
       
       // Title matches worth more
       for (const term of queryTerms) {
         if (title.includes(term)) {
-          score += 10;
+          titleScore += 10;
         }
         if (content.includes(term)) {
-          score += 1;
+          contentScore += 1;
         }
       }
       
       // Boost for multiple term matches
       const matchedTerms = queryTerms.filter(term => content.includes(term)).length;
-      score += matchedTerms * 2;
+      const coverageScore = matchedTerms * 2;
+      const score = titleScore + contentScore + coverageScore;
       
       // Normalize score
-      result.score = Math.min(1, score / (queryTerms.length * 5));
+      const max = queryTerms.length * 5;
+      result.score = Math.min(1, score / max);
+      
+      if (explain) {
+        result.explain = {
+          ...result.explain,
+          grep: { title: titleScore, content: contentScore, coverage: coverageScore, raw: score, max }
+        };
+      }
       
       return result;
     }).sort((a, b) => b.score - a.score);
@@ -246,7 +332,7 @@ export class SimpleSearchEngine {
     
     let totalFiles = 0;
     for (const col of collectionList) {
-      totalFiles += this.countFiles(col.path, col.mask);
+      totalFiles += this.countFiles(col);
     }
 
     return {
@@ -278,6 +364,8 @@ export class SimpleSearchEngine {
 
     try {
       let content = fs.readFileSync(filePath, 'utf8');
+      const { metadata } = parseFrontmatter(content);
+      const date = documentDate(filePath, metadata);
       
       if (maxLines || fromLine > 1) {
         const lines = content.split('\n');
@@ -286,13 +374,13 @@ export class SimpleSearchEngine {
         content = lines.slice(start, end).join('\n');
       }
 
-      const title = path.basename(filePath, path.extname(filePath))
-        .replace(/[-_]/g, ' ')
-        .replace(/\b\w/g, l => l.toUpperCase());
+      const title = titleFromFileName(filePath);
 
       return {
         path: filePath,
         title,
+        date,
+        metadata,
         content,
         size: content.length
       };
@@ -302,4 +390,22 @@ export class SimpleSearchEngine {
   }
 }
 
+// Title for title: terms: the first "# " heading, else the file name
+export function fileTitle(filePath) {
+  try {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').slice(0, 20);
+    const heading = lines.find(line => line.startsWith('# '));
+    if (heading) return heading.substring(2).trim();
+  } catch (error) {
+    // Fall back to the file name
+  }
+  return titleFromFileName(filePath);
+}
+
+function titleFromFileName(filePath) {
+  return path.basename(filePath, path.extname(filePath))
+    .replace(/[-_]/g, ' ')
+    .replace(/\b\w/g, l => l.toUpperCase());
+}
+
 export default SimpleSearchEngine;
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Token counters for context budgets
+ *
+ *   bpe    splits text the way cl100k-style BPE tokenizers pre-tokenize it
+ *          (words with their leading space, digit groups, punctuation runs,
+ *          whitespace) and charges each piece what such a vocabulary
+ *          typically spends on it: common words are one token, long or
+ *          non-ASCII words more. No vocabulary is bundled, so it is an
+ *          estimate, but a much closer one than characters / 4 for markdown.
+ *   chars  characters / 4
+ *
+ * createTokenizer() also accepts any object with a count(text) method, so a
+ * real tokenizer can be plugged in. A counter that throws falls back to chars.
+ *
+ * TokenCountCache keeps counts of whole files by tokenizer and content hash in
+ * ~/.cache/opensearch/token-counts.json, so an unchanged corpus is not
+ * tokenized again on every run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+export const TOKENIZERS = ['bpe', 'chars'];
+export const DEFAULT_TOKENIZER = 'bpe';
+
+const MAX_CACHED_COUNTS = 20000;
+
+const PIECE = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+const NON_ASCII = /[^\x00-\x7f]/gu;
+
+function countChars(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function pieceCost(piece) {
+  const nonAscii = (piece.match(NON_ASCII) || []).length;
+
+  if (/\p{L}/u.test(piece)) {
+    // ASCII words up to 10 letters are usually one token; longer ones split
+    // every ~6 letters. Accented and CJK letters cost about one token each.
+    const ascii = piece.replace(/^[^\p{L}]/u, '').length - nonAscii;
+    return Math.max(1, 1 + Math.max(0, ascii - 10) / 6 + nonAscii);
+  }
+  if (/^\s+$/.test(piece) || /^\p{N}+$/u.test(piece)) {
+    return 1;
+  }
+  // Punctuation runs such as "##", "**" or "-->" merge in groups of about three;
+  // emoji and other symbols take a token or two each
+  return 1 + Math.floor((piece.trim().length - nonAscii - 1) / 3) + nonAscii * 1.5;
+}
+
+function countBpe(text) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECE)) {
+    tokens += pieceCost(piece);
+  }
+  return Math.ceil(tokens);
+}
+
+const COUNTERS = { bpe: countBpe, chars: countChars };
+
+// A tokenizer by name, or a custom { name, count(text) } object
+export function createTokenizer(spec = DEFAULT_TOKENIZER) {
+  let name = spec;
+  let count = COUNTERS[spec];
+  if (spec && typeof spec === 'object') {
+    name = spec.name || 'custom';
+    count = typeof spec.count === 'function' ? spec.count.bind(spec) : null;
+  }
+  if (!count) {
+    throw new Error(`Unknown tokenizer "${name}" (expected one of: ${TOKENIZERS.join(', ')}, or an object with count())`);
+  }
+
+  return {
+    name,
+    count(text) {
+      if (!text) return 0;
+      try {
+        return count(text);
+      } catch (error) {
+        return countChars(text);
+      }
+    }
+  };
+}
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export class TokenCountCache {
+  constructor(cachePath = null) {
+    this.cachePath = cachePath || path.join(os.homedir(), '.cache', 'opensearch', 'token-counts.json');
+    this.counts = null;
+    this.changed = false;
+  }
+
+  load() {
+    if (!this.counts) {
+      try {
+        this.counts = new Map(Object.entries(JSON.parse(fs.readFileSync(this.cachePath, 'utf8'))));
+      } catch (error) {
+        // Missing or unreadable cache; count again
+        this.counts = new Map();
+      }
+    }
+    return this.counts;
+  }
+
+  // The cached count for content with this sha256 hash, or undefined
+  get(hash, tokenizer) {
+    if (!hash) return undefined;
+    const counts = this.load();
+    const key = `${tokenizer.name}:${hash}`;
+    const tokens = counts.get(key);
+    if (tokens !== undefined) {
+      // Most recently used last, so pruning drops the oldest
+      counts.delete(key);
+      counts.set(key, tokens);
+    }
+    return tokens;
+  }
+
+  // Tokens in `content`, counted once per tokenizer and content
+  count(content, tokenizer, hash = hashContent(content)) {
+    const cached = this.get(hash, tokenizer);
+    if (cached !== undefined) return cached;
+
+    const tokens = tokenizer.count(content);
+    this.load().set(`${tokenizer.name}:${hash}`, tokens);
+    this.changed = true;
+    return tokens;
+  }
+
+  save() {
+    if (!this.changed) return;
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      fs.writeFileSync(this.cachePath, JSON.stringify(Object.fromEntries([...this.counts].slice(-MAX_CACHED_COUNTS))));
+      this.changed = false;
+    } catch (error) {
+      // The cache is an optimisation; a read-only home still gets the counts
+    }
+  }
+}
+
+export default createTokenizer;
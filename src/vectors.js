@@ -0,0 +1,90 @@
+/**
+ * Binary vector encodings for the embeddings table
+ *
+ * Full vectors are stored as little-endian Float32 BLOBs. An optional
+ * quantised copy (int8 or 1-bit sign) is used for a cheap first scoring
+ * pass; the best candidates are then re-scored with the float vectors.
+ */
+
+export const QUANTIZATION_MODES = ['none', 'int8', 'binary'];
+
+// Popcount for every byte value, used by the binary similarity
+const BIT_COUNTS = new Uint8Array(256).map((_, byte) => {
+  let count = 0;
+  for (let b = byte; b; b >>= 1) count += b & 1;
+  return count;
+});
+
+// Scale to unit length; a zero vector is returned unchanged
+export function normalize(vector) {
+  let sum = 0;
+  for (const value of vector) sum += value * value;
+  const magnitude = Math.sqrt(sum);
+  if (magnitude === 0) return vector;
+
+  return vector.map(value => value / magnitude);
+}
+
+export function encodeVector(vector) {
+  const floats = Float32Array.from(vector);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+// Accepts Float32 BLOBs and, for rows written before migration 6, JSON text
+export function decodeVector(value) {
+  if (typeof value === 'string') {
+    return Float32Array.from(JSON.parse(value));
+  }
+  // Copy so the Float32Array is aligned regardless of the Buffer's offset
+  const bytes = Uint8Array.from(value);
+  return new Float32Array(bytes.buffer, 0, bytes.byteLength / 4);
+}
+
+export function quantizeVector(vector, mode) {
+  if (mode === 'int8') {
+    let maxAbs = 0;
+    for (const value of vector) maxAbs = Math.max(maxAbs, Math.abs(value));
+    const scale = maxAbs === 0 ? 0 : 127 / maxAbs;
+    const quantized = Int8Array.from(vector, value => Math.round(value * scale));
+    return Buffer.from(quantized.buffer);
+  }
+
+  if (mode === 'binary') {
+    const bits = new Uint8Array(Math.ceil(vector.length / 8));
+    vector.forEach((value, i) => {
+      if (value > 0) bits[i >> 3] |= 1 << (i & 7);
+    });
+    return Buffer.from(bits.buffer);
+  }
+
+  return null;
+}
+
+// Approximate cosine similarity between two quantised vectors of the same
+// mode. Binary vectors need the vector's `dimensions`: the padding bits of the
+// last byte are zero in both and must not count as agreeing.
+export function quantizedSimilarity(a, b, mode, dimensions = a.length * 8) {
+  if (a.length !== b.length) return 0;
+
+  if (mode === 'int8') {
+    const qa = new Int8Array(a.buffer, a.byteOffset, a.length);
+    const qb = new Int8Array(b.buffer, b.byteOffset, b.length);
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < qa.length; i++) {
+      dotProduct += qa[i] * qb[i];
+      normA += qa[i] * qa[i];
+      normB += qb[i] * qb[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  // binary: share of sign bits that agree, mapped to -1..1 like cosine
+  let differing = 0;
+  for (let i = 0; i < a.length; i++) {
+    differing += BIT_COUNTS[a[i] ^ b[i]];
+  }
+  return 1 - (2 * differing) / dimensions;
+}
@@ -0,0 +1,182 @@
+/**
+ * Watches registered collections and re-indexes files as they change
+ *
+ * Uses recursive fs.watch where the platform supports it and falls back to
+ * polling a snapshot of file mtimes otherwise. Bursts of events (an editor
+ * save, a git checkout) are debounced into one batch, and only the changed
+ * paths are re-indexed through CollectionManager.indexFiles().
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { glob } from 'glob';
+import { globIgnore } from './ignore.js';
+
+export const DEFAULT_DEBOUNCE_MS = 2000;
+export const DEFAULT_POLL_INTERVAL_MS = 30000;
+
+export class CollectionWatcher {
+  constructor(manager, options = {}) {
+    this.manager = manager;
+    this.debounce = options.debounce ?? DEFAULT_DEBOUNCE_MS;
+    this.poll = options.poll || false;
+    this.interval = options.interval ?? DEFAULT_POLL_INTERVAL_MS;
+    this.onIndexed = options.onIndexed || (() => {});
+    this.onError = options.onError || (() => {});
+
+    this.watchers = [];
+    this.pollTimers = new Map();
+    this.filters = new Map(); // collection name -> ignore filter
+    this.pending = new Map(); // collection name -> Set of changed paths
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+    this.closed = false;
+  }
+
+  // Watch every registered collection; returns how each one is watched
+  async start() {
+    const collections = await this.manager.list();
+    if (collections.length === 0) {
+      throw new Error('No collections to watch. Add one with "opensearch collection add <path>"');
+    }
+
+    const watched = [];
+    for (const collection of collections) {
+      const method = await this.watchCollection(collection);
+      watched.push({ name: collection.name, path: collection.path, method });
+    }
+    return watched;
+  }
+
+  async watchCollection(collection) {
+    this.filters.set(collection.name, this.manager.ignoreFilter(collection));
+
+    if (!this.poll) {
+      try {
+        const watcher = fs.watch(collection.path, { recursive: true }, (eventType, filename) => {
+          if (filename) {
+            this.queue(collection.name, path.join(collection.path, filename.toString()));
+          }
+        });
+        watcher.on('error', error => this.onError(error));
+        this.watchers.push(watcher);
+        return 'fs.watch';
+      } catch (error) {
+        // Recursive watching is unsupported here or the inotify limit is hit
+      }
+    }
+
+    await this.pollCollection(collection);
+    return 'polling';
+  }
+
+  // Compare mtime snapshots every interval; a timeout chain keeps slow scans from overlapping
+  async pollCollection(collection) {
+    let previous = await this.snapshot(collection);
+
+    const tick = async () => {
+      try {
+        const current = await this.snapshot(collection);
+        for (const [filePath, mtime] of current) {
+          if (previous.get(filePath) !== mtime) this.queue(collection.name, filePath);
+        }
+        for (const filePath of previous.keys()) {
+          if (!current.has(filePath)) this.queue(collection.name, filePath);
+        }
+        previous = current;
+      } catch (error) {
+        this.onError(error);
+      }
+      if (!this.closed) {
+        this.pollTimers.set(collection.name, setTimeout(tick, this.interval));
+      }
+    };
+
+    this.pollTimers.set(collection.name, setTimeout(tick, this.interval));
+  }
+
+  async snapshot(collection) {
+    const files = await glob(path.join(collection.path, collection.mask), {
+      ignore: globIgnore(this.filters.get(collection.name)),
+      nodir: true,
+      stat: true,
+      withFileTypes: true
+    });
+    return new Map(files.map(file => [file.fullpath(), file.mtimeMs]));
+  }
+
+  queue(collectionName, filePath) {
+    if (this.closed || this.filters.get(collectionName)(filePath)) return;
+
+    if (!this.pending.has(collectionName)) {
+      this.pending.set(collectionName, new Set());
+    }
+    this.pending.get(collectionName).add(filePath);
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  // Re-index the queued paths; batches are chained so they never overlap
+  flush() {
+    const batch = this.pending;
+    this.pending = new Map();
+
+    this.flushing = this.flushing.then(async () => {
+      for (const [collectionName, paths] of batch) {
+        try {
+          const result = await this.manager.indexFiles(collectionName, [...paths]);
+          await this.onIndexed(collectionName, result);
+        } catch (error) {
+          this.onError(error);
+        }
+      }
+    });
+    return this.flushing;
+  }
+
+  // Stop watching, but finish any re-index already queued
+  async close() {
+    this.closed = true;
+    clearTimeout(this.flushTimer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.pollTimers.forEach(timer => clearTimeout(timer));
+
+    if (this.pending.size > 0) {
+      this.flush();
+    }
+    await this.flushing;
+  }
+}
+
+export function systemdUnitPath() {
+  return path.join(os.homedir(), '.config', 'systemd', 'user', 'opensearch-watch.service');
+}
+
+// systemd splits ExecStart on whitespace unless the word is quoted
+function quoteArg(arg) {
+  return /[\s"\\]/.test(arg) ? `"${arg.replace(/(["\\])/g, '\\$1')}"` : arg;
+}
+
+export function systemdUnit(args = []) {
+  const execStart = [process.execPath, path.resolve(process.argv[1]), 'watch', ...args]
+    .map(quoteArg)
+    .join(' ');
+
+  return `[Unit]
+Description=OpenSearch Pi auto-reindex watcher
+After=default.target
+
+[Service]
+Type=simple
+ExecStart=${execStart}
+Restart=always
+RestartSec=10
+
+[Install]
+WantedBy=default.target
+`;
+}
+
+export default CollectionWatcher;
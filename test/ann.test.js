@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MIN_ANN_VECTORS } from '../src/ann.js';
+import { decodeVector, normalize } from '../src/vectors.js';
+import { vectorIndex, storeVectors, useQueryVector } from './helpers.js';
+
+const MODEL = { model: 'synthetic-16', dimensions: 16 };
+
+// Deterministic vectors: noisy points around a fixed set of cluster centres
+function generator(seed) {
+  let state = seed;
+  const random = () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296 - 0.5;
+  };
+  const centres = Array.from({ length: 30 }, () => normalize(Array.from({ length: 16 }, random)));
+  return index => normalize(centres[index % centres.length].map(value => value + random() * 0.3));
+}
+
+async function syntheticIndex(count) {
+  const vector = generator(42);
+  const { engine, chunks } = await vectorIndex(Array.from({ length: count }, (_, i) => vector(i)), MODEL);
+  return { engine, chunks, vector };
+}
+
+test('IVF probing finds nearly the same top-k as the exhaustive scan', async () => {
+  const { engine } = await syntheticIndex(600);
+  try {
+    const built = await engine.ann.update(MODEL);
+    assert.deepEqual(built, { action: 'built', vectors: 600, lists: 24 });
+    const { unassigned } = await engine.db.get('SELECT COUNT(*) as unassigned FROM embeddings WHERE list_id IS NULL');
+    assert.equal(unassigned, 0);
+
+    const queries = generator(7);
+    let found = 0;
+    let wanted = 0;
+    for (let i = 0; i < 20; i++) {
+      useQueryVector(engine, queries(i * 3), MODEL);
+      const exact = await engine.vectorSearch('point', { limit: 10, probes: 0 });
+      const approximate = await engine.vectorSearch('point', { limit: 10 });
+      const exactIds = new Set(exact.map(result => result.chunkId));
+      found += approximate.filter(result => exactIds.has(result.chunkId)).length;
+      wanted += exact.length;
+    }
+    assert.equal(wanted, 200);
+    assert.ok(found / wanted >= 0.9, `recall ${found / wanted}`);
+
+    // Every list scanned is the exhaustive search again
+    useQueryVector(engine, queries(1), MODEL);
+    assert.deepEqual(
+      (await engine.vectorSearch('point', { limit: 10, probes: 24 })).map(result => result.chunkId),
+      (await engine.vectorSearch('point', { limit: 10, probes: 0 })).map(result => result.chunkId)
+    );
+  } finally {
+    await engine.db.close();
+  }
+});
+
+test('new vectors are scanned before assignment and then given their nearest list', async () => {
+  const { engine, chunks, vector } = await syntheticIndex(600);
+  try {
+    // Train on the first 550 vectors only
+    await engine.db.run('DELETE FROM embeddings WHERE chunk_id IN (SELECT id FROM chunks ORDER BY start_line LIMIT 50)');
+    await engine.ann.update(MODEL);
+    await storeVectors(engine, chunks.slice(0, 50).map((chunk, i) => [chunk.id, vector(i)]), MODEL);
+
+    // An unassigned row is always a candidate, so the exact match is found
+    const target = await engine.db.get('SELECT embedding FROM embeddings WHERE chunk_id = ?', [chunks[3].id]);
+    useQueryVector(engine, Array.from(decodeVector(target.embedding)), MODEL);
+    assert.equal((await engine.vectorSearch('point', { limit: 1, probes: 1 }))[0].chunkId, chunks[3].id);
+
+    assert.deepEqual(await engine.ann.update(MODEL), { action: 'assigned', vectors: 50, lists: 23 });
+    const rows = await engine.db.all('SELECT chunk_id, list_id FROM embeddings');
+    assert.ok(rows.every(row => row.list_id !== null));
+    assert.equal((await engine.vectorSearch('point', { limit: 1, probes: 1 }))[0].chunkId, chunks[3].id);
+  } finally {
+    await engine.db.close();
+  }
+});
+
+test('the IVF index is cleared when fewer than MIN_ANN_VECTORS remain', async () => {
+  const { engine } = await syntheticIndex(600);
+  try {
+    await engine.ann.update(MODEL);
+    await engine.db.run(`DELETE FROM embeddings WHERE rowid > ${MIN_ANN_VECTORS - 100}`);
+
+    assert.deepEqual(await engine.ann.update(MODEL), { action: 'none', vectors: MIN_ANN_VECTORS - 100 });
+    assert.equal((await engine.db.get('SELECT COUNT(*) as count FROM ann_centroids')).count, 0);
+    assert.equal((await engine.db.get('SELECT COUNT(*) as count FROM embeddings WHERE list_id IS NOT NULL')).count, 0);
+    assert.equal(await engine.db.getSetting('ann'), null);
+    assert.equal(await engine.ann.load(), false);
+  } finally {
+    await engine.db.close();
+  }
+});
+
+test('vector search refuses a model other than the stored one and skips stray rows', async () => {
+  const { engine, chunks } = await syntheticIndex(20);
+  try {
+    useQueryVector(engine, generator(42)(0), MODEL);
+    await engine.db.run(
+      "UPDATE embeddings SET model = 'old-model' WHERE chunk_id = ?",
+      [chunks[0].id]
+    );
+    const results = await engine.vectorSearch('point', { limit: 20 });
+    assert.equal(results.length, 19);
+    assert.ok(!results.some(result => result.chunkId === chunks[0].id));
+
+    await engine.db.setSetting('embedding', { model: 'other', dimensions: 16 });
+    await assert.rejects(engine.vectorSearch('point'), /index is embedded with other \(16 dims\)/);
+  } finally {
+    await engine.db.close();
+  }
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkMarkdown } from '../src/chunker.js';
+import { parseFrontmatter } from '../src/metadata.js';
+
+test('chunks start after frontmatter closed by --- or ...', () => {
+  for (const close of ['---', '...']) {
+    const text = `---\ntitle: Deploy\ntags: [ops]\n${close}\n# Deploy\n\nRun compose up.\n`;
+    const chunks = chunkMarkdown(text);
+
+    assert.equal(parseFrontmatter(text).bodyStart, 4);
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].heading, 'Deploy');
+    assert.equal(chunks[0].startLine, 5);
+    assert.ok(!chunks[0].content.includes('title:'));
+  }
+});
+
+test('an unclosed frontmatter block is indexed as body text', () => {
+  const text = '---\ntitle: Draft\n\nNo closing line.\n';
+
+  assert.deepEqual(parseFrontmatter(text), { metadata: {}, bodyStart: 0 });
+  assert.equal(chunkMarkdown(text)[0].startLine, 1);
+});
+
+test('a long section without headings is capped at maxChars with bounded overlap', () => {
+  const lines = Array.from({ length: 60 }, (_, i) => `Line ${String(i + 1).padStart(2, '0')} of a long note without any headings.`);
+  const chunks = chunkMarkdown(lines.join('\n'), { maxChars: 500, overlapChars: 100 });
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.map(chunk => chunk.index), chunks.map((_, i) => i));
+  assert.equal(chunks[0].startLine, 1);
+  assert.equal(chunks[chunks.length - 1].endLine, 60);
+
+  for (const chunk of chunks) {
+    assert.equal(chunk.heading, '');
+    assert.ok(chunk.content.length <= 500, `chunk ${chunk.index} has ${chunk.content.length} chars`);
+    assert.equal(chunk.content, lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+  }
+
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = chunks[i - 1];
+    const chunk = chunks[i];
+    // Every line is covered, and only up to overlapChars of it twice
+    assert.ok(chunk.startLine > previous.startLine);
+    assert.ok(chunk.startLine <= previous.endLine + 1);
+    const repeated = lines.slice(chunk.startLine - 1, previous.endLine);
+    assert.ok(repeated.length > 0);
+    assert.ok(repeated.reduce((size, line) => size + line.length + 1, 0) <= 100);
+  }
+});
+
+test('without overlap, pieces of a section share no lines', () => {
+  const text = Array.from({ length: 30 }, (_, i) => `Sentence number ${i + 1} of the section.`).join('\n');
+  const chunks = chunkMarkdown(`# Notes\n${text}`, { maxChars: 300, overlapChars: 0 });
+
+  assert.ok(chunks.length > 1);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.equal(chunks[i].startLine, chunks[i - 1].endLine + 1);
+    assert.equal(chunks[i].heading, 'Notes');
+  }
+});
+
+test('a single line longer than maxChars stays whole', () => {
+  const long = 'x'.repeat(800);
+  const chunks = chunkMarkdown(`short\n${long}\nshort again`, { maxChars: 500, overlapChars: 100 });
+
+  assert.ok(chunks.some(chunk => chunk.content.split('\n').includes(long)));
+  assert.equal(chunks[chunks.length - 1].endLine, 3);
+});
+
+test('headings inside fenced code do not start a section', () => {
+  const chunks = chunkMarkdown('# Setup\n\n```sh\n# not a heading\necho hi\n```\n\n## Next\nDone.\n');
+
+  assert.deepEqual(chunks.map(chunk => [chunk.heading, chunk.startLine, chunk.endLine]), [
+    ['Setup', 1, 6],
+    ['Setup > Next', 8, 9]
+  ]);
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { tempDir, writeFiles } from './helpers.js';
+
+const BIN = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+// Run the opensearch binary with its own home, so the index lives in a temp dir
+function cli(home, args, cwd = home) {
+  return promisify(execFile)(process.execPath, [BIN, ...args], {
+    cwd,
+    env: { ...process.env, HOME: home, NO_COLOR: '1' }
+  });
+}
+
+async function json(home, args, cwd) {
+  const { stdout } = await cli(home, [...args, '--json'], cwd);
+  return JSON.parse(stdout);
+}
+
+test('search, vsearch, query, collection and embed run on the SQLite index', async () => {
+  const home = tempDir();
+  const notes = writeFiles(path.join(home, 'notes'), {
+    'deploy.md': '# Deploys\n\nThe deploy runs on Friday.\n',
+    'garden.md': '# Garden\n\nTomatoes need sun.\n'
+  });
+  const dbPath = path.join(home, '.cache', 'opensearch', 'index.db');
+
+  const added = await cli(home, ['collection', 'add', notes, '--name', 'notes', '--mask', '**/*.md']);
+  assert.match(added.stdout, /Added collection "notes"/);
+  assert.ok(fs.existsSync(dbPath));
+  assert.match((await cli(home, ['collection', 'list'])).stdout, /notes: .* \(2 files\)/);
+
+  const text = await json(home, ['search', 'deploy']);
+  assert.equal(text.mode, 'text');
+  assert.deepEqual(text.results.map(result => path.basename(result.path)), ['deploy.md']);
+  assert.ok(text.results[0].chunkId);
+
+  // Vector search finds nothing until the chunks are embedded
+  assert.deepEqual((await json(home, ['vsearch', 'deploy'])).results, []);
+  await cli(home, ['embed', '--provider', 'hashing']);
+
+  const vector = await json(home, ['vsearch', 'deploy']);
+  assert.equal(vector.mode, 'vector');
+  assert.equal(path.basename(vector.results[0].path), 'deploy.md');
+
+  const hybrid = await json(home, ['query', 'deploy']);
+  assert.equal(hybrid.mode, 'hybrid');
+  assert.equal(path.basename(hybrid.results[0].path), 'deploy.md');
+
+  await cli(home, ['collection', 'remove', 'notes']);
+  assert.deepEqual((await json(home, ['search', 'deploy'])).results, []);
+});
+
+test('--engine grep searches the files directly, without an index', async () => {
+  const home = tempDir();
+  const workspace = writeFiles(path.join(home, 'ws'), {
+    'deploy.md': '# Deploys\n\nThe deploy runs on Friday.\n'
+  });
+
+  const result = await json(home, ['search', 'deploy', '--engine', 'grep'], workspace);
+  assert.equal(result.mode, undefined);
+  assert.deepEqual(result.results.map(match => match.path), ['deploy.md']);
+  assert.ok(!fs.existsSync(path.join(home, '.cache', 'opensearch', 'index.db')));
+});
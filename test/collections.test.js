@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { CollectionManager } from '../src/collections.js';
+import { tempDir, writeFiles, quietly } from './helpers.js';
+
+async function openManager() {
+  const manager = new CollectionManager(path.join(tempDir(), 'index.db'));
+  await manager.initialize();
+  return manager;
+}
+
+test('a file shared by two collections is one document in each', async () => {
+  const notes = writeFiles(tempDir(), { 'shared.md': '# Shared\n\nBoth collections see this.\n' });
+  const manager = await openManager();
+  try {
+    await quietly(async () => {
+      await manager.add('work', notes, '**/*.md');
+      await manager.add('home', notes, '**/*.md');
+      await manager.update();
+    });
+
+    const docs = await manager.db.all('SELECT id, collection FROM documents ORDER BY collection');
+    assert.deepEqual(docs.map(doc => doc.collection), ['home', 'work']);
+    assert.notEqual(docs[0].id, docs[1].id);
+    assert.ok(docs.every(doc => /^[0-9a-f]{16}$/.test(doc.id)));
+  } finally {
+    await manager.db.close();
+  }
+});
+
+test('document ids are stable per collection and path', () => {
+  const manager = new CollectionManager(path.join(tempDir(), 'index.db'));
+  const id = manager.generateDocumentId('notes', '/notes/a.md');
+
+  assert.equal(manager.generateDocumentId('notes', '/notes/a.md'), id);
+  assert.notEqual(manager.generateDocumentId('other', '/notes/a.md'), id);
+  assert.notEqual(manager.generateDocumentId('notes', '/notes/b.md'), id);
+});
+
+test('a file that fails to index rolls back alone and is reported', async () => {
+  const notes = writeFiles(tempDir(), {
+    'good.md': '# Good\n\nFine.\n',
+    'bad.md': '# Bad\n\nBreaks while its chunks are stored.\n'
+  });
+  const manager = await openManager();
+  const replaceChunks = manager.db.replaceChunks.bind(manager.db);
+  manager.db.replaceChunks = async (documentId, chunks, options) => {
+    if (chunks.some(chunk => chunk.content.includes('Breaks'))) {
+      throw new Error('disk full');
+    }
+    return replaceChunks(documentId, chunks, options);
+  };
+
+  try {
+    const added = await quietly(() => manager.add('notes', notes, '**/*.md'));
+
+    assert.deepEqual(added.failed, [{ path: path.join(notes, 'bad.md'), error: 'disk full' }]);
+    const docs = await manager.db.all('SELECT path FROM documents');
+    assert.deepEqual(docs.map(doc => path.basename(doc.path)), ['good.md'], 'the half-stored bad.md is rolled back');
+  } finally {
+    await manager.db.close();
+  }
+});
+
+test('collection add, update and watcher re-indexing skip ignored files', async () => {
+  const notes = writeFiles(tempDir(), {
+    '.gitignore': 'private/\n',
+    'a.md': '# A\n\nKept.\n',
+    'private/secret.md': '# Secret\n\nIgnored by the root .gitignore.\n',
+    'projects/.opensearchignore': 'scratch.md\n',
+    'projects/plan.md': '# Plan\n\nKept.\n',
+    'projects/scratch.md': '# Scratch\n\nIgnored by a nested ignore file.\n',
+    'drafts/wip.md': '# WIP\n\nIgnored by --exclude.\n',
+    'node_modules/pkg/readme.md': '# Package\n\nAlways ignored.\n'
+  });
+  const manager = await openManager();
+  const indexed = async () => (await manager.db.all('SELECT path FROM documents ORDER BY path'))
+    .map(doc => path.relative(notes, doc.path));
+
+  try {
+    await quietly(() => manager.add('notes', notes, '**/*.md', ['drafts/']));
+    assert.deepEqual(await indexed(), ['a.md', 'projects/plan.md']);
+
+    writeFiles(notes, { 'private/new.md': 'still ignored', 'projects/scratch.md': 'edited', 'b.md': '# B\n' });
+    await quietly(() => manager.update());
+    assert.deepEqual(await indexed(), ['a.md', 'b.md', 'projects/plan.md']);
+
+    // The paths a watcher hands over after a change
+    const collection = await manager.getCollection('notes');
+    const changed = ['private/new.md', 'projects/scratch.md', 'drafts/wip.md', 'node_modules/pkg/readme.md', 'c.md'];
+    writeFiles(notes, { 'c.md': '# C\n' });
+    assert.deepEqual(changed.filter(file => manager.matchesCollection(collection, path.join(notes, file))), ['c.md']);
+
+    const result = await quietly(() => manager.indexFiles('notes', changed.map(file => path.join(notes, file))));
+    assert.deepEqual({ indexed: result.indexed, removed: result.removed }, { indexed: 1, removed: 0 });
+    assert.deepEqual(await indexed(), ['a.md', 'b.md', 'c.md', 'projects/plan.md']);
+  } finally {
+    await manager.db.close();
+  }
+});
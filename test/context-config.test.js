@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadContextConfig, DEFAULT_CONTEXT_CONFIG, CONFIG_FILE } from '../src/context-config.js';
+import { ContextRetriever } from '../src/context.js';
+import { tempDir, writeFiles } from './helpers.js';
+
+function workspace(context, files = {}) {
+  return writeFiles(tempDir(), {
+    [CONFIG_FILE]: JSON.stringify({ context }),
+    'MEMORY.md': '# Memory\n\nThe deploy runs on Fridays.\n',
+    'papers/attention.md': '# Attention\n\nThe paper on transformers.\n',
+    'ME.md': '# Me\n\nname: Ada\n',
+    ...files
+  });
+}
+
+const CONTEXT = {
+  identityFiles: ['ME.md'],
+  contextFiles: ['MEMORY.md'],
+  limits: { search: 1500, total: 3000 },
+  tokenizer: 'chars',
+  profiles: {
+    research: { contextFiles: ['papers/*.md'], limits: { total: 8000 } },
+    typo: { contextFiles: ['paper/*.md'] }
+  }
+};
+
+test('without a config file the defaults apply, and a profile is an error', () => {
+  const dir = tempDir();
+
+  assert.deepEqual(loadContextConfig(dir), { ...DEFAULT_CONTEXT_CONFIG, profile: null });
+  assert.throws(() => loadContextConfig(dir, 'research'), /Profile "research" not found: .* has no context section/);
+});
+
+test('the config overrides the defaults, and a profile overrides the config', () => {
+  const dir = workspace(CONTEXT);
+
+  assert.deepEqual(loadContextConfig(dir), {
+    identityFiles: ['ME.md'],
+    contextFiles: ['MEMORY.md'],
+    limits: { identity: 1000, search: 1500, total: 3000 },
+    tokenizer: 'chars',
+    profile: null
+  });
+  // The profile replaces the file lists it names and merges its limits
+  assert.deepEqual(loadContextConfig(dir, 'research'), {
+    identityFiles: ['ME.md'],
+    contextFiles: ['papers/*.md'],
+    limits: { identity: 1000, search: 1500, total: 8000 },
+    tokenizer: 'chars',
+    profile: 'research'
+  });
+  // The defaults are left untouched
+  assert.deepEqual(DEFAULT_CONTEXT_CONFIG.limits, { identity: 1000, search: 2000, total: 4000 });
+});
+
+test('command-line options override the profile', async () => {
+  const dir = workspace(CONTEXT);
+
+  const profiled = new ContextRetriever(dir, { profile: 'research', cacheDir: tempDir() });
+  assert.equal(profiled.tokenizer.name, 'chars');
+  assert.equal(profiled.limits.total, 8000);
+  const result = await profiled.getContext('transformers', { includeIdentity: false });
+  assert.deepEqual(result.sources, ['papers/attention.md']);
+
+  const flagged = new ContextRetriever(dir, { profile: 'research', tokenizer: 'bpe', cacheDir: tempDir() });
+  assert.equal(flagged.tokenizer.name, 'bpe');
+  const capped = await flagged.getContext('transformers', { includeIdentity: false, maxTokens: 5 });
+  assert.deepEqual(capped.sources, []);
+  assert.ok(capped.tokenEstimate <= 5);
+});
+
+test('an unknown profile lists the available ones', () => {
+  const dir = workspace(CONTEXT);
+
+  assert.throws(() => loadContextConfig(dir, 'writing'), {
+    message: `Profile "writing" not found in ${CONFIG_FILE} (available: research, typo)`
+  });
+  assert.throws(() => new ContextRetriever(dir, { profile: 'writing' }), /Profile "writing" not found/);
+});
+
+test('a configured glob that matches no file is an error', () => {
+  const dir = workspace(CONTEXT);
+
+  assert.throws(() => loadContextConfig(dir, 'typo'), {
+    message: `${CONFIG_FILE}: contextFiles "paper/*.md" matches no files in ${dir}`
+  });
+  assert.throws(
+    () => loadContextConfig(workspace({ identityFiles: ['ME.md', 'SOUL.md', 'USER.md'] })),
+    /identityFiles "SOUL.md", "USER.md" match no files in /
+  );
+  // Default files may be missing
+  assert.deepEqual(loadContextConfig(workspace({ limits: { total: 100 } })).identityFiles, DEFAULT_CONTEXT_CONFIG.identityFiles);
+});
+
+test('invalid settings are reported with where they are', () => {
+  assert.throws(() => loadContextConfig(workspace({ limit: { total: 100 } })), /unknown setting "limit" in context/);
+  assert.throws(
+    () => loadContextConfig(workspace({ profiles: { big: { limits: { total: 0 } } } }), 'big'),
+    /context\.profiles\.big\.limits\.total must be a positive whole number of tokens/
+  );
+  assert.throws(() => loadContextConfig(workspace({ contextFiles: 'MEMORY.md' })), /context\.contextFiles must be a list/);
+  assert.throws(
+    () => loadContextConfig(writeFiles(tempDir(), { [CONFIG_FILE]: '{ "context": ' })),
+    new RegExp(`^Error: ${CONFIG_FILE.replace('.', '\\.')}: `)
+  );
+});
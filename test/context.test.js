@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ContextRetriever } from '../src/context.js';
+import { CollectionManager } from '../src/collections.js';
+import { SearchEngine } from '../src/search.js';
+import { tempDir, writeFiles, quietly } from './helpers.js';
+
+function retriever(workspace) {
+  return new ContextRetriever(workspace, { cacheDir: tempDir() });
+}
+
+test('ignored context files are neither searched nor counted', async () => {
+  const workspace = writeFiles(tempDir(), {
+    '.opensearchignore': 'memory/2025-01-01.md\n',
+    'MEMORY.md': '# Memory\n\nThe deploy runs on Fridays.\n',
+    'memory/2025-01-01.md': '# Private\n\nThe deploy password is hunter2.\n',
+    'memory/2025-01-02.md': '# Log\n\nMoved the deploy to Thursday.\n'
+  });
+  const context = retriever(workspace);
+
+  const files = context.listContextFiles().map(entry => entry.source);
+  assert.deepEqual(files, ['MEMORY.md', 'memory/2025-01-02.md']);
+
+  const result = await context.getContext('deploy', { includeIdentity: false });
+  assert.ok(!result.relevant.includes('hunter2'));
+  assert.ok(!result.sources.some(source => source.includes('2025-01-01')));
+
+  const corpus = await context.measureCorpus();
+  assert.ok(!corpus.has(path.join(workspace, 'memory/2025-01-01.md')));
+  assert.equal(result.savings.corpus.files, 2);
+});
+
+test('context greps each query term and ranks blocks by the terms they cover', async () => {
+  const workspace = writeFiles(tempDir(), {
+    'MEMORY.md': '# Memory\n\nThe discord bot posts at 9:00.\n',
+    'memory/2025-01-02.md': '# Log\n\nSet the discord bot timezone to Europe/Berlin.\n',
+    'memory/2025-01-03.md': '# Travel\n\nChanged the laptop timezone while travelling.\n',
+    'memory/2025-01-04.md': '# Staging\n\nThe staging discord reports in the UTC timezone.\n'
+  });
+  const context = retriever(workspace);
+  const scores = candidates => Object.fromEntries(candidates.map(candidate => [candidate.source, candidate.score]));
+
+  assert.deepEqual(scores(await context.findCandidates('discord timezone')), {
+    'memory/2025-01-02.md': 2,
+    'memory/2025-01-04.md': 2,
+    'MEMORY.md': 1.5,
+    'memory/2025-01-03.md': 1.5
+  });
+  assert.deepEqual(scores(await context.findCandidates('discord timezone -staging path:memory/')), {
+    'memory/2025-01-02.md': 2,
+    'memory/2025-01-03.md': 1.5
+  });
+
+  const result = await context.getContext('"discord timezone" OR "bot timezone"', { includeIdentity: false });
+  assert.deepEqual(result.sources, ['memory/2025-01-02.md']);
+});
+
+test('the corpus is only tokenized where it changed', async () => {
+  const dir = tempDir();
+  const workspace = writeFiles(path.join(dir, 'ws'), {
+    'MEMORY.md': '# Memory\n\nThe deploy runs on Fridays.\n',
+    'memory/2025-01-02.md': '# Log\n\nMoved the deploy to Thursday.\n'
+  });
+  const notes = writeFiles(path.join(dir, 'notes'), {
+    'a.md': '# A\n\nFirst note.\n',
+    'b.md': '# B\n\nSecond note.\n'
+  });
+  const dbPath = path.join(dir, 'index.db');
+  const manager = new CollectionManager(dbPath);
+  await quietly(() => manager.add('notes', notes, '**/*.md'));
+
+  const searchEngine = new SearchEngine(dbPath);
+  await searchEngine.initialize();
+  const cacheDir = tempDir();
+  const measure = async () => {
+    const context = new ContextRetriever(workspace, { cacheDir, searchEngine });
+    const counted = [];
+    const count = context.tokenizer.count;
+    context.tokenizer.count = text => {
+      counted.push(text.split('\n')[0]);
+      return count(text);
+    };
+    const corpus = await context.measureCorpus({ useIndex: true, collections: ['notes'] });
+    return { corpus, counted: counted.sort() };
+  };
+
+  try {
+    const first = await measure();
+    assert.deepEqual(first.counted, ['# A', '# B', '# Log', '# Memory']);
+    assert.equal(first.corpus.size, 4);
+
+    const second = await measure();
+    assert.deepEqual(second.counted, []);
+    assert.deepEqual(second.corpus, first.corpus);
+
+    fs.appendFileSync(path.join(workspace, 'MEMORY.md'), 'Releases are tagged on Mondays.\n');
+    fs.appendFileSync(path.join(notes, 'b.md'), 'More about the second note.\n');
+    await quietly(() => manager.update('notes'));
+
+    const third = await measure();
+    assert.deepEqual(third.counted, ['# B', '# Memory']);
+    assert.ok(third.corpus.get(path.join(notes, 'b.md')) > first.corpus.get(path.join(notes, 'b.md')));
+  } finally {
+    await searchEngine.close();
+    await manager.db.close();
+  }
+});
+
+test('--collection and --mode context packs index chunks, without the identity files', async () => {
+  const dir = tempDir();
+  const workspace = writeFiles(path.join(dir, 'ws'), {
+    'IDENTITY.md': '# Identity\n\nI deploy on Fridays.\n',
+    'MEMORY.md': '# Memory\n\nNotes for the team.\nThe deploy runs on Friday.\n',
+    'memory/2025-01-02.md': '# Staging\n\nThe staging deploy is manual.\n'
+  });
+  const garden = writeFiles(path.join(dir, 'garden'), {
+    'tomatoes.md': '# Tomatoes\n\nWater them before you deploy the sprinkler.\n'
+  });
+  const dbPath = path.join(dir, 'index.db');
+  const manager = new CollectionManager(dbPath);
+  await quietly(() => manager.add('ws', workspace, '**/*.md'));
+  await quietly(() => manager.add('garden', garden, '**/*.md'));
+  await manager.db.close();
+
+  const searchEngine = new SearchEngine(dbPath);
+  await searchEngine.initialize();
+  const context = new ContextRetriever(workspace, { cacheDir: tempDir(), searchEngine });
+
+  try {
+    // Only "deploy" and "friday" mark lines; not "or", "-staging" or "path:"
+    const candidates = await context.indexCandidates('deploy OR friday -staging path:MEMORY', { mode: 'text', collections: ['ws'] });
+    assert.deepEqual(candidates.map(candidate => candidate.source), ['ws/MEMORY.md']);
+    assert.deepEqual(
+      candidates[0].lines.filter(line => line.match).map(line => line.text),
+      ['The deploy runs on Friday.']
+    );
+
+    const result = await context.getContext('deploy -staging', { mode: 'text', collections: ['ws'] });
+    assert.deepEqual(result.sources, ['IDENTITY.md', 'ws/MEMORY.md']);
+    assert.equal(result.identity, '<!-- IDENTITY.md -->\n# Identity\n\nI deploy on Fridays.');
+    assert.ok(!result.relevant.includes('I deploy on Fridays'));
+    assert.match(result.relevant, /^4:The deploy runs on Friday\.$/m);
+    assert.match(result.relevant, /^3-Notes for the team\.$/m);
+
+    const everywhere = await context.getContext('deploy -staging', { mode: 'hybrid', includeIdentity: false });
+    assert.deepEqual(everywhere.sources.sort(), ['garden/tomatoes.md', 'ws/MEMORY.md']);
+
+    await assert.rejects(context.getContext('deploy', { collections: ['notes'] }), /Collection "notes" not found/);
+    await assert.rejects(context.getContext('deploy', { mode: 'fuzzy' }), /Unknown context mode "fuzzy"/);
+  } finally {
+    await searchEngine.close();
+  }
+});
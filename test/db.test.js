@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { DatabaseManager } from '../src/db.js';
+import { tempDir } from './helpers.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function openDb() {
+  const db = new DatabaseManager(path.join(tempDir(), 'index.db'));
+  await db.initialize();
+  return db;
+}
+
+test('nested transactions join the outer one', async () => {
+  const db = await openDb();
+  try {
+    await assert.rejects(db.transaction(async () => {
+      await db.setSetting('outer', 1);
+      await db.transaction(() => db.setSetting('inner', 2));
+      throw new Error('roll back both');
+    }), /roll back both/);
+
+    assert.equal(await db.getSetting('outer'), null);
+    assert.equal(await db.getSetting('inner'), null);
+  } finally {
+    await db.close();
+  }
+});
+
+test('overlapping transactions run one after the other', async () => {
+  const db = await openDb();
+  const order = [];
+  try {
+    const failing = db.transaction(async () => {
+      order.push('a:start');
+      await db.setSetting('a', 1);
+      await delay(20);
+      order.push('a:end');
+      throw new Error('a fails');
+    });
+    const succeeding = db.transaction(async () => {
+      order.push('b:start');
+      await db.setSetting('b', 2);
+      order.push('b:end');
+    });
+
+    await assert.rejects(failing, /a fails/);
+    await succeeding;
+
+    assert.deepEqual(order, ['a:start', 'a:end', 'b:start', 'b:end']);
+    assert.equal(await db.getSetting('a'), null);
+    assert.equal(await db.getSetting('b'), 2);
+  } finally {
+    await db.close();
+  }
+});
+
+test('a second connection waits for the first one to commit', async () => {
+  const dbPath = path.join(tempDir(), 'index.db');
+  const first = new DatabaseManager(dbPath);
+  const second = new DatabaseManager(dbPath);
+  await first.initialize();
+  await second.initialize();
+  const order = [];
+  try {
+    let locked;
+    const holding = new Promise(resolve => { locked = resolve; });
+    const writer = first.transaction(async () => {
+      await first.setSetting('first', 1);
+      locked();
+      // Longer than the sqlite3 driver's own one-second busy timeout
+      await delay(1500);
+      order.push('first:commit');
+    });
+
+    await holding;
+    await second.transaction(async () => {
+      order.push('second:begin');
+      await second.setSetting('second', 2);
+    });
+    await writer;
+
+    assert.deepEqual(order, ['first:commit', 'second:begin']);
+    assert.equal(await second.getSetting('first'), 1);
+    assert.equal(await first.getSetting('second'), 2);
+  } finally {
+    await first.close();
+    await second.close();
+  }
+});
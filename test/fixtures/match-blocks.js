@@ -0,0 +1,115 @@
+/**
+ * Captured search tool output for the parser and scanner tests
+ *
+ * FILES were searched from their common root, by default for "deploy" with
+ * one line of context, case-insensitively. The file names contain ":" and "-"
+ * so that a parser splitting on them would misread the path or the line number.
+ */
+
+export const FILES = {
+  'memory/2026-01-01.md': '# Jan 1\nDeploy moved to Friday.\nnothing here\nstill nothing\nmore filler\nagain filler\nDeploy rolled back.\nlast line\n',
+  'notes:work.md': 'intro\ndeploy: step one\n-- not a separator\ndeploy: step two\n5-looks like context\n',
+  'log-2:3-x.md': 'deploy at 10:30\n',
+  'lang.md': 'C++ and c++ differ only in case\nCxx is not it\nuse C# as well\n'
+};
+
+// grep -C 1 -i -n --with-filename --null -r -F -e deploy -- <FILES>
+export const GREP_OUTPUT = [
+  'memory/2026-01-01.md\u00001-# Jan 1',
+  'memory/2026-01-01.md\u00002:Deploy moved to Friday.',
+  'memory/2026-01-01.md\u00003-nothing here',
+  '--',
+  'memory/2026-01-01.md\u00006-again filler',
+  'memory/2026-01-01.md\u00007:Deploy rolled back.',
+  'memory/2026-01-01.md\u00008-last line',
+  '--',
+  'notes:work.md\u00001-intro',
+  'notes:work.md\u00002:deploy: step one',
+  'notes:work.md\u00003--- not a separator',
+  'notes:work.md\u00004:deploy: step two',
+  'notes:work.md\u00005-5-looks like context',
+  '--',
+  'log-2:3-x.md\u00001:deploy at 10:30'
+].join('\n') + '\n';
+
+// rg -C 1 -i --json -F -e deploy -- <FILES>
+export const RG_OUTPUT = [
+  '{"type":"begin","data":{"path":{"text":"memory/2026-01-01.md"}}}',
+  '{"type":"context","data":{"path":{"text":"memory/2026-01-01.md"},"lines":{"text":"# Jan 1\\n"},"line_number":1,"absolute_offset":0,"submatches":[]}}',
+  '{"type":"match","data":{"path":{"text":"memory/2026-01-01.md"},"lines":{"text":"Deploy moved to Friday.\\n"},"line_number":2,"absolute_offset":8,"submatches":[{"match":{"text":"Deploy"},"start":0,"end":6}]}}',
+  '{"type":"context","data":{"path":{"text":"memory/2026-01-01.md"},"lines":{"text":"nothing here\\n"},"line_number":3,"absolute_offset":32,"submatches":[]}}',
+  '{"type":"context","data":{"path":{"text":"memory/2026-01-01.md"},"lines":{"text":"again filler\\n"},"line_number":6,"absolute_offset":71,"submatches":[]}}',
+  '{"type":"match","data":{"path":{"text":"memory/2026-01-01.md"},"lines":{"text":"Deploy rolled back.\\n"},"line_number":7,"absolute_offset":84,"submatches":[{"match":{"text":"Deploy"},"start":0,"end":6}]}}',
+  '{"type":"context","data":{"path":{"text":"memory/2026-01-01.md"},"lines":{"text":"last line\\n"},"line_number":8,"absolute_offset":104,"submatches":[]}}',
+  '{"type":"end","data":{"path":{"text":"memory/2026-01-01.md"},"binary_offset":null,"stats":{"elapsed":{"secs":0,"nanos":41000,"human":"0.000041s"},"searches":1,"searches_with_match":1,"bytes_searched":114,"bytes_printed":0,"matched_lines":2,"matches":2}}}',
+  '{"type":"begin","data":{"path":{"text":"notes:work.md"}}}',
+  '{"type":"context","data":{"path":{"text":"notes:work.md"},"lines":{"text":"intro\\n"},"line_number":1,"absolute_offset":0,"submatches":[]}}',
+  '{"type":"match","data":{"path":{"text":"notes:work.md"},"lines":{"text":"deploy: step one\\n"},"line_number":2,"absolute_offset":6,"submatches":[{"match":{"text":"deploy"},"start":0,"end":6}]}}',
+  '{"type":"context","data":{"path":{"text":"notes:work.md"},"lines":{"text":"-- not a separator\\n"},"line_number":3,"absolute_offset":23,"submatches":[]}}',
+  '{"type":"match","data":{"path":{"text":"notes:work.md"},"lines":{"text":"deploy: step two\\n"},"line_number":4,"absolute_offset":42,"submatches":[{"match":{"text":"deploy"},"start":0,"end":6}]}}',
+  '{"type":"context","data":{"path":{"text":"notes:work.md"},"lines":{"text":"5-looks like context\\n"},"line_number":5,"absolute_offset":59,"submatches":[]}}',
+  '{"type":"end","data":{"path":{"text":"notes:work.md"},"binary_offset":null,"stats":{"elapsed":{"secs":0,"nanos":41000,"human":"0.000041s"},"searches":1,"searches_with_match":1,"bytes_searched":80,"bytes_printed":0,"matched_lines":2,"matches":2}}}',
+  '{"type":"begin","data":{"path":{"text":"log-2:3-x.md"}}}',
+  '{"type":"match","data":{"path":{"text":"log-2:3-x.md"},"lines":{"text":"deploy at 10:30\\n"},"line_number":1,"absolute_offset":0,"submatches":[{"match":{"text":"deploy"},"start":0,"end":6}]}}',
+  '{"type":"end","data":{"path":{"text":"log-2:3-x.md"},"binary_offset":null,"stats":{"elapsed":{"secs":0,"nanos":41000,"human":"0.000041s"},"searches":1,"searches_with_match":1,"bytes_searched":16,"bytes_printed":0,"matched_lines":1,"matches":1}}}',
+  '{"type":"summary","data":{"elapsed_total":{"human":"0.001802s","nanos":1802000,"secs":0},"stats":{"bytes_printed":0,"bytes_searched":0,"elapsed":{"human":"0.000155s","nanos":155000,"secs":0},"matched_lines":5,"matches":5,"searches":3,"searches_with_match":3}}}'
+].join('\n') + '\n';
+
+const line = (number, text, match = false) => ({ number, text, match });
+
+// The match blocks both outputs describe
+export const BLOCKS = [
+  {
+    file: 'memory/2026-01-01.md',
+    lines: [line(1, '# Jan 1'), line(2, 'Deploy moved to Friday.', true), line(3, 'nothing here')]
+  },
+  {
+    file: 'memory/2026-01-01.md',
+    lines: [line(6, 'again filler'), line(7, 'Deploy rolled back.', true), line(8, 'last line')]
+  },
+  {
+    file: 'notes:work.md',
+    lines: [
+      line(1, 'intro'),
+      line(2, 'deploy: step one', true),
+      line(3, '-- not a separator'),
+      line(4, 'deploy: step two', true),
+      line(5, '5-looks like context')
+    ]
+  },
+  {
+    file: 'log-2:3-x.md',
+    lines: [line(1, 'deploy at 10:30', true)]
+  }
+];
+
+// grep output for other options, keyed by the searchFiles() call that runs it
+export const GREP_CASES = [
+  {
+    // -C 2 -F -e Deploy: case-sensitive, and the two groups' context touches
+    query: 'Deploy',
+    options: { contextLines: 2, caseSensitive: true },
+    output: [
+      'memory/2026-01-01.md\u00001-# Jan 1',
+      'memory/2026-01-01.md\u00002:Deploy moved to Friday.',
+      'memory/2026-01-01.md\u00003-nothing here',
+      'memory/2026-01-01.md\u00004-still nothing',
+      'memory/2026-01-01.md\u00005-more filler',
+      'memory/2026-01-01.md\u00006-again filler',
+      'memory/2026-01-01.md\u00007:Deploy rolled back.',
+      'memory/2026-01-01.md\u00008-last line'
+    ].join('\n') + '\n'
+  },
+  {
+    // -C 0 -i -F -e C++
+    query: 'C++',
+    options: { contextLines: 0 },
+    output: 'lang.md\u00001:C++ and c++ differ only in case\n'
+  },
+  {
+    // -C 0 -i -E -e 'c\+\+|c#'
+    query: 'c\\+\\+|c#',
+    options: { contextLines: 0, regex: true },
+    output: 'lang.md\u00001:C++ and c++ differ only in case\n--\nlang.md\u00003:use C# as well\n'
+  }
+];
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveFusion, fuseResults, DEFAULT_FUSION } from '../src/fusion.js';
+
+const results = (...entries) => entries.map(([chunkId, score]) => ({ chunkId, score }));
+const fused = (list) => list.map(result => [result.chunkId, Number(result.score.toFixed(6))]);
+const PLAIN = { textWeight: 1, vectorWeight: 1, bothBoost: 1, topBoost: 1 };
+
+test('resolveFusion layers settings over the defaults and validates them', () => {
+  assert.deepEqual(resolveFusion(), DEFAULT_FUSION);
+  assert.deepEqual(
+    resolveFusion({ method: 'weighted', textWeight: 3 }, { textWeight: '0.5', k: undefined, topBoost: null }),
+    { ...DEFAULT_FUSION, method: 'weighted', textWeight: 0.5 }
+  );
+
+  assert.throws(() => resolveFusion({ method: 'borda' }), /Unknown fusion method "borda"/);
+  assert.throws(() => resolveFusion({ k: -1 }), /k must be a non-negative number/);
+  assert.throws(() => resolveFusion({ vectorWeight: 'heavy' }), /vectorWeight must be a non-negative number/);
+  assert.throws(() => resolveFusion({ textWeight: 0, vectorWeight: 0 }), /text or vector weight above 0/);
+});
+
+test('rrf sums weight / (k + rank) and divides by the best possible score', () => {
+  const fusion = resolveFusion({ method: 'rrf', k: 0, ...PLAIN });
+  // a: 1/1 = 1; b: 1/2 + 1/1 = 1.5; c: 1/2; best possible 2
+  assert.deepEqual(fused(fuseResults(results(['a', 9], ['b', 5]), results(['b', 0.9], ['c', 0.8]), fusion)), [
+    ['b', 0.75],
+    ['a', 0.5],
+    ['c', 0.25]
+  ]);
+
+  // First in both lists is exactly 1 with the default settings
+  const top = fuseResults(results(['a', 9], ['b', 5]), results(['a', 0.9]), resolveFusion());
+  assert.ok(Math.abs(top[0].score - 1) < 1e-12);
+  // b: text weight 2 at rank 2 of k=60
+  assert.ok(Math.abs(top[1].score - (2 / 62) / ((3 / 61) * 1.2 * 1.1)) < 1e-12);
+});
+
+test('weighted and combmnz min-max normalise each list before summing', () => {
+  const text = results(['a', 10], ['b', 6], ['c', 2]);
+  const vector = results(['c', 0.9], ['a', 0.7], ['d', 0.5]);
+
+  // Normalised text a 1, b 0.5, c 0; vector c 1, a 0.5, d 0; best possible 2
+  assert.deepEqual(fused(fuseResults(text, vector, resolveFusion({ method: 'weighted', ...PLAIN }))), [
+    ['a', 0.75],
+    ['c', 0.5],
+    ['b', 0.25],
+    ['d', 0]
+  ]);
+  // Multiplied by the number of lists that found it; best possible 4
+  assert.deepEqual(fused(fuseResults(text, vector, resolveFusion({ method: 'combmnz', ...PLAIN }))), [
+    ['a', 0.75],
+    ['c', 0.5],
+    ['b', 0.125],
+    ['d', 0]
+  ]);
+  // A list whose scores are all equal counts as fully relevant
+  assert.deepEqual(
+    fused(fuseResults(results(['a', 3], ['b', 3]), [], resolveFusion({ method: 'weighted', ...PLAIN }))),
+    [['a', 0.5], ['b', 0.5]]
+  );
+});
+
+test('boosts reward chunks found by both searches or ranked first', () => {
+  const fusion = resolveFusion({ method: 'rrf', k: 0, textWeight: 1, vectorWeight: 1, bothBoost: 1.5, topBoost: 2 });
+  // Best possible 1 * 2 * 1.5 * 2 = 6; a: 1 * 2; b: 1.5 * 1.5 * 2; c: 0.5
+  assert.deepEqual(fused(fuseResults(results(['a', 9], ['b', 5]), results(['b', 0.9], ['c', 0.8]), fusion)), [
+    ['b', 0.75],
+    ['a', 0.333333],
+    ['c', 0.083333]
+  ]);
+});
+
+test('ties keep text results ahead, in their text order', () => {
+  const fusion = resolveFusion({ method: 'rrf', k: 0, ...PLAIN });
+
+  assert.deepEqual(fused(fuseResults(results(['a', 2], ['b', 1]), results(['c', 2], ['d', 1]), fusion)), [
+    ['a', 0.5],
+    ['c', 0.5],
+    ['b', 0.25],
+    ['d', 0.25]
+  ]);
+});
+
+test('explain reports each chunk\'s ranks, raw scores and contributions', () => {
+  const fusion = resolveFusion({ method: 'rrf', k: 0, ...PLAIN, bothBoost: 1.5 });
+  const text = [{ chunkId: 'a', score: 9, explain: { bm25: { score: -9 } } }];
+  const vector = [{ chunkId: 'b', score: 0.8 }, { chunkId: 'a', score: 0.7, explain: { vector: { score: 0.7 } } }];
+  const [a] = fuseResults(text, vector, fusion, { explain: true });
+
+  assert.deepEqual(a.explain, {
+    bm25: { score: -9 },
+    vector: { score: 0.7 },
+    fusion: {
+      method: 'rrf',
+      textRank: 1,
+      vectorRank: 2,
+      textScore: 9,
+      vectorScore: 0.7,
+      textContribution: 1,
+      vectorContribution: 0.5,
+      boost: 1.5
+    }
+  });
+  assert.equal(fuseResults(text, vector, fusion)[0].explain.fusion, undefined);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { searchFiles, grepTool, parseRgJson, parseGrepOutput } from '../src/grep.js';
+import { tempDir, writeFiles } from './helpers.js';
+import { FILES, GREP_OUTPUT, RG_OUTPUT, BLOCKS } from './fixtures/match-blocks.js';
+
+const skip = !grepTool() && 'needs rg or grep';
+
+// Matched line texts, per engine
+async function matchedLines(query, files, options = {}) {
+  const blocks = await searchFiles(query, files, { contextLines: 0, ...options });
+  return blocks.flatMap(block => block.lines.filter(line => line.match).map(line => line.text));
+}
+
+test('shell syntax in a query is searched for, never run', { skip }, async () => {
+  const dir = tempDir();
+  const marker = path.join(dir, 'pwned');
+  const queries = [
+    `$(touch ${marker})`,
+    `\`touch ${marker}\``,
+    `notes; touch ${marker}`,
+    `"double" and 'single' quotes`,
+    `a | touch ${marker} && echo >${marker}`
+  ];
+  const notes = writeFiles(dir, { 'notes.md': [...queries, 'an unrelated line'].join('\n') + '\n' });
+  const file = path.join(notes, 'notes.md');
+
+  for (const engine of ['grep', 'js']) {
+    for (const query of queries) {
+      assert.deepEqual(await matchedLines(query, [file], { engine }), [query], `${engine}: ${query}`);
+    }
+    // Several queries at once are still separate literal patterns
+    assert.deepEqual(await matchedLines(queries.slice(0, 2), [file], { engine }), queries.slice(0, 2));
+  }
+  assert.equal(fs.existsSync(marker), false);
+});
+
+test('regex metacharacters are literal unless regex is set', { skip }, async () => {
+  const file = path.join(writeFiles(tempDir(), { 'a.md': 'c++ (bot)\ncxx bot\n[link]\n' }), 'a.md');
+
+  for (const engine of ['grep', 'js']) {
+    assert.deepEqual(await matchedLines('c++ (bot', [file], { engine }), ['c++ (bot)'], engine);
+    assert.deepEqual(await matchedLines('[link]', [file], { engine }), ['[link]'], engine);
+    assert.deepEqual(await matchedLines('c.. \\(?bot', [file], { engine, regex: true }), ['c++ (bot)', 'cxx bot'], engine);
+  }
+});
+
+test('a query starting with "-" is a pattern, not an option', { skip }, async () => {
+  const file = path.join(writeFiles(tempDir(), {
+    'a.md': '-v marks a verbose run\n--help prints usage\nplain line\n'
+  }), 'a.md');
+
+  for (const engine of ['grep', 'js']) {
+    assert.deepEqual(await matchedLines('-v', [file], { engine }), ['-v marks a verbose run'], engine);
+    assert.deepEqual(await matchedLines('--help', [file], { engine }), ['--help prints usage'], engine);
+    assert.deepEqual(await matchedLines(['-v', '--help'], [file], { engine }), ['-v marks a verbose run', '--help prints usage']);
+  }
+});
+
+test('a file name starting with "-" is a path, not an option', { skip }, async () => {
+  const dir = writeFiles(tempDir(), { '-n.md': 'found it\n' });
+  const blocks = await searchFiles('found', [path.join(dir, '-n.md')], { contextLines: 0 });
+
+  assert.deepEqual(blocks, [{ file: path.join(dir, '-n.md'), lines: [{ number: 1, text: 'found it', match: true }] }]);
+});
+
+test('no matches is an empty result, but a tool error is thrown', { skip }, async () => {
+  const file = path.join(writeFiles(tempDir(), { 'a.md': 'text\n' }), 'a.md');
+  const tool = grepTool();
+
+  assert.deepEqual(await searchFiles('absent', [file]), []);
+  // Exit status 2: a missing file, or an invalid regular expression
+  await assert.rejects(searchFiles('text', [file, path.join(tempDir(), 'missing.md')]), new RegExp(`^Error: ${tool} failed: .*missing\\.md`));
+  await assert.rejects(searchFiles('(unclosed', [file], { regex: true }), new RegExp(`^Error: ${tool} failed: `));
+});
+
+test('grep --null output parses into blocks split at "--" separators', () => {
+  assert.deepEqual(parseGrepOutput(GREP_OUTPUT), BLOCKS);
+  assert.deepEqual(parseGrepOutput(''), []);
+});
+
+test('rg --json output parses into the same blocks', () => {
+  assert.deepEqual(parseRgJson(RG_OUTPUT), BLOCKS);
+  assert.deepEqual(parseRgJson(''), []);
+});
+
+test('rg lines and paths that are not UTF-8 arrive as base64 bytes', () => {
+  const event = {
+    type: 'match',
+    data: {
+      path: { bytes: Buffer.from('caf\xe9.md', 'latin1').toString('base64') },
+      lines: { bytes: Buffer.from('deploy \xff\r\n', 'latin1').toString('base64') },
+      line_number: 4,
+      absolute_offset: 0,
+      submatches: []
+    }
+  };
+
+  assert.deepEqual(parseRgJson(JSON.stringify(event)), [
+    { file: 'caf\ufffd.md', lines: [{ number: 4, text: 'deploy \ufffd', match: true }] }
+  ]);
+});
+
+test('adjacent lines of one file merge into a block, lines of another file do not', () => {
+  const output = [
+    'a.md\u00001:deploy one',
+    'a.md\u00002:deploy two',
+    'b.md\u00003:deploy three',
+    'a.md\u00004-after'
+  ].join('\n');
+
+  assert.deepEqual(parseGrepOutput(output).map(block => [block.file, block.lines.map(line => line.number)]), [
+    ['a.md', [1, 2]],
+    ['b.md', [3]],
+    ['a.md', [4]]
+  ]);
+});
+
+test('the grep tool produces the captured blocks for the fixture files', { skip }, async () => {
+  const dir = writeFiles(tempDir(), FILES);
+  const files = Object.keys(FILES).map(name => path.join(dir, name));
+  const blocks = await searchFiles('deploy', files, { contextLines: 1 });
+
+  assert.deepEqual(blocks.map(block => ({ ...block, file: path.relative(dir, block.file) })), BLOCKS);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { HashingEmbeddingProvider } from '../src/hashing-embeddings.js';
+import { CollectionManager } from '../src/collections.js';
+import { SearchEngine } from '../src/search.js';
+import { normalize } from '../src/vectors.js';
+import { tempDir, writeFiles, quietly } from './helpers.js';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+const magnitude = vector => Math.sqrt(cosine(vector, vector));
+
+test('the same text always gets the same vector', async () => {
+  const first = new HashingEmbeddingProvider();
+  const second = new HashingEmbeddingProvider();
+
+  const vector = await first.embed('The deploy runs on Fridays.');
+  await second.embed('Something else entirely, embedded first.');
+  assert.deepEqual(await second.embed('The deploy runs on Fridays.'), vector);
+  assert.deepEqual(await first.embedBatch(['The deploy runs on Fridays.']), [vector]);
+  assert.equal(vector.length, 384);
+  assert.equal(new HashingEmbeddingProvider({ dimensions: 64 }).model, 'hashing-64-v1');
+});
+
+test('vectors are unit length, and text without words is the zero vector', async () => {
+  const provider = new HashingEmbeddingProvider({ dimensions: 64 });
+
+  for (const text of ['one', 'Deploying deployments deploys', 'a much longer sentence about gardens and tomatoes']) {
+    assert.ok(Math.abs(magnitude(await provider.embed(text)) - 1) < 1e-9);
+  }
+  assert.deepEqual(await provider.embed('  ... !! '), new Array(64).fill(0));
+});
+
+test('related wordings land closer than unrelated text', async () => {
+  const provider = new HashingEmbeddingProvider();
+  const query = await provider.embed('deploying the bot');
+
+  const related = cosine(query, await provider.embed('The bot deploys every Friday'));
+  const unrelated = cosine(query, await provider.embed('Tomatoes need plenty of sun'));
+  assert.ok(related > unrelated, `${related} <= ${unrelated}`);
+});
+
+test('corpus IDF weights rare terms above common ones', async () => {
+  const provider = new HashingEmbeddingProvider();
+  const { documents, df } = provider.countFeatures(['note about deploy', 'note about garden', 'note on deploy']);
+  assert.equal(documents, 3);
+  assert.equal(df.get('u:note'), 3);
+  assert.equal(df.get('u:deploi'), 2);
+  assert.equal(df.get('b:note_about'), 2);
+
+  const lookups = [];
+  provider.useCorpusStats({
+    documents: 100,
+    lookup: async features => {
+      lookups.push(...features);
+      return new Map([['u:note', 100], ['u:garden', 1]]);
+    }
+  });
+
+  const both = await provider.embed('note garden');
+  assert.ok(lookups.includes('u:note') && lookups.includes('b:note_garden'));
+  assert.ok(cosine(both, await provider.embed('garden')) > cosine(both, await provider.embed('note')));
+
+  // Without stats the two words weigh the same
+  const plain = new HashingEmbeddingProvider();
+  const even = await plain.embed('note garden');
+  const gap = cosine(even, await plain.embed('garden')) - cosine(even, await plain.embed('note'));
+  assert.ok(Math.abs(gap) < 0.1);
+});
+
+test('embedding the index stores chunk document frequencies in term_stats', async () => {
+  const dir = tempDir();
+  const notes = writeFiles(path.join(dir, 'notes'), {
+    'a.md': '# Bot\n\nThe bot deploys.\n',
+    'b.md': '# Garden\n\nThe bot waters tomatoes.\n'
+  });
+  const dbPath = path.join(dir, 'index.db');
+  const manager = new CollectionManager(dbPath);
+  await quietly(() => manager.add('notes', notes, '**/*.md'));
+  await manager.db.close();
+
+  const engine = new SearchEngine(dbPath, { embedding: { provider: 'hashing' } });
+  await engine.initialize();
+  try {
+    await quietly(() => engine.generateEmbeddings());
+
+    assert.equal((await engine.db.getSetting('term_stats')).documents, 2);
+    const df = await engine.db.getTermFrequencies(['u:bot', 'u:tomato', 'u:missing']);
+    assert.equal(df.get('u:bot'), 2);
+    assert.equal(df.get('u:tomato'), 1);
+    assert.equal(df.has('u:missing'), false);
+  } finally {
+    await engine.db.close();
+  }
+});
+
+test('normalize scales to unit length and leaves zero vectors alone', () => {
+  assert.deepEqual(normalize([3, 4]), [0.6, 0.8]);
+  assert.deepEqual(normalize([0, 0]), [0, 0]);
+  assert.ok(normalize(Float32Array.from([1, 1])) instanceof Float32Array);
+});
@@ -0,0 +1,87 @@
+/**
+ * Fixtures shared by the test suites
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+import { CollectionManager } from '../src/collections.js';
+import { SearchEngine } from '../src/search.js';
+import { encodeVector } from '../src/vectors.js';
+
+const created = [];
+
+after(() => {
+  for (const dir of created) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// A fresh directory under the system temp dir, removed when the run ends
+export function tempDir(prefix = 'opensearch-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  created.push(dir);
+  return dir;
+}
+
+// Write { 'relative/path.md': content } below `dir`
+export function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+  return dir;
+}
+
+// Run `fn` with the indexer's console messages silenced. Its progress dots go
+// to process.stdout, which the test reporter shares, so they are left alone.
+export async function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+// An index with one chunk per given vector, stored as embedded by `model`.
+// Chunks are returned in vector order.
+export async function vectorIndex(vectors, model = { model: 'synthetic', dimensions: vectors[0].length }) {
+  const dir = tempDir();
+  const body = vectors.map((_, i) => `# Section ${i}\n\nPoint ${i}.\n`).join('\n');
+  const notes = writeFiles(path.join(dir, 'notes'), { 'points.md': body });
+  const dbPath = path.join(dir, 'index.db');
+
+  const manager = new CollectionManager(dbPath);
+  await quietly(() => manager.add('notes', notes, '**/*.md'));
+  await manager.db.close();
+
+  const engine = new SearchEngine(dbPath);
+  await engine.initialize();
+  const chunks = await engine.db.all('SELECT id FROM chunks ORDER BY start_line');
+  await storeVectors(engine, chunks.map((chunk, i) => [chunk.id, vectors[i]]), model);
+  await engine.db.setSetting('embedding', model);
+  return { engine, chunks };
+}
+
+// Write [chunkId, vector] rows to the embeddings table
+export async function storeVectors(engine, rows, { model, dimensions }) {
+  await engine.db.transaction(async () => {
+    for (const [chunkId, vector] of rows) {
+      await engine.db.run(
+        'INSERT OR REPLACE INTO embeddings (chunk_id, embedding, model, dimensions) VALUES (?, ?, ?, ?)',
+        [chunkId, encodeVector(vector), model, dimensions]
+      );
+    }
+  });
+}
+
+// Make `engine` embed every query as `vector`, under the given model name
+export function useQueryVector(engine, vector, model = { model: 'synthetic', dimensions: vector.length }) {
+  engine.embeddings = { ...model, usesCorpusStats: false, initialize: async () => {}, embed: async () => vector };
+}
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import { HttpEmbeddingProvider } from '../src/http-embeddings.js';
+import { CollectionManager } from '../src/collections.js';
+import { SearchEngine } from '../src/search.js';
+import { tempDir, writeFiles, quietly } from './helpers.js';
+
+// A stub embedding server; `handler(body, request)` returns { status, body }
+// or a plain JSON body, and every parsed request body is kept in `requests`
+async function stubServer(handler) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let raw = '';
+    request.on('data', chunk => { raw += chunk; });
+    request.on('end', async () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push({ path: request.url, body, headers: request.headers });
+      const reply = await handler(body, request, requests.length);
+      if (reply === null) return; // never answer
+      const { status = 200, body: payload = reply } = reply.status ? reply : {};
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = endpoint => `http://127.0.0.1:${server.address().port}${endpoint}`;
+  return {
+    url,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+const vectorFor = text => [text.length, 1, 0];
+
+test('openai format: batched input, results put back in index order', async () => {
+  const server = await stubServer(body => ({
+    data: body.input.map((text, index) => ({ index, embedding: vectorFor(text) })).reverse()
+  }));
+  try {
+    const provider = new HttpEmbeddingProvider({ url: server.url('/v1/embeddings'), model: 'mini', batchSize: 2 });
+    const vectors = await provider.embedBatch(['a', 'bb', 'ccc']);
+
+    assert.deepEqual(vectors, [[1, 1, 0], [2, 1, 0], [3, 1, 0]]);
+    assert.equal(provider.api, 'openai');
+    assert.equal(provider.dimensions, 3);
+    // The probe, then two batches of at most two texts
+    assert.deepEqual(server.requests.map(request => request.body.input), [['dimension probe'], ['a', 'bb'], ['ccc']]);
+    assert.ok(server.requests.every(request => request.path === '/v1/embeddings' && request.body.model === 'mini'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('ollama /api/embed format', async () => {
+  const server = await stubServer(body => ({ embeddings: body.input.map(vectorFor) }));
+  try {
+    const provider = new HttpEmbeddingProvider({ url: server.url('/api/embed'), model: 'nomic-embed-text' });
+    assert.deepEqual(await provider.embedBatch(['a', 'bb']), [[1, 1, 0], [2, 1, 0]]);
+    assert.equal(provider.api, 'ollama');
+    assert.deepEqual(server.requests.at(-1).body, { model: 'nomic-embed-text', input: ['a', 'bb'] });
+  } finally {
+    await server.close();
+  }
+});
+
+test('legacy ollama /api/embeddings format sends one prompt per request', async () => {
+  const server = await stubServer(body => ({ embedding: vectorFor(body.prompt) }));
+  try {
+    const provider = new HttpEmbeddingProvider({ url: server.url('/api/embeddings'), model: 'nomic-embed-text' });
+    assert.deepEqual(await provider.embedBatch(['a', 'bb']), [[1, 1, 0], [2, 1, 0]]);
+    assert.equal(provider.api, 'ollama-legacy');
+    assert.deepEqual(server.requests.slice(1).map(request => request.body), [
+      { model: 'nomic-embed-text', prompt: 'a' },
+      { model: 'nomic-embed-text', prompt: 'bb' }
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a 503 is retried', async () => {
+  const server = await stubServer((body, request, count) => (
+    count === 1 ? { status: 503, body: 'loading model' } : { embeddings: body.input.map(vectorFor) }
+  ));
+  try {
+    const provider = new HttpEmbeddingProvider({ url: server.url('/api/embed'), model: 'm', retries: 1 });
+    assert.deepEqual(await provider.embed('abc'), [3, 1, 0]);
+    assert.equal(server.requests.length, 3, 'failed probe, retried probe, then the text');
+  } finally {
+    await server.close();
+  }
+});
+
+test('a 400 is not retried and reports the server message', async () => {
+  const server = await stubServer(() => ({ status: 400, body: 'model "m" not found' }));
+  try {
+    const provider = new HttpEmbeddingProvider({ url: server.url('/api/embed'), model: 'm', retries: 3 });
+    await assert.rejects(provider.initialize(), /returned HTTP 400: model "m" not found/);
+    assert.equal(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('--timeout aborts a request the server never answers', async () => {
+  const server = await stubServer(() => null);
+  try {
+    const provider = new HttpEmbeddingProvider({ url: server.url('/api/embed'), model: 'm', timeout: 100, retries: 0 });
+    await assert.rejects(provider.initialize(), /unreachable \(timed out after 100ms\)/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('an unreachable endpoint names the URL and suggests starting the server', async () => {
+  const server = await stubServer(() => ({}));
+  const url = server.url('/api/embed');
+  await server.close();
+
+  const provider = new HttpEmbeddingProvider({ url, model: 'm', retries: 0 });
+  await assert.rejects(
+    provider.initialize(),
+    error => error.message === `Embedding endpoint ${url} is unreachable (ECONNREFUSED). Is the embedding server running?`
+  );
+});
+
+test('embedding stops with an error when the endpoint fails mid-run', async () => {
+  const dir = tempDir();
+  const notes = writeFiles(path.join(dir, 'notes'), {
+    'a.md': '# A\n\nFirst note.\n',
+    'b.md': '# B\n\nSecond note.\n'
+  });
+  const dbPath = path.join(dir, 'index.db');
+  const manager = new CollectionManager(dbPath);
+  await quietly(() => manager.add('notes', notes, '**/*.md'));
+  await manager.db.close();
+
+  // The probe and the first batch succeed, then the server breaks
+  const server = await stubServer((body, request, count) => (
+    count <= 2 ? { embeddings: body.input.map(vectorFor) } : { status: 400, body: 'out of memory' }
+  ));
+  const engine = new SearchEngine(dbPath, {
+    embedding: { provider: 'http', url: server.url('/api/embed'), model: 'm', retries: 0 }
+  });
+  try {
+    await engine.initialize();
+    await assert.rejects(
+      quietly(() => engine.generateEmbeddings(false, 1)),
+      /Embedding stopped after 1 of 2 chunks .*HTTP 400: out of memory/
+    );
+    const { count } = await engine.db.get('SELECT COUNT(*) AS count FROM embeddings');
+    assert.equal(count, 1, 'the finished batch is kept');
+  } finally {
+    await engine.close();
+    await server.close();
+  }
+});
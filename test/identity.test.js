@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { IdentityCache, allocateBudget, summarizeIdentity } from '../src/identity.js';
+import { ContextRetriever } from '../src/context.js';
+import { createTokenizer } from '../src/tokenizer.js';
+import { tempDir, writeFiles } from './helpers.js';
+
+const USER = [
+  '# User',
+  '',
+  'name: Ada',
+  'timezone: Europe/Berlin',
+  '',
+  'Ada has worked on the deploy pipeline for years and prefers short answers.',
+  '',
+  '```sh',
+  'npm run deploy',
+  '```',
+  '',
+  '## Preferences',
+  '',
+  '- Replies in English',
+  '- Deploys on Fridays',
+  '  - but never after 16:00',
+  ''
+].join('\n');
+
+test('summaries keep headings, then key: value lines, then bullets', () => {
+  const tokenizer = createTokenizer('bpe');
+  const full = summarizeIdentity(USER, 1000, tokenizer);
+
+  assert.equal(full.content, [
+    '# User',
+    'name: Ada',
+    'timezone: Europe/Berlin',
+    '## Preferences',
+    '- Replies in English',
+    '- Deploys on Fridays',
+    '  - but never after 16:00'
+  ].join('\n'));
+  assert.equal(full.tokens, tokenizer.count(full.content));
+
+  for (let maxTokens = 0; maxTokens <= full.tokens; maxTokens++) {
+    const summary = summarizeIdentity(USER, maxTokens, tokenizer);
+    assert.ok(summary.tokens <= maxTokens, `${summary.tokens} tokens in a ${maxTokens}-token budget`);
+  }
+  assert.equal(summarizeIdentity(USER, 8, tokenizer).content, '# User\n## Preferences');
+  assert.equal(summarizeIdentity(USER, 12, tokenizer).content, '# User\nname: Ada\n## Preferences');
+});
+
+test('allocateBudget never hands out more than the total', () => {
+  assert.deepEqual(allocateBudget([100, 20, 500], 300), [100, 20, 180]);
+  assert.deepEqual(allocateBudget([100, 100], 50), [25, 25]);
+  assert.deepEqual(allocateBudget([10, 20], -5), [0, 0]);
+
+  // Deterministic pseudo-random sizes and totals
+  let seed = 7;
+  const next = limit => (seed = (seed * 1103515245 + 12345) % 2147483648) % limit;
+  for (let round = 0; round < 200; round++) {
+    const sizes = Array.from({ length: 1 + next(6) }, () => next(800));
+    const total = next(1500);
+    const budgets = allocateBudget(sizes, total);
+
+    assert.ok(budgets.reduce((sum, budget) => sum + budget, 0) <= total, `${sizes} in ${total}`);
+    budgets.forEach((budget, index) => assert.ok(budget >= 0 && budget <= sizes[index]));
+  }
+});
+
+test('a cached summary is rebuilt when the file, budget or tokenizer changes', () => {
+  const file = path.join(writeFiles(tempDir(), { 'USER.md': USER }), 'USER.md');
+  const cache = new IdentityCache(tempDir());
+  const bpe = createTokenizer('bpe');
+
+  const first = cache.summarize(file, USER, 20, bpe);
+  assert.equal(first.cached, false);
+  assert.equal(cache.summarize(file, USER, 20, bpe).cached, true);
+  assert.equal(cache.summarize(file, USER, 20, bpe).content, first.content);
+
+  const edited = USER.replace('name: Ada', 'name: Grace');
+  fs.writeFileSync(file, edited);
+  const refreshed = cache.summarize(file, edited, 20, bpe);
+  assert.equal(refreshed.cached, false);
+  assert.match(refreshed.content, /name: Grace/);
+  assert.doesNotMatch(refreshed.content, /Ada/);
+  assert.equal(cache.summarize(file, edited, 20, bpe).cached, true);
+
+  assert.equal(cache.summarize(file, edited, 12, bpe).cached, false);
+  assert.equal(cache.summarize(file, edited, 12, createTokenizer('chars')).cached, false);
+});
+
+test('context picks up an edited identity file', async () => {
+  const workspace = writeFiles(tempDir(), { 'USER.md': USER });
+  const context = new ContextRetriever(workspace, { cacheDir: tempDir() });
+  context.limits.identity = 30;
+
+  const before = await context.getContext('', {});
+  assert.match(before.identity, /name: Ada/);
+  assert.match(before.sources[0], /^USER\.md \(truncated: summary of \d+ of \d+ tokens\)$/);
+
+  fs.writeFileSync(path.join(workspace, 'USER.md'), USER.replace('name: Ada', 'name: Grace'));
+  const after = await context.getContext('', {});
+  assert.match(after.identity, /name: Grace/);
+  assert.doesNotMatch(after.identity, /Ada/);
+});
+
+test('identity and search together stay within --max-tokens', async () => {
+  const workspace = writeFiles(tempDir(), {
+    'IDENTITY.md': '# Identity\n\nname: Deploy bot\nrole: keeps the deploys going\n',
+    'SOUL.md': '# Soul\n\n- Be brief\n- Check the deploy log before answering\n',
+    'USER.md': USER,
+    'MEMORY.md': '# Memory\n\nThe deploy runs on Fridays.\nRollbacks use the previous tag.\n',
+    'memory/2025-01-02.md': '# Log\n\nMoved the deploy to Thursday.\nThe deploy took ten minutes.\n'
+  });
+  const context = new ContextRetriever(workspace, { cacheDir: tempDir() });
+
+  for (let maxTokens = 1; maxTokens <= 200; maxTokens += 3) {
+    const result = await context.getContext('deploy', { maxTokens });
+    const used = context.tokenizer.count(result.identity) + context.tokenizer.count(result.relevant);
+    assert.ok(result.tokenEstimate <= maxTokens, `${result.tokenEstimate} tokens in --max-tokens ${maxTokens}`);
+    assert.ok(used <= maxTokens, `${used} tokens returned for --max-tokens ${maxTokens}`);
+  }
+
+  const roomy = await context.getContext('deploy', { maxTokens: 200 });
+  assert.deepEqual(roomy.sources.slice(0, 3), ['IDENTITY.md', 'SOUL.md', 'USER.md']);
+  assert.ok(roomy.sources.includes('MEMORY.md'));
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createIgnoreFilter } from '../src/ignore.js';
+import { tempDir, writeFiles } from './helpers.js';
+
+function filterFor(files, exclude) {
+  const root = writeFiles(tempDir(), files);
+  const ignored = createIgnoreFilter(root, exclude);
+  return (relative, isDirectory) => ignored(path.join(root, relative), isDirectory);
+}
+
+test('built-in, root and --exclude rules use .gitignore syntax', () => {
+  const ignored = filterFor({
+    '.gitignore': '# comment\n*.log\n/top.md\nbuild/\n!keep.log\n\\#literal.md\n',
+    '.opensearchignore': 'private/**\n'
+  }, ['drafts/*.md']);
+
+  assert.equal(ignored('node_modules/pkg/readme.md'), true);
+  assert.equal(ignored('.obsidian/notes.md'), true);
+  assert.equal(ignored('a/debug.log'), true);
+  assert.equal(ignored('a/keep.log'), false);
+  assert.equal(ignored('top.md'), true);
+  assert.equal(ignored('a/top.md'), false);
+  assert.equal(ignored('a/build/x.md'), true);
+  assert.equal(ignored('a/build', false), false);
+  assert.equal(ignored('#literal.md'), true);
+  assert.equal(ignored('private/deep/x.md'), true);
+  assert.equal(ignored('drafts/x.md'), true);
+  assert.equal(ignored('drafts/sub/x.md'), false);
+  assert.equal(ignored('notes/x.md'), false);
+  assert.equal(ignored(path.join('..', 'outside.md')), false);
+});
+
+test('a nested ignore file applies below its own directory', () => {
+  const ignored = filterFor({
+    '.gitignore': '*.tmp\n',
+    'projects/.gitignore': 'secret.md\n/local.md\n!keep.tmp\nout/\n',
+    'projects/app/.opensearchignore': '*.md\n!README.md\n'
+  });
+
+  assert.equal(ignored('projects/secret.md'), true);
+  assert.equal(ignored('projects/deep/secret.md'), true);
+  assert.equal(ignored('secret.md'), false);
+  // Anchored to the directory holding the ignore file
+  assert.equal(ignored('projects/local.md'), true);
+  assert.equal(ignored('projects/deep/local.md'), false);
+  // Deeper files override the ones above them
+  assert.equal(ignored('projects/a.tmp'), true);
+  assert.equal(ignored('projects/keep.tmp'), false);
+  assert.equal(ignored('keep.tmp'), true);
+  assert.equal(ignored('projects/app/notes.md'), true);
+  assert.equal(ignored('projects/app/README.md'), false);
+  assert.equal(ignored('projects/out/x.md'), true);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseFrontmatter,
+  documentDate,
+  parseDuration,
+  parseFilters,
+  matchesFilters,
+  compileFilterSql,
+  applyRecencyDecay
+} from '../src/metadata.js';
+
+// Local noon, so formatDate() gives the same day in every time zone
+const NOW = new Date(2026, 0, 10, 12);
+
+test('a frontmatter date wins over a YYYY-MM-DD file name', () => {
+  const { metadata } = parseFrontmatter('---\ndate: 2025-12-01\ntags: [ops, Deploy]\ntype: Log\n---\n# Notes\n');
+
+  assert.deepEqual(metadata, { date: '2025-12-01', tags: ['ops', 'Deploy'], type: 'Log' });
+  assert.equal(documentDate('/notes/2026-01-05.md', metadata), '2025-12-01');
+  assert.equal(documentDate('/notes/2026-01-05-standup.md', {}), '2026-01-05');
+  assert.equal(documentDate('/notes/2026-01-05.md', { date: 'last week' }), '2026-01-05');
+  assert.equal(documentDate('/notes/2026-13-01.md', {}), null);
+  assert.equal(documentDate('/2026-01-05/notes.md', {}), null, 'only the file name counts');
+  assert.equal(documentDate('/notes/ideas.md'), null);
+});
+
+test('durations are counted in days', () => {
+  assert.equal(parseDuration('7d'), 7);
+  assert.equal(parseDuration('2w'), 14);
+  assert.equal(parseDuration('3m'), 90);
+  assert.equal(parseDuration('1y'), 365);
+  assert.equal(parseDuration(' 10 D '), 10);
+
+  for (const value of ['0d', '7', 'd', '1.5w', '-3d', '2h']) {
+    assert.throws(() => parseDuration(value, '--last'), /--last expects a duration like 7d, 2w, 3m or 1y/, value);
+  }
+});
+
+test('--last, --since and --until become an inclusive date range', () => {
+  assert.deepEqual(parseFilters({ last: '7d' }, NOW), { tags: [], types: [], since: '2026-01-04', until: null });
+  assert.equal(parseFilters({ last: '1d' }, NOW).since, '2026-01-10');
+  assert.equal(parseFilters({ last: '2w' }, NOW).since, '2025-12-28');
+  assert.deepEqual(parseFilters({ since: '2026-01-01', until: '2026-01-31', tag: ['Ops,deploy'], type: 'log' }), {
+    tags: ['ops', 'deploy'],
+    types: ['log'],
+    since: '2026-01-01',
+    until: '2026-01-31'
+  });
+  assert.equal(parseFilters({}), null);
+
+  assert.throws(() => parseFilters({ last: '7d', since: '2026-01-01' }), /cannot be combined/);
+  assert.throws(() => parseFilters({ since: 'yesterday' }), /--since expects a date/);
+  assert.throws(() => parseFilters({ until: '2026-1-5' }), /--until expects a date/);
+});
+
+test('date filters match on the resolved date and drop undated documents', () => {
+  const filters = parseFilters({ since: '2026-01-01', until: '2026-01-31', tag: 'ops' });
+
+  assert.equal(matchesFilters(filters, { tags: ['Ops'] }, '2026-01-01'), true);
+  assert.equal(matchesFilters(filters, { tags: ['Ops'] }, '2026-01-31'), true);
+  assert.equal(matchesFilters(filters, { tags: ['Ops'] }, '2026-02-01'), false);
+  assert.equal(matchesFilters(filters, { tags: ['Ops'] }, null), false);
+  assert.equal(matchesFilters(filters, { tags: ['other'] }, '2026-01-15'), false);
+  assert.equal(matchesFilters(null, {}, null), true);
+
+  assert.deepEqual(compileFilterSql(filters).params, ['ops', '2026-01-01', '2026-01-31']);
+  assert.match(compileFilterSql(filters).where, / AND d\.date >= \? AND d\.date <= \?$/);
+});
+
+test('recency decay halves a score every half-life and re-ranks', () => {
+  const results = [
+    { id: 'old', score: 1, date: '2025-12-11' },
+    { id: 'new', score: 0.6, date: '2026-01-10' },
+    { id: 'undated', score: 0.55, date: null },
+    { id: 'future', score: 0.5, date: '2026-02-01', explain: { terms: [] } }
+  ];
+  const decayed = applyRecencyDecay(results, 30, NOW);
+
+  assert.deepEqual(decayed.map(result => [result.id, result.score]), [
+    ['new', 0.6],
+    ['undated', 0.55],
+    // Ties keep their earlier order
+    ['old', 0.5],
+    ['future', 0.5]
+  ]);
+  assert.deepEqual(decayed[3].explain.decay, { date: '2026-02-01', ageDays: 0, halfLife: 30, factor: 1 });
+  assert.equal(applyRecencyDecay([{ score: 0.8, date: '2025-11-11' }], 30, NOW)[0].score, 0.2);
+  assert.equal(results[0].score, 1, 'the input results are left unchanged');
+});
@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { DatabaseManager } from '../src/db.js';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION } from '../src/migrations.js';
+import { decodeVector } from '../src/vectors.js';
+import { tempDir } from './helpers.js';
+
+// An index at schema `version`, built by the shipped migrations. With
+// `recorded: false` the steps leave no schema_version rows, like databases
+// created before versioning.
+async function buildIndex(version, { recorded = true } = {}) {
+  const dbPath = path.join(tempDir(), 'index.db');
+  const db = new DatabaseManager(dbPath, { autoMigrate: false });
+  await db.initialize();
+
+  for (const migration of MIGRATIONS.filter(step => step.version <= version)) {
+    await migration.up(db);
+    if (recorded) {
+      await db.run('INSERT INTO schema_version (version, description) VALUES (?, ?)', [migration.version, migration.description]);
+    }
+  }
+  if (!recorded) {
+    await db.exec('DROP TABLE schema_version');
+  }
+  return db;
+}
+
+async function reopen(db) {
+  await db.close();
+  const upgraded = new DatabaseManager(db.dbPath);
+  await upgraded.initialize();
+  return upgraded;
+}
+
+test('a pre-versioning index upgrades to the latest schema with its documents', async () => {
+  const old = await buildIndex(1, { recorded: false });
+  await old.run("INSERT INTO collections (name, path) VALUES ('notes', '/notes')");
+  await old.run(`
+    INSERT INTO documents (id, path, title, content, collection, size, modified_at)
+    VALUES ('doc1', '/notes/2026-01-05.md', 'Jan 5', 'hello', 'notes', 5, 1700000000)
+  `);
+
+  const db = await reopen(old);
+  try {
+    assert.equal(await db.getSchemaVersion(), LATEST_SCHEMA_VERSION);
+
+    const doc = await db.get('SELECT * FROM documents WHERE id = ?', ['doc1']);
+    assert.equal(doc.title, 'Jan 5');
+    assert.equal(doc.modified_at, 0, 'v2 forces a re-index to build chunks');
+    assert.equal(doc.content_hash, null);
+    assert.equal(doc.metadata, '{}');
+    assert.equal(doc.date, '2026-01-05', 'v10 backfills dates from file names');
+
+    const collection = await db.get("SELECT * FROM collections WHERE name = 'notes'");
+    assert.equal(collection.exclude_patterns, '[]');
+    assert.ok(await db.get("SELECT name FROM sqlite_master WHERE name = 'chunks_fts'"));
+  } finally {
+    await db.close();
+  }
+});
+
+test('v6 converts JSON vectors and centroids to Float32 BLOBs', async () => {
+  const old = await buildIndex(5);
+  await old.run("INSERT INTO collections (name, path) VALUES ('notes', '/notes')");
+  await old.run(`
+    INSERT INTO documents (id, path, title, content, collection, size, modified_at)
+    VALUES ('doc1', '/notes/a.md', 'A', 'hello', 'notes', 5, 1)
+  `);
+  await old.run(`
+    INSERT INTO chunks (id, document_id, chunk_index, heading, content, start_line, end_line)
+    VALUES ('doc1-0', 'doc1', 0, NULL, 'hello', 1, 1)
+  `);
+  await old.run(
+    "INSERT INTO embeddings (chunk_id, embedding, model, dimensions, list_id) VALUES ('doc1-0', ?, 'hash-3', 3, 1)",
+    [JSON.stringify([0.5, -0.25, 1])]
+  );
+  await old.run('INSERT INTO ann_centroids (list_id, centroid) VALUES (1, ?)', [JSON.stringify([0.125, 0, -2])]);
+
+  const db = await reopen(old);
+  try {
+    const row = await db.get("SELECT * FROM embeddings WHERE chunk_id = 'doc1-0'");
+    assert.ok(Buffer.isBuffer(row.embedding));
+    assert.deepEqual(Array.from(decodeVector(row.embedding)), [0.5, -0.25, 1]);
+    assert.equal(row.model, 'hash-3');
+    assert.equal(row.dimensions, 3);
+    assert.equal(row.list_id, 1);
+    assert.equal(row.quantized, null);
+
+    const centroid = await db.get('SELECT centroid FROM ann_centroids WHERE list_id = 1');
+    assert.ok(Buffer.isBuffer(centroid.centroid));
+    assert.deepEqual(Array.from(decodeVector(centroid.centroid)), [0.125, 0, -2]);
+  } finally {
+    await db.close();
+  }
+});
+
+test('an index from a newer opensearch is refused', async () => {
+  const newer = await buildIndex(LATEST_SCHEMA_VERSION);
+  await newer.run("INSERT INTO schema_version (version, description) VALUES (?, 'from the future')", [LATEST_SCHEMA_VERSION + 1]);
+  await newer.close();
+
+  for (const options of [{}, { autoMigrate: false }, { readOnly: true }]) {
+    const db = new DatabaseManager(newer.dbPath, options);
+    await assert.rejects(db.initialize(), new RegExp(`schema version ${LATEST_SCHEMA_VERSION + 1}`));
+    await db.close();
+  }
+});
+
+test('v10 dates documents from frontmatter, else from a YYYY-MM-DD file name', async () => {
+  const old = await buildIndex(9);
+  const documents = [
+    ['both', '/notes/2026-01-05.md', '{"date":"2025-12-01"}'],
+    ['name', '/notes/2026-01-05-standup.md', '{}'],
+    ['invalid', '/notes/2026-13-01.md', '{"date":"2026-13-45"}'],
+    ['undated', '/notes/ideas.md', '{"date":"soon"}']
+  ];
+  await old.run("INSERT INTO collections (name, path) VALUES ('notes', '/notes')");
+  for (const [id, file, metadata] of documents) {
+    await old.run(
+      `INSERT INTO documents (id, path, title, content, collection, size, modified_at, metadata)
+       VALUES (?, ?, ?, '', 'notes', 0, 0, ?)`,
+      [id, file, id, metadata]
+    );
+  }
+
+  const db = await reopen(old);
+  try {
+    const rows = await db.all('SELECT id, date FROM documents ORDER BY id');
+    assert.deepEqual(Object.fromEntries(rows.map(row => [row.id, row.date])), {
+      both: '2025-12-01',
+      name: '2026-01-05',
+      invalid: null,
+      undated: null
+    });
+  } finally {
+    await db.close();
+  }
+});
+
+test('a dry run lists pending steps without applying them or creating a file', async () => {
+  const old = await buildIndex(8);
+  await old.close();
+
+  const db = new DatabaseManager(old.dbPath, { readOnly: true });
+  await db.initialize();
+  try {
+    const result = await db.migrate({ dryRun: true });
+    assert.equal(result.from, 8);
+    assert.deepEqual(result.pending.map(step => step.version), [9, 10]);
+    assert.equal(await db.getSchemaVersion(), 8);
+    await assert.rejects(db.migrate(), /read-only/);
+  } finally {
+    await db.close();
+  }
+
+  const missing = path.join(tempDir(), 'index.db');
+  await assert.rejects(new DatabaseManager(missing, { readOnly: true }).initialize(), /No index/);
+  assert.equal(fs.existsSync(missing), false);
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { modelName } from '../src/onnx-embeddings.js';
+import { tempDir, writeFiles } from './helpers.js';
+
+test('onnx model names come from the repo folder and the file contents', async () => {
+  const dir = writeFiles(tempDir(), {
+    'all-MiniLM-L6-v2/onnx/model.onnx': 'weights a',
+    'bge-small-en/onnx/model.onnx': 'weights b',
+    'flat-model/model.onnx': 'weights a'
+  });
+
+  const minilm = await modelName(path.join(dir, 'all-MiniLM-L6-v2/onnx/model.onnx'));
+  const bge = await modelName(path.join(dir, 'bge-small-en/onnx/model.onnx'));
+  const flat = await modelName(path.join(dir, 'flat-model/model.onnx'));
+
+  assert.match(minilm, /^all-MiniLM-L6-v2@[0-9a-f]{8}$/);
+  assert.match(bge, /^bge-small-en@[0-9a-f]{8}$/);
+  assert.match(flat, /^flat-model@/);
+  assert.equal(minilm.split('@')[1], flat.split('@')[1], 'same file, same hash');
+  assert.notEqual(minilm.split('@')[1], bge.split('@')[1]);
+});
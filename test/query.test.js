@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { parseQuery, compileSql, matchesQuery } from '../src/query.js';
+import { CollectionManager } from '../src/collections.js';
+import { SearchEngine } from '../src/search.js';
+import { tempDir, writeFiles, quietly } from './helpers.js';
+
+const term = (text, { phrase = false, field = null } = {}) => ({ text, phrase, field });
+
+async function indexNotes(files) {
+  const dir = tempDir();
+  const notes = writeFiles(path.join(dir, 'notes'), files);
+  const dbPath = path.join(dir, 'index.db');
+
+  const manager = new CollectionManager(dbPath);
+  await quietly(() => manager.add('notes', notes, '**/*.md'));
+  await manager.db.close();
+
+  const engine = new SearchEngine(dbPath);
+  await engine.initialize();
+  return engine;
+}
+
+test('parseQuery groups OR-ed terms and separates exclusions and fields', () => {
+  const parsed = parseQuery('docker OR podman "compose up" -staging title:deploy path:memory/ note:x');
+
+  assert.deepEqual(parsed.groups, [
+    [term('docker'), term('podman')],
+    [term('compose up', { phrase: true })],
+    [term('deploy', { field: 'title' })],
+    [term('memory/', { field: 'path' })],
+    [term('note:x')]
+  ]);
+  assert.deepEqual(parsed.excluded, [term('staging')]);
+  assert.equal(parsed.text, 'docker podman compose up deploy memory/ note:x');
+});
+
+test('parseQuery reads an unbalanced quote as a phrase to the end of the query', () => {
+  const parsed = parseQuery('deploy "compose up');
+
+  assert.deepEqual(parsed.groups, [[term('deploy')], [term('compose up', { phrase: true })]]);
+  assert.equal(compileSql(parsed).match, '"deploy" AND "compose up"');
+  assert.deepEqual(parseQuery('"').terms, []);
+});
+
+test('parseQuery ignores a leading or dangling OR', () => {
+  assert.deepEqual(parseQuery('OR docker OR').groups, [[term('docker')]]);
+  // Only the upper-case keyword is an operator
+  assert.deepEqual(parseQuery('docker or podman').groups, [[term('docker')], [term('or')], [term('podman')]]);
+});
+
+test('compileSql quotes FTS5 operators and quotes inside terms', () => {
+  const { match, where, params } = compileSql(parseQuery('NEAR(a b) foo* AND say"hi c++ -NOT'));
+
+  assert.equal(match, '("NEAR(a" AND "b)" AND "foo*" AND "AND" AND "say""hi" AND "c++") NOT "NOT"');
+  assert.equal(where, '');
+  assert.deepEqual(params, []);
+});
+
+test('compileSql turns field terms and exclusions without a MATCH into LIKE filters', () => {
+  const { match, where, params } = compileSql(parseQuery('title:50%_off -path:a\\b'));
+
+  assert.equal(match, null);
+  assert.equal(where, [
+    " AND (COALESCE(d.title, '') LIKE ? ESCAPE '\\')",
+    " AND COALESCE(d.path, '') NOT LIKE ? ESCAPE '\\'"
+  ].join(''));
+  assert.deepEqual(params, ['%50\\%\\_off%', '%a\\\\b%']);
+});
+
+test('compileSql without fts matches plain terms with LIKE on heading and content', () => {
+  const { match, where, params } = compileSql(parseQuery('docker OR podman -staging'), { fts: false });
+
+  assert.equal(match, null);
+  assert.equal(where, [
+    " AND ((COALESCE(c.heading, '') LIKE ? ESCAPE '\\' OR c.content LIKE ? ESCAPE '\\')",
+    " OR (COALESCE(c.heading, '') LIKE ? ESCAPE '\\' OR c.content LIKE ? ESCAPE '\\'))",
+    " AND (COALESCE(c.heading, '') NOT LIKE ? ESCAPE '\\' AND c.content NOT LIKE ? ESCAPE '\\')"
+  ].join(''));
+  assert.deepEqual(params, ['%docker%', '%docker%', '%podman%', '%podman%', '%staging%', '%staging%']);
+});
+
+test('compileSql refuses OR between field and plain terms', () => {
+  assert.throws(() => compileSql(parseQuery('title:deploy OR docker')), /OR cannot combine/);
+});
+
+test('a query of only exclusions compiles to filters and finds nothing to rank', async () => {
+  const parsed = parseQuery('-staging -"old notes"');
+  assert.deepEqual(parsed.terms, []);
+  assert.deepEqual(parsed.excluded, [term('staging'), term('old notes', { phrase: true })]);
+
+  const { match, params } = compileSql(parsed);
+  assert.equal(match, null);
+  assert.deepEqual(params, ['%staging%', '%staging%', '%old notes%', '%old notes%']);
+
+  const engine = await indexNotes({ 'a.md': '# A\n\nProduction notes.\n' });
+  try {
+    assert.deepEqual(await engine.textSearch('-staging'), []);
+  } finally {
+    await engine.db.close();
+  }
+});
+
+test('compiled queries with operator characters run against the index', async () => {
+  const engine = await indexNotes({
+    'cpp.md': '# Bots\n\nThe bot is written in c++ AND runs NEAR(the edge).\n',
+    'deploy.md': '# Deploy\n\nRun compose up on staging.\n'
+  });
+
+  try {
+    const find = async query => (await engine.textSearch(query, { limit: 10 })).map(result => path.basename(result.path));
+
+    assert.deepEqual(await find('c++ AND NEAR(the'), ['cpp.md']);
+    assert.deepEqual(await find('"compose up'), ['deploy.md']);
+    assert.deepEqual(await find('run -staging'), ['cpp.md']);
+    assert.deepEqual(await find('say"hi'), []);
+    assert.deepEqual(await find('title:deploy -path:cpp'), ['deploy.md']);
+  } finally {
+    await engine.db.close();
+  }
+});
+
+test('matchesQuery evaluates groups, exclusions and fields against text', () => {
+  const parsed = parseQuery('docker OR podman -staging title:deploy');
+  const file = { title: 'Deploy notes', path: 'memory/deploy.md' };
+
+  assert.equal(matchesQuery(parsed, { ...file, text: 'Podman on prod' }), true);
+  assert.equal(matchesQuery(parsed, { ...file, text: 'Podman on staging' }), false);
+  assert.equal(matchesQuery(parsed, { ...file, title: 'Other', text: 'docker' }), false);
+  assert.equal(matchesQuery(parsed, { ...file, text: 'DOCKER' }, { caseSensitive: true }), false);
+});
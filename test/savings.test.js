@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { computeSavings, searchSavings, formatPercent, UsageLog } from '../src/savings.js';
+import { tempDir } from './helpers.js';
+
+test('savings are measured against the source files and the whole corpus', () => {
+  const savings = computeSavings(50, {
+    sources: new Map([['a.md', 200]]),
+    corpus: new Map([['a.md', 200], ['b.md', 800]])
+  });
+
+  assert.deepEqual(savings, {
+    actualTokens: 50,
+    sources: { files: 1, tokens: 200, saved: 150, percentSaved: 75 },
+    corpus: { files: 2, tokens: 1000, saved: 950, percentSaved: 95 },
+    fullFileTokens: 1000,
+    saved: 950,
+    percentSaved: 95
+  });
+});
+
+test('an empty corpus has no percentage, and returning more than the sources is a loss', () => {
+  const empty = computeSavings(0);
+  assert.deepEqual(empty.sources, { files: 0, tokens: 0, saved: 0, percentSaved: null });
+  assert.equal(empty.percentSaved, null);
+  assert.equal(formatPercent(empty.percentSaved), 'n/a');
+
+  const emptyFiles = computeSavings(12, { sources: new Map([['empty.md', 0]]), corpus: new Map([['empty.md', 0]]) });
+  assert.equal(emptyFiles.sources.files, 1);
+  assert.equal(emptyFiles.sources.percentSaved, null);
+
+  // Headers and separators can make the context larger than a small source
+  const larger = computeSavings(125, { sources: new Map([['a.md', 100]]), corpus: new Map([['a.md', 100]]) });
+  assert.deepEqual(larger.sources, { files: 1, tokens: 100, saved: -25, percentSaved: -25 });
+  assert.equal(formatPercent(larger.percentSaved), '-25%');
+});
+
+test('search savings count result and corpus files as characters / 4', () => {
+  const corpusFiles = new Map([['/notes/a.md', 400], ['/notes/b.md', 1001], ['/notes/c.md', 0]]);
+  const searchResult = {
+    tokenEstimate: 30,
+    results: [
+      { path: 'a.md', fullPath: '/notes/a.md' },
+      { path: 'a.md', fullPath: '/notes/a.md' },
+      { path: '/notes/b.md' }
+    ]
+  };
+
+  const savings = searchSavings(searchResult, corpusFiles);
+  assert.deepEqual(savings.sources, { files: 2, tokens: 100 + 251, saved: 321, percentSaved: 91 });
+  assert.deepEqual(savings.corpus, { files: 3, tokens: 351, saved: 321, percentSaved: 91 });
+
+  const none = searchSavings({ tokenEstimate: 0, results: [] }, new Map());
+  assert.equal(none.sources.percentSaved, null);
+  assert.equal(none.corpus.percentSaved, null);
+});
+
+test('the usage log sums runs per day, per command and overall', () => {
+  const log = new UsageLog(path.join(tempDir(), 'cache', 'usage.jsonl'));
+  const savings = (actual, sources, corpus) => computeSavings(actual, {
+    sources: new Map([['s', sources]]),
+    corpus: new Map([['c', corpus]])
+  });
+
+  assert.deepEqual(log.record('context', savings(100, 400, 2000), new Date(2026, 2, 1, 9)), {
+    time: new Date(2026, 2, 1, 9).toISOString(),
+    day: '2026-03-01',
+    command: 'context',
+    actualTokens: 100,
+    sourceTokens: 400,
+    corpusTokens: 2000
+  });
+  log.record('search', savings(50, 40, 1000), new Date(2026, 2, 1, 18));
+  log.record('context', savings(20, 120, 500), new Date(2026, 2, 3, 12));
+  fs.appendFileSync(log.logPath, '{"time": "2026-03-0');
+
+  const totals = (runs, actualTokens, sourceTokens, corpusTokens) => ({
+    runs,
+    actualTokens,
+    sourceTokens,
+    corpusTokens,
+    savedVsSources: sourceTokens - actualTokens,
+    savedVsCorpus: corpusTokens - actualTokens
+  });
+  assert.deepEqual(log.summarize(), {
+    since: null,
+    byDay: [
+      { day: '2026-03-01', ...totals(2, 150, 440, 3000) },
+      { day: '2026-03-03', ...totals(1, 20, 120, 500) }
+    ],
+    byCommand: [
+      { command: 'context', ...totals(2, 120, 520, 2500) },
+      { command: 'search', ...totals(1, 50, 40, 1000) }
+    ],
+    total: totals(3, 170, 560, 3500)
+  });
+  // A search that returned more than its source counts against the savings
+  assert.equal(log.summarize().byCommand[1].savedVsSources, -10);
+
+  const recent = log.summarize({ since: '2026-03-02' });
+  assert.deepEqual(recent.byDay.map(day => day.day), ['2026-03-03']);
+  assert.deepEqual(recent.total, totals(1, 20, 120, 500));
+
+  log.reset();
+  assert.deepEqual(log.summarize().total, totals(0, 0, 0, 0));
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { scanFiles } from '../src/scanner.js';
+import { grepBlocks, grepTool, parseGrepOutput } from '../src/grep.js';
+import { tempDir, writeFiles } from './helpers.js';
+import { FILES, GREP_OUTPUT, GREP_CASES } from './fixtures/match-blocks.js';
+
+const CASES = [{ query: 'deploy', options: { contextLines: 1 }, output: GREP_OUTPUT }, ...GREP_CASES];
+
+function fixtureFiles() {
+  const dir = writeFiles(tempDir(), FILES);
+  return { dir, files: Object.keys(FILES).map(name => path.join(dir, name)) };
+}
+
+// Blocks with paths relative to the fixture root, as the captured output has them
+const relative = (dir, blocks) => blocks.map(block => ({ ...block, file: path.relative(dir, block.file) }));
+
+const label = ({ query, options }) => `${query} ${JSON.stringify(options)}`;
+
+test('the scanner builds the blocks grep printed for the same search', async () => {
+  const { dir, files } = fixtureFiles();
+
+  for (const searchCase of CASES) {
+    const blocks = await scanFiles(searchCase.query, files, searchCase.options);
+    assert.deepEqual(relative(dir, blocks), parseGrepOutput(searchCase.output), label(searchCase));
+  }
+});
+
+test('the scanner and the installed grep tool agree', { skip: !grepTool() && 'needs rg or grep' }, async () => {
+  const { dir, files } = fixtureFiles();
+
+  for (const searchCase of CASES) {
+    const scanned = await scanFiles(searchCase.query, files, searchCase.options);
+    const grepped = await grepBlocks(searchCase.query, files, searchCase.options);
+    assert.deepEqual(relative(dir, scanned), relative(dir, grepped), label(searchCase));
+  }
+});
+
+test('literal queries with regex metacharacters match as text', async () => {
+  const { files } = fixtureFiles();
+
+  // As a regular expression "C++" is invalid; as text it is an exact match
+  assert.deepEqual(
+    (await scanFiles('C++', files, { contextLines: 0, caseSensitive: true })).map(block => block.lines[0].text),
+    ['C++ and c++ differ only in case']
+  );
+  assert.deepEqual(await scanFiles('C.x', files, { contextLines: 0 }), []);
+  await assert.rejects(scanFiles('C++', files, { regex: true }), /Invalid regular expression/);
+});
+
+test('context never runs past either end of a file', async () => {
+  const dir = writeFiles(tempDir(), { 'short.md': 'match\nsecond\n' });
+  const blocks = await scanFiles('second', [path.join(dir, 'short.md')], { contextLines: 5 });
+
+  assert.deepEqual(blocks[0].lines.map(line => [line.number, line.match]), [[1, false], [2, true]]);
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { CollectionManager } from '../src/collections.js';
+import { SearchEngine } from '../src/search.js';
+import { tempDir, writeFiles, quietly } from './helpers.js';
+
+async function indexNotes(files) {
+  const dir = tempDir();
+  const notes = writeFiles(path.join(dir, 'notes'), files);
+  const dbPath = path.join(dir, 'index.db');
+
+  const manager = new CollectionManager(dbPath);
+  await quietly(() => manager.add('notes', notes, '**/*.md'));
+  await manager.db.close();
+
+  const engine = new SearchEngine(dbPath, { embedding: { provider: 'hashing' } });
+  await engine.initialize();
+  await quietly(() => engine.generateEmbeddings());
+  return engine;
+}
+
+test('extractSnippet treats query terms as literal text', () => {
+  const engine = new SearchEngine(path.join(tempDir(), 'index.db'));
+
+  assert.equal(
+    engine.extractSnippet('Wrote the c++ (bot) last week. Unrelated sentence.', 'c++ (bot'),
+    'Wrote the **c++** **(bot**) last week'
+  );
+  assert.equal(engine.extractSnippet('a+b and aab', 'a+b'), '**a+b** and aab');
+});
+
+test('vector and hybrid search accept queries with regex metacharacters', async () => {
+  const engine = await indexNotes({
+    'cpp.md': '# Bots\n\nThe chat bot is written in c++ (bot framework v2).\n',
+    'other.md': '# Garden\n\nTomatoes need sun.\n'
+  });
+
+  try {
+    for (const mode of ['text', 'vector', 'hybrid']) {
+      const { results } = await engine.search('c++ (bot', { mode, limit: 5 });
+      assert.ok(results.length > 0, `${mode} search returns results`);
+      assert.equal(path.basename(results[0].path), 'cpp.md', `${mode} search ranks the c++ note first`);
+    }
+  } finally {
+    await engine.close();
+  }
+});
+
+test('explain reports the parsed query, the filters and each score part', async () => {
+  const engine = await indexNotes({
+    'deploy.md': '# Deploys\n\nThe deploy runs on Friday.\n',
+    'staging.md': '# Staging\n\nThe staging deploy is manual.\n',
+    'other.md': '# Garden\n\nTomatoes need sun.\n'
+  });
+  const deployTerms = [
+    { term: 'deploy', field: null, phrase: false, excluded: false, matches: 3 },
+    { term: 'staging', field: null, phrase: false, excluded: true, matches: 0 }
+  ];
+
+  try {
+    const text = await engine.search('deploy -staging', { mode: 'text', explain: true });
+    assert.deepEqual(text.explain, {
+      engine: 'index',
+      query: { all: ['deploy'], none: ['staging'] },
+      filters: { collection: null, minScore: 0 },
+      decay: null,
+      fusion: null
+    });
+    assert.deepEqual(text.results.map(result => path.basename(result.path)), ['deploy.md']);
+    const { terms, bm25 } = text.results[0].explain;
+    assert.deepEqual(terms, deployTerms);
+    assert.ok(bm25.raw < 0);
+    assert.equal(bm25.score, Math.min(1, -bm25.raw / 10));
+
+    const vector = await engine.search('deploy -staging', { mode: 'vector', explain: true });
+    for (const result of vector.results) {
+      assert.equal(result.explain.vector.score, result.score);
+      assert.ok(Math.abs(result.explain.vector.similarity - (2 - 1 / result.score)) < 1e-12);
+      assert.equal(result.explain.vector.quantization, 'none');
+    }
+
+    const hybrid = await engine.search('deploy -staging', { mode: 'hybrid', explain: true });
+    assert.deepEqual(hybrid.explain.fusion, { method: 'rrf', k: 60, textWeight: 2, vectorWeight: 1, bothBoost: 1.2, topBoost: 1.1 });
+    const [top, other] = hybrid.results;
+    assert.equal(path.basename(top.path), 'deploy.md');
+    assert.equal(top.score, 1);
+    assert.deepEqual(top.explain.terms, deployTerms);
+    assert.equal(top.explain.bm25.score, bm25.score);
+    assert.deepEqual(top.explain.fusion, {
+      method: 'rrf',
+      textRank: 1,
+      vectorRank: 1,
+      textScore: bm25.score,
+      vectorScore: top.explain.vector.score,
+      textContribution: 2 / 61,
+      vectorContribution: 1 / 61,
+      boost: 1.2 * 1.1
+    });
+    // Found by the vector search alone
+    assert.equal(path.basename(other.path), 'other.md');
+    assert.equal(other.explain.bm25, undefined);
+    assert.equal(other.explain.fusion.textRank, null);
+    assert.equal(other.explain.fusion.textContribution, 0);
+    assert.equal(other.explain.fusion.vectorRank, 2);
+  } finally {
+    await engine.close();
+  }
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SimpleSearchEngine } from '../src/simple-search.js';
+import { tempDir, writeFiles } from './helpers.js';
+
+const NOTES = {
+  'deploy.md': '# Deploys\n\nThe deploy runs on Friday.\n',
+  'staging.md': '# Staging\n\nThe staging deploy is manual.\n'
+};
+
+test('grep explain reports the query, the filters and the score parts', async () => {
+  const engine = new SimpleSearchEngine(writeFiles(tempDir(), NOTES));
+  const { explain, results } = await engine.search('deploy friday -staging', { explain: true, engine: 'js' });
+
+  assert.deepEqual(explain, {
+    engine: 'js',
+    query: { all: ['deploy', 'friday'], none: ['staging'] },
+    filters: { collection: null, caseSensitive: false },
+    decay: null
+  });
+  assert.deepEqual(results.map(result => result.path), ['deploy.md']);
+  assert.deepEqual(results[0].explain, {
+    terms: [
+      { term: 'deploy', field: null, phrase: false, excluded: false, matches: 2 },
+      { term: 'friday', field: null, phrase: false, excluded: false, matches: 1 },
+      { term: 'staging', field: null, phrase: false, excluded: true, matches: 0 }
+    ],
+    // "deploy" in the title (10), both terms in the text (2), coverage 2 * 2; max 2 * 5
+    grep: { title: 10, content: 2, coverage: 4, raw: 16, max: 10 }
+  });
+  assert.equal(results[0].score, 1);
+});
+
+test('grep explain with --regex reports the pattern as one term', async () => {
+  const engine = new SimpleSearchEngine(writeFiles(tempDir(), NOTES));
+  const { explain, results } = await engine.search('stag\\w+ deploy', { explain: true, engine: 'js', regex: true });
+
+  assert.deepEqual(explain.query, { regex: 'stag\\w+ deploy' });
+  assert.deepEqual(results.map(result => result.path), ['staging.md']);
+  assert.deepEqual(results[0].explain.terms, [{ term: 'stag\\w+ deploy', regex: true, matches: 1 }]);
+  assert.equal(results[0].explain.grep.max, 5);
+});
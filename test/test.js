@@ -0,0 +1,31 @@
+/**
+ * Test entry point for `npm test`
+ *
+ * Each suite registers its cases with node:test on import; node runs them
+ * when this module finishes loading and exits non-zero if any fail.
+ */
+
+import './ann.test.js';
+import './chunker.test.js';
+import './cli.test.js';
+import './collections.test.js';
+import './context-config.test.js';
+import './context.test.js';
+import './db.test.js';
+import './fusion.test.js';
+import './grep.test.js';
+import './hashing-embeddings.test.js';
+import './http-embeddings.test.js';
+import './identity.test.js';
+import './ignore.test.js';
+import './metadata.test.js';
+import './migrations.test.js';
+import './onnx-embeddings.test.js';
+import './query.test.js';
+import './savings.test.js';
+import './scanner.test.js';
+import './search.test.js';
+import './simple-search.test.js';
+import './tokenizer.test.js';
+import './vectors.test.js';
+import './watcher.test.js';
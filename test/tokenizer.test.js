@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createTokenizer, TokenCountCache, hashContent } from '../src/tokenizer.js';
+import { tempDir } from './helpers.js';
+
+// Token counts of the cl100k_base vocabulary
+const CL100K = [
+  ['Hello world', 2],
+  ['hello, world!', 4],
+  ['The quick brown fox jumps over the lazy dog.', 10],
+  ['1234567', 3],
+  ['## Setup\n\nRun npm install.\n', 7]
+];
+
+test('the bpe estimate matches cl100k counts of common text', () => {
+  const tokenizer = createTokenizer('bpe');
+
+  for (const [text, tokens] of CL100K) {
+    assert.equal(tokenizer.count(text), tokens, JSON.stringify(text));
+  }
+  assert.equal(tokenizer.count(''), 0);
+});
+
+test('chars counts characters / 4, and custom counters fall back to it when they throw', () => {
+  assert.equal(createTokenizer('chars').count('Hello world'), 3);
+
+  const custom = createTokenizer({ name: 'words', count: text => text.split(' ').length });
+  assert.equal(custom.name, 'words');
+  assert.equal(custom.count('Hello big world'), 3);
+
+  const failing = createTokenizer({ count() { throw new Error('no vocabulary'); } });
+  assert.equal(failing.name, 'custom');
+  assert.equal(failing.count('Hello world'), 3);
+
+  assert.throws(() => createTokenizer('gpt2'), /Unknown tokenizer "gpt2"/);
+});
+
+test('token counts are cached by tokenizer and content hash', () => {
+  const cachePath = path.join(tempDir(), 'cache', 'token-counts.json');
+  let calls = 0;
+  const counting = name => ({ name, count: text => { calls++; return text.length; } });
+
+  const cache = new TokenCountCache(cachePath);
+  assert.equal(cache.count('Hello world', counting('a')), 11);
+  assert.equal(cache.count('Hello world', counting('a')), 11);
+  assert.equal(cache.count('Hello world', counting('b')), 11);
+  assert.equal(calls, 2);
+  cache.save();
+
+  const reloaded = new TokenCountCache(cachePath);
+  assert.equal(reloaded.get(hashContent('Hello world'), counting('a')), 11);
+  assert.equal(reloaded.get(hashContent('Hello there'), counting('a')), undefined);
+  assert.equal(reloaded.get(null, counting('a')), undefined);
+  assert.equal(reloaded.count('Hello world', counting('a')), 11);
+  assert.equal(calls, 2);
+
+  fs.writeFileSync(cachePath, 'not json');
+  assert.equal(new TokenCountCache(cachePath).count('Hello world', counting('a')), 11);
+  assert.equal(calls, 3);
+});
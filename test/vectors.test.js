@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeVector, decodeVector, quantizeVector, quantizedSimilarity } from '../src/vectors.js';
+import { vectorIndex, useQueryVector } from './helpers.js';
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / Math.sqrt(normA * normB);
+};
+
+const QUERY = [0.9, 0.3, -0.2, 0.1, -0.5, 0.05, 0.4, -0.1, 0.2, -0.3];
+const CANDIDATES = [
+  [0.8, 0.35, -0.25, 0.1, -0.45, 0.1, 0.35, -0.1, 0.25, -0.3],
+  [0.5, 0.6, -0.1, 0.3, -0.2, 0.2, 0.1, -0.4, 0.1, -0.1],
+  [0.1, -0.2, 0.5, -0.3, 0.4, -0.1, -0.2, 0.3, 0.1, 0.2],
+  [-0.9, -0.3, 0.2, -0.1, 0.5, -0.05, -0.4, 0.1, -0.2, 0.3]
+];
+
+test('Float32 BLOBs round-trip, and legacy JSON text still decodes', () => {
+  const vector = [0.25, -1.5, 3, 0];
+  const blob = encodeVector(vector);
+
+  assert.equal(blob.length, 16);
+  assert.deepEqual(Array.from(decodeVector(blob)), vector);
+  // A Buffer slice at an odd offset still decodes
+  const shifted = Buffer.concat([Buffer.from([7]), blob]).subarray(1);
+  assert.deepEqual(Array.from(decodeVector(shifted)), vector);
+  assert.deepEqual(Array.from(decodeVector('[0.5,-2]')), [0.5, -2]);
+});
+
+test('int8 quantisation keeps values within one step of the original', () => {
+  const quantized = quantizeVector(QUERY, 'int8');
+  const values = new Int8Array(quantized.buffer, quantized.byteOffset, quantized.length);
+  const step = 0.9 / 127;
+
+  assert.equal(quantized.length, QUERY.length);
+  assert.equal(values[0], 127);
+  values.forEach((value, i) => assert.ok(Math.abs(value * step - QUERY[i]) <= step / 2 + 1e-12));
+  assert.deepEqual(Array.from(quantizeVector([0, 0], 'int8')), [0, 0]);
+  assert.equal(quantizeVector(QUERY, 'none'), null);
+});
+
+test('binary quantisation keeps one sign bit per dimension', () => {
+  const quantized = quantizeVector(QUERY, 'binary');
+
+  assert.equal(quantized.length, 2);
+  // Positive dimensions 0, 1, 3, 5, 6 and 8
+  assert.equal(quantized[0], 0b01101011);
+  assert.equal(quantized[1], 0b00000001);
+});
+
+test('quantised similarity orders candidates like cosine similarity', () => {
+  const exact = CANDIDATES.map(candidate => cosine(QUERY, candidate));
+  const order = scores => scores.map((score, i) => [score, i]).sort((a, b) => b[0] - a[0]).map(([, i]) => i);
+
+  for (const mode of ['int8', 'binary']) {
+    const query = quantizeVector(QUERY, mode);
+    const scores = CANDIDATES.map(candidate => quantizedSimilarity(quantizeVector(candidate, mode), query, mode, QUERY.length));
+    assert.deepEqual(order(scores), order(exact), mode);
+    assert.ok(Math.abs(quantizedSimilarity(query, query, mode, QUERY.length) - 1) < 1e-9, mode);
+  }
+
+  const int8 = quantizeVector(QUERY, 'int8');
+  assert.ok(Math.abs(quantizedSimilarity(quantizeVector(CANDIDATES[1], 'int8'), int8, 'int8') - exact[1]) < 0.01);
+});
+
+test('binary similarity does not count the padding bits of the last byte', () => {
+  const query = quantizeVector(QUERY, 'binary');
+  const opposite = quantizeVector(QUERY.map(value => -value), 'binary');
+
+  // Every one of the 10 dimensions differs: exactly -1, not -1 + 12/16
+  assert.equal(quantizedSimilarity(opposite, query, 'binary', 10), -1);
+  // Two of ten dimensions flipped
+  const flipped = quantizeVector(QUERY.map((value, i) => (i < 2 ? -value : value)), 'binary');
+  assert.equal(quantizedSimilarity(flipped, query, 'binary', 10), 1 - (2 * 2) / 10);
+  assert.equal(quantizedSimilarity(query, Buffer.alloc(1), 'binary', 10), 0);
+});
+
+test('re-scoring with the float vectors restores the exact ranking', async () => {
+  // All three share the query's signs, so binary scores tie; their float cosines differ
+  const query = [1, 0.2, 0.2, 0.2];
+  const vectors = [[0.2, 1, 0.2, 0.2], [1, 0.25, 0.2, 0.2], [0.6, 0.6, 0.2, 0.2], [-1, -1, -1, -1]];
+  const { engine, chunks } = await vectorIndex(vectors);
+  try {
+    useQueryVector(engine, query);
+    const exact = await engine.vectorSearch('point', { limit: 4 });
+    assert.deepEqual(exact.map(result => result.chunkId), [1, 2, 0, 3].map(i => chunks[i].id));
+
+    for (const mode of ['int8', 'binary']) {
+      await engine.setQuantization(mode);
+      const rescored = await engine.vectorSearch('point', { limit: 4 });
+      assert.deepEqual(rescored.map(result => result.chunkId), exact.map(result => result.chunkId), mode);
+      assert.deepEqual(rescored.map(result => result.score), exact.map(result => result.score), mode);
+    }
+
+    const { quantized } = await engine.db.get('SELECT quantized FROM embeddings WHERE chunk_id = ?', [chunks[3].id]);
+    assert.deepEqual(Array.from(quantized), [0]);
+  } finally {
+    await engine.db.close();
+  }
+});
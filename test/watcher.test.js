@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { CollectionManager } from '../src/collections.js';
+import { CollectionWatcher } from '../src/watcher.js';
+import { createIgnoreFilter } from '../src/ignore.js';
+import { tempDir, writeFiles, quietly } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A manager that records the batches it is asked to re-index
+function recordingManager(collections) {
+  const batches = [];
+  return {
+    batches,
+    list: async () => collections,
+    ignoreFilter: collection => createIgnoreFilter(collection.path, collection.exclude || []),
+    indexFiles: async (name, paths) => {
+      batches.push({ name, paths: [...paths].sort() });
+      return { indexed: paths.length, skipped: 0, removed: 0, failed: [] };
+    }
+  };
+}
+
+// Resolves with the next `count` onIndexed calls
+function indexedCalls(count) {
+  const calls = [];
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+  const onIndexed = (name, result) => {
+    calls.push({ name, result });
+    if (calls.length === count) done(calls);
+  };
+  return { onIndexed, finished };
+}
+
+async function indexedCollection(files) {
+  const notes = writeFiles(tempDir(), files);
+  const manager = new CollectionManager(path.join(tempDir(), 'index.db'));
+  await quietly(() => manager.add('notes', notes, '**/*.md'));
+  return { manager, notes };
+}
+
+async function documentPaths(manager, root) {
+  const rows = await manager.db.all('SELECT path FROM documents ORDER BY path');
+  return rows.map(row => path.relative(root, row.path));
+}
+
+test('a burst of events becomes one deduplicated batch per collection', async () => {
+  const notes = writeFiles(tempDir(), { '.gitignore': 'drafts/\n', 'a.md': 'a' });
+  const work = writeFiles(tempDir(), { 'w.md': 'w' });
+  const manager = recordingManager([
+    { name: 'notes', path: notes, mask: '**/*.md' },
+    { name: 'work', path: work, mask: '**/*.md' }
+  ]);
+  const { onIndexed, finished } = indexedCalls(2);
+  const watcher = new CollectionWatcher(manager, { poll: true, interval: 60000, debounce: 150, onIndexed });
+
+  try {
+    await watcher.start();
+    watcher.queue('notes', path.join(notes, 'a.md'));
+    watcher.queue('notes', path.join(notes, 'drafts/secret.md'));
+    watcher.queue('work', path.join(work, 'w.md'));
+    // A later event inside the debounce window joins the same batch
+    await sleep(30);
+    watcher.queue('notes', path.join(notes, 'b.md'));
+    watcher.queue('notes', path.join(notes, 'a.md'));
+    assert.deepEqual(manager.batches, []);
+
+    await finished;
+    assert.deepEqual(manager.batches, [
+      { name: 'notes', paths: [path.join(notes, 'a.md'), path.join(notes, 'b.md')] },
+      { name: 'work', paths: [path.join(work, 'w.md')] }
+    ]);
+  } finally {
+    await watcher.close();
+  }
+});
+
+test('close re-indexes what is still queued and ignores later events', async () => {
+  const notes = writeFiles(tempDir(), { 'a.md': 'a' });
+  const manager = recordingManager([{ name: 'notes', path: notes, mask: '**/*.md' }]);
+  const watcher = new CollectionWatcher(manager, { poll: true, interval: 60000, debounce: 60000 });
+
+  await watcher.start();
+  watcher.queue('notes', path.join(notes, 'a.md'));
+  await watcher.close();
+  watcher.queue('notes', path.join(notes, 'b.md'));
+
+  assert.deepEqual(manager.batches, [{ name: 'notes', paths: [path.join(notes, 'a.md')] }]);
+});
+
+test('renamed and deleted files are removed from the index', async () => {
+  const { manager, notes } = await indexedCollection({
+    'a.md': '# A\n\nAlpha.\n',
+    'old/b.md': '# B\n\nBravo.\n',
+    'old/c.md': '# C\n\nCharlie.\n',
+    'd.md': '# D\n\nDelta.\n'
+  });
+  const { onIndexed, finished } = indexedCalls(1);
+  const watcher = new CollectionWatcher(manager, { poll: true, interval: 60000, debounce: 20, onIndexed });
+
+  try {
+    await watcher.start();
+    fs.renameSync(path.join(notes, 'a.md'), path.join(notes, 'renamed.md'));
+    fs.renameSync(path.join(notes, 'old'), path.join(notes, 'new'));
+    fs.unlinkSync(path.join(notes, 'd.md'));
+
+    // The events a rename and a delete produce: both names, and the directory
+    for (const name of ['a.md', 'renamed.md', 'old', 'new', 'd.md']) {
+      watcher.queue('notes', path.join(notes, name));
+    }
+    const [{ result }] = await quietly(() => finished);
+
+    assert.deepEqual({ indexed: result.indexed, removed: result.removed }, { indexed: 3, removed: 4 });
+    assert.deepEqual(await documentPaths(manager, notes), ['new/b.md', 'new/c.md', 'renamed.md']);
+  } finally {
+    await watcher.close();
+    await manager.db.close();
+  }
+});
+
+test('the polling fallback picks up added, changed and deleted files', async () => {
+  const { manager, notes } = await indexedCollection({
+    'keep.md': '# Keep\n\nUnchanged.\n',
+    'edit.md': '# Edit\n\nBefore.\n',
+    'gone.md': '# Gone\n\nSoon deleted.\n'
+  });
+  const { onIndexed, finished } = indexedCalls(1);
+  const watcher = new CollectionWatcher(manager, { poll: true, interval: 50, debounce: 20, onIndexed });
+
+  try {
+    assert.deepEqual((await watcher.start()).map(entry => entry.method), ['polling']);
+
+    writeFiles(notes, { 'edit.md': '# Edit\n\nAfter.\n', 'new.md': '# New\n\nAdded.\n', 'skip.txt': 'not markdown' });
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(notes, 'edit.md'), later, later);
+    fs.unlinkSync(path.join(notes, 'gone.md'));
+
+    const [{ result }] = await quietly(() => finished);
+    assert.deepEqual({ indexed: result.indexed, removed: result.removed }, { indexed: 2, removed: 1 });
+    assert.deepEqual(await documentPaths(manager, notes), ['edit.md', 'keep.md', 'new.md']);
+    const { content } = await manager.db.get("SELECT content FROM documents WHERE path LIKE '%edit.md'");
+    assert.match(content, /After/);
+  } finally {
+    await watcher.close();
+    await manager.db.close();
+  }
+});